@@ -0,0 +1,87 @@
+'use strict';
+
+const crypto = require('crypto');
+const errno = require('./errno');
+const FSError = require('./FSError');
+
+/**
+ * Encodes a device number from its major and minor numbers
+ * This uses the Linux encoding, so rdev matches real device files
+ * @param {number} major
+ * @param {number} minor
+ * @returns {number}
+ */
+function makedev (major, minor) {
+  return ((minor & 0xff) | ((major & 0xfff) << 8) | ((minor & ~0xff) << 12)) >>> 0;
+}
+
+/**
+ * Drivers of character devices keyed by device number
+ * A driver reads into and writes from buffers, returning the number of bytes
+ * Endless drivers never reach end of file
+ * @type {Object.<number, {name: string, endless: boolean, read: function(Buffer): number, write: function(Buffer): number}>}
+ */
+const drivers = {};
+
+drivers[makedev(1, 3)] = {
+  name: 'null',
+  endless: false,
+  read: function (buffer) {
+    return 0;
+  },
+  write: function (buffer) {
+    return buffer.length;
+  }
+};
+
+drivers[makedev(1, 5)] = {
+  name: 'zero',
+  endless: true,
+  read: function (buffer) {
+    buffer.fill(0);
+    return buffer.length;
+  },
+  write: function (buffer) {
+    return buffer.length;
+  }
+};
+
+drivers[makedev(1, 7)] = {
+  name: 'full',
+  endless: true,
+  read: function (buffer) {
+    buffer.fill(0);
+    return buffer.length;
+  },
+  write: function (buffer) {
+    if (buffer.length) {
+      throw new FSError(errno.code.ENOSPC, 'write');
+    }
+    return 0;
+  }
+};
+
+drivers[makedev(1, 9)] = {
+  name: 'urandom',
+  endless: true,
+  read: function (buffer) {
+    crypto.randomBytes(buffer.length).copy(buffer);
+    return buffer.length;
+  },
+  write: function (buffer) {
+    return buffer.length;
+  }
+};
+
+/**
+ * Gets the driver of a device number
+ * @param {number} rdev
+ * @returns {Object|undefined}
+ */
+function getDriver (rdev) {
+  return drivers[rdev];
+}
+
+exports.makedev = makedev;
+exports.drivers = drivers;
+exports.getDriver = getDriver;
@@ -0,0 +1,129 @@
+'use strict';
+
+const errno = require('./errno');
+const FSError = require('./FSError');
+
+/**
+ * Class representing an open directory stream
+ * This simulates Node's fs.Dir
+ * The entries are captured when the directory is opened
+ * So the listing is stable while entries are added or removed during iteration
+ */
+class Dir {
+
+  /**
+   * Creates a Dir
+   * @param {string} pathS
+   * @param {Dirent[]} entries
+   */
+  constructor (pathS, entries) {
+    this.path = pathS;
+    this._entries = entries;
+    this._pos = 0;
+    this._closed = false;
+  }
+
+  /**
+   * Reads the next entry
+   * @returns {Dirent|null} Null when there are no more entries
+   * @throws {FSError} Will throw EBADF if the directory stream is closed
+   */
+  readSync () {
+    if (this._closed) {
+      throw new FSError(errno.code.EBADF, this.path);
+    }
+    if (this._pos < this._entries.length) {
+      return this._entries[this._pos++];
+    }
+    return null;
+  }
+
+  /**
+   * Reads the next entry
+   * @param {function(Error, Dirent|null)} [callback] - If not specified, a promise is returned
+   * @returns {Promise<Dirent|null>|undefined} Resolves to null when there are no more entries
+   */
+  read (callback) {
+    return callOrPromise(() => this.readSync(), callback);
+  }
+
+  /**
+   * Closes the directory stream
+   * @throws {FSError} Will throw EBADF if the directory stream is already closed
+   */
+  closeSync () {
+    if (this._closed) {
+      throw new FSError(errno.code.EBADF, this.path);
+    }
+    this._closed = true;
+    return;
+  }
+
+  /**
+   * Closes the directory stream
+   * @param {function(Error)} [callback] - If not specified, a promise is returned
+   * @returns {Promise|undefined}
+   */
+  close (callback) {
+    return callOrPromise(() => this.closeSync(), callback);
+  }
+
+  /**
+   * Iterates asynchronously over the entries
+   * The directory stream is closed when the iteration finishes
+   * @returns {{next: function(): Promise<{value: Dirent, done: boolean}>}}
+   */
+  [Symbol.asyncIterator] () {
+    return {
+      next: () => {
+        return this.read().then((entry) => {
+          if (entry === null) {
+            return this.close().then(function () {
+              return { value: undefined, done: true };
+            });
+          }
+          return { value: entry, done: false };
+        });
+      },
+      return: () => {
+        let closing = (this._closed) ? Promise.resolve() : this.close();
+        return closing.then(function () {
+          return { value: undefined, done: true };
+        });
+      }
+    };
+  }
+
+}
+
+/**
+ * Runs a synchronous function in a new event cycle
+ * The result is passed to the callback, or wrapped in a promise if there is no callback
+ * @private
+ * @param {function(): *} f
+ * @param {function(Error, *)} [callback]
+ * @returns {Promise|undefined}
+ */
+function callOrPromise (f, callback) {
+  let run = function (resolve, reject) {
+    setImmediate(function () {
+      let result;
+      try {
+        result = f();
+      } catch (e) {
+        reject(e);
+        return;
+      }
+      resolve(result);
+    });
+  };
+  if (callback) {
+    run(function (result) {
+      callback(null, result);
+    }, callback);
+    return;
+  }
+  return new Promise(run);
+}
+
+module.exports = Dir;
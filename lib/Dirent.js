@@ -0,0 +1,56 @@
+'use strict';
+
+const constants = require('./constants');
+
+/**
+ * Class representing a directory entry
+ * This simulates Node's fs.Dirent
+ * Only the file type of the entry's inode is kept, so it does not change with the inode
+ */
+class Dirent {
+
+  /**
+   * Creates a Dirent
+   * @param {string} name
+   * @param {number} mode - Mode of the entry's inode
+   * @param {string} parentPath - Path of the directory containing the entry
+   */
+  constructor (name, mode, parentPath) {
+    this.name = name;
+    this.parentPath = parentPath;
+    // deprecated alias of parentPath that Node still sets
+    this.path = parentPath;
+    this._type = mode & constants.S_IFMT;
+  }
+
+  isFile () {
+    return this._type === constants.S_IFREG;
+  }
+
+  isDirectory () {
+    return this._type === constants.S_IFDIR;
+  }
+
+  isBlockDevice () {
+    return this._type === constants.S_IFBLK;
+  }
+
+  isCharacterDevice () {
+    return this._type === constants.S_IFCHR;
+  }
+
+  isSymbolicLink () {
+    return this._type === constants.S_IFLNK;
+  }
+
+  isFIFO () {
+    return this._type === constants.S_IFIFO;
+  }
+
+  isSocket () {
+    return this._type === constants.S_IFSOCK;
+  }
+
+}
+
+module.exports = Dirent;
@@ -0,0 +1,26 @@
+'use strict';
+
+/** Class representing a filesystem error */
+class FSError extends Error {
+
+  /**
+   * Creates an Error object simulating Node's fs errors
+   * @param {{errno: number, code: string, description: string}} errorSys
+   * @param {string|string[]} paths - Paths used when this error is thrown
+   * @returns {FSError}
+   */
+  constructor (errorSys, paths) {
+    paths = (Array.isArray(paths)) ? paths : [paths];
+    let message
+        = errorSys.code + ': '
+        + errorSys.description + ', '
+        + paths.map(function (v) { return "'" + v + "'"; }).join(' -> ');
+    super(message);
+    this.code = errorSys.code;
+    this.errno = errorSys.errno;
+    this.paths = paths;
+  }
+
+}
+
+module.exports = FSError;
@@ -0,0 +1,278 @@
+'use strict';
+
+const constants = require('./constants');
+const inodes = require('./INodes');
+
+const File = inodes.File;
+const FIFO = inodes.FIFO;
+
+/** Class representing a File Descriptor */
+class FileDescriptor {
+
+  /**
+   * Creates FileDescriptor
+   * Starts the seek position at 0
+   * @param {File|Directory|Symlink} iNode
+   * @param {number} flags
+   */
+  constructor (iNode, flags) {
+    this._iNode = iNode;
+    this._flags = flags;
+    this._pos = 0;
+  }
+
+  /**
+   * Gets an INode.
+   * @returns {File|Directory|Symlink}
+   */
+  getINode () {
+    return this._iNode;
+  }
+
+  /**
+   * Gets the file descriptor flags
+   * Unlike Linux filesystems, this retains creation and status flags
+   * @returns {number}
+   */
+  getFlags () {
+    return this._flags;
+  }
+
+  /**
+   * Gets the file descriptor position
+   * @returns {number}
+   */
+  getPos () {
+    return this._pos;
+  }
+
+  /**
+   * Sets the file descriptor position
+   * @param {number} pos
+   */
+  setPos (pos) {
+    this._pos = pos;
+    return;
+  }
+
+  /**
+   * Reads from this file descriptor into a buffer
+   * It will only read up to the end of the file
+   * If position is not specified, it reads from the current position and advances it
+   * Devices and FIFOs are not seekable, so the position is ignored
+   * @param {Buffer} buffer
+   * @param {number} [position] - If specified, the current position is not changed
+   * @returns {number} Number of bytes read
+   */
+  read (buffer, position) {
+    if (!(this._iNode instanceof File)) {
+      return this._iNode.read(buffer);
+    }
+    let currentPosition;
+    if (typeof position === 'number') {
+      currentPosition = position;
+    } else {
+      currentPosition = this._pos;
+    }
+    let bytesRead = this._iNode.readAt(buffer, currentPosition);
+    if (typeof position !== 'number') {
+      this._pos = currentPosition + bytesRead;
+    }
+    return bytesRead;
+  }
+
+  /**
+   * Writes to this file descriptor from a buffer
+   * The file is extended with a hole if the position is beyond the end of file
+   * If the file descriptor is in append mode, the position is always the end of file
+   * If position is not specified, it writes at the current position and advances it
+   * Devices and FIFOs are not seekable, so the position is ignored
+   * @param {Buffer} buffer
+   * @param {number} [position] - If specified, the current position is not changed
+   * @returns {number} Number of bytes written
+   */
+  write (buffer, position) {
+    if (!(this._iNode instanceof File)) {
+      return this._iNode.write(buffer);
+    }
+    let currentPosition;
+    if (this._flags & constants.O_APPEND) {
+      currentPosition = this._iNode.getMetadata().size;
+    } else if (typeof position === 'number') {
+      currentPosition = position;
+    } else {
+      currentPosition = this._pos;
+    }
+    let bytesWritten = this._iNode.writeAt(buffer, currentPosition);
+    if ((this._flags & constants.O_APPEND) || typeof position !== 'number') {
+      this._pos = currentPosition + bytesWritten;
+    }
+    return bytesWritten;
+  }
+
+  /**
+   * Truncates the file to a given length
+   * The file is extended with a hole if the length is beyond the end of file
+   * The position is not changed
+   * @param {number} len
+   */
+  truncate (len) {
+    this._iNode.truncate(len);
+    return;
+  }
+
+}
+
+/**
+ * Class representing a file descriptor opened on a mounted filesystem
+ * Operations on it are passed to the mounted filesystem
+ */
+class MountedFileDescriptor {
+
+  /**
+   * Creates MountedFileDescriptor
+   * @param {Object} mount - Mount record of the mounted filesystem
+   * @param {number} fd - File descriptor index within the mounted filesystem
+   */
+  constructor (mount, fd) {
+    this._mount = mount;
+    this._fd = fd;
+  }
+
+  /**
+   * Gets the mount record
+   * @returns {Object}
+   */
+  getMount () {
+    return this._mount;
+  }
+
+  /**
+   * Gets the file descriptor index within the mounted filesystem
+   * @returns {number}
+   */
+  getFd () {
+    return this._fd;
+  }
+
+}
+
+/**
+ * Class that manages all FileDescriptors
+ * This acts as the open file table of the single virtual process
+ */
+class FileDescriptorManager {
+
+  /**
+   * Creates an instance of the FileDescriptorManager
+   * @param {INodeManager} iNodeMgr
+   */
+  constructor (iNodeMgr) {
+    this._fds = {};
+    this._iNodeMgr = iNodeMgr;
+  }
+
+  /**
+   * Creates a file descriptor
+   * This will increment the reference to the iNode preventing garbage collection by the INodeManager
+   * The lowest free file descriptor number is always assigned
+   * FIFOs are told which end is opened
+   * @param {File|Directory|Symlink|CharacterDev|FIFO} iNode
+   * @param {number} flags
+   * @returns {number} The file descriptor index
+   */
+  createFd (iNode, flags) {
+    let index = this._freeIndex();
+    this._iNodeMgr.refINode(iNode.getMetadata().ino);
+    if (iNode instanceof FIFO) {
+      iNode.open(flags);
+    }
+    this._fds[index] = new FileDescriptor(iNode, flags);
+    return index;
+  }
+
+  /**
+   * Creates a file descriptor for a file descriptor of a mounted filesystem
+   * The lowest free file descriptor number is always assigned
+   * @param {Object} mount - Mount record of the mounted filesystem
+   * @param {number} fd - File descriptor index within the mounted filesystem
+   * @returns {number} The file descriptor index
+   */
+  createMountedFd (mount, fd) {
+    let index = this._freeIndex();
+    this._fds[index] = new MountedFileDescriptor(mount, fd);
+    return index;
+  }
+
+  /**
+   * Gets the lowest free file descriptor index
+   * @private
+   * @returns {number}
+   */
+  _freeIndex () {
+    let index = 0;
+    while (this._fds.hasOwnProperty(index)) {
+      ++index;
+    }
+    return index;
+  }
+
+  /**
+   * Gets the file descriptor
+   * @param {number} index
+   * @returns {FileDescriptor|MountedFileDescriptor|undefined}
+   */
+  getFd (index) {
+    if (this._fds.hasOwnProperty(index)) {
+      return this._fds[index];
+    }
+    return;
+  }
+
+  /**
+   * Gets all open file descriptors
+   * @returns {Object.<number, FileDescriptor|MountedFileDescriptor>} A copy of the open file table
+   */
+  getFds () {
+    return Object.assign({}, this._fds);
+  }
+
+  /**
+   * Checks if any file descriptor is open on a mounted filesystem
+   * @param {Object} mount - Mount record of the mounted filesystem
+   * @returns {boolean}
+   */
+  hasMountedFds (mount) {
+    for (let index in this._fds) {
+      let fd = this._fds[index];
+      if (fd instanceof MountedFileDescriptor && fd.getMount() === mount) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Deletes a file descriptor
+   * This effectively closes the file descriptor and releases its locks
+   * This will decrement the reference to the iNode allowing garbage collection by the INodeManager
+   * @param {number} index
+   */
+  deleteFd (index) {
+    let fd = this._fds[index];
+    delete this._fds[index];
+    if (fd instanceof FileDescriptor) {
+      this._iNodeMgr.releaseLocks(fd.getINode().getMetadata().ino, fd);
+      if (fd.getINode() instanceof FIFO) {
+        fd.getINode().close(fd.getFlags());
+      }
+      this._iNodeMgr.unrefINode(fd.getINode().getMetadata().ino);
+    }
+    return;
+  }
+
+}
+
+exports.FileDescriptor = FileDescriptor;
+exports.MountedFileDescriptor = MountedFileDescriptor;
+exports.FileDescriptorManager = FileDescriptorManager;
@@ -0,0 +1,350 @@
+'use strict';
+
+// marks a '**' segment, which matches zero or more directories
+const GLOBSTAR = {};
+
+/**
+ * Class representing a compiled glob pattern
+ * Patterns are matched segment by segment, so walkers can prune directories that cannot match
+ * Braces are expanded before compiling, so a pattern string may compile to several GlobPatterns
+ * Supported syntax is '*', '?', '**' as a whole segment, character classes with '!' or '^' negation,
+ * '{a,b}' and '{1..3}' braces and '\' escapes
+ */
+class GlobPattern {
+
+  /**
+   * Compiles a pattern string
+   * @param {string} pattern
+   * @param {Object} [options]
+   * @param {boolean} [options.dot=false] - If true, wildcards match names starting with '.'
+   * @returns {GlobPattern[]} One GlobPattern for each brace expansion
+   * @throws {TypeError} Will throw if the pattern is not a string
+   */
+  static parse (pattern, options) {
+    if (typeof pattern !== 'string') {
+      throw new TypeError('Pattern must be a string');
+    }
+    return expandBraces(pattern).map(function (expanded) {
+      return new GlobPattern(expanded, options);
+    });
+  }
+
+  /**
+   * Creates a GlobPattern from a pattern without braces
+   * Use GlobPattern.parse to expand braces
+   * @param {string} pattern
+   * @param {Object} [options]
+   * @param {boolean} [options.dot=false]
+   */
+  constructor (pattern, options) {
+    let dot = !!(options && options.dot);
+    this.pattern = pattern;
+    this._dot = dot;
+    this.absolute = pattern[0] === '/';
+    // a trailing slash only matches directories
+    this.directoriesOnly = /[^/]\/+$/.test(pattern);
+    this.segments = [];
+    pattern.split('/').forEach((segment) => {
+      if (!segment || (segment === '.' && this.segments.length)) {
+        return;
+      }
+      if (segment === '**') {
+        if (this.segments[this.segments.length - 1] !== GLOBSTAR) {
+          this.segments.push(GLOBSTAR);
+        }
+        return;
+      }
+      this.segments.push(compileSegment(segment, dot));
+    });
+    // a leading './' refers to the directory the pattern is matched from
+    if (this.segments[0] === '.') {
+      this.segments.shift();
+    }
+  }
+
+  /**
+   * Checks if a segment matches zero or more directories
+   * @param {number} index
+   * @returns {boolean}
+   */
+  isGlobstar (index) {
+    return this.segments[index] === GLOBSTAR;
+  }
+
+  /**
+   * Gets the name a segment matches if it has no wildcards
+   * @param {number} index
+   * @returns {string|null}
+   */
+  getLiteral (index) {
+    let segment = this.segments[index];
+    return (typeof segment === 'string') ? segment : null;
+  }
+
+  /**
+   * Checks if a segment matches a name
+   * Wildcards never match the '.' and '..' entries
+   * @param {number} index
+   * @param {string} name
+   * @returns {boolean}
+   */
+  matchSegment (index, name) {
+    let segment = this.segments[index];
+    if (segment === GLOBSTAR) {
+      return false;
+    }
+    if (typeof segment === 'string') {
+      return segment === name;
+    }
+    return name !== '.' && name !== '..' && segment.test(name);
+  }
+
+  /**
+   * Checks if the whole pattern matches a path
+   * The path is split on '/', so it must be relative if the pattern is relative
+   * @param {string} pathS
+   * @returns {boolean}
+   */
+  matches (pathS) {
+    if ((pathS[0] === '/') !== this.absolute) {
+      return false;
+    }
+    let names = pathS.split('/').filter(function (name) {
+      return name && name !== '.';
+    });
+    return this._matchFrom(0, names, 0);
+  }
+
+  /**
+   * Matches the segments from an index against the names from an index
+   * @private
+   * @param {number} index
+   * @param {string[]} names
+   * @param {number} nameIndex
+   * @returns {boolean}
+   */
+  _matchFrom (index, names, nameIndex) {
+    if (index === this.segments.length) {
+      return nameIndex === names.length;
+    }
+    if (this.segments[index] === GLOBSTAR) {
+      for (let skip = nameIndex; skip <= names.length; ++skip) {
+        if (this._matchFrom(index + 1, names, skip)) {
+          return true;
+        }
+        if (skip < names.length && !this._globstarMatches(names[skip])) {
+          return false;
+        }
+      }
+      return false;
+    }
+    if (nameIndex === names.length || !this.matchSegment(index, names[nameIndex])) {
+      return false;
+    }
+    return this._matchFrom(index + 1, names, nameIndex + 1);
+  }
+
+  /**
+   * Checks if a '**' segment may cross a name
+   * Names starting with '.' are only crossed if the pattern matches dotfiles
+   * @private
+   * @param {string} name
+   * @returns {boolean}
+   */
+  _globstarMatches (name) {
+    return name !== '..' && (name[0] !== '.' || this._dot);
+  }
+
+}
+
+/**
+ * Expands braces in a pattern
+ * Braces without a top-level ',' or a '..' range are kept literally
+ * @private
+ * @param {string} pattern
+ * @returns {string[]}
+ */
+function expandBraces (pattern) {
+  let depth = 0;
+  let start = -1;
+  for (let i = 0; i < pattern.length; ++i) {
+    let c = pattern[i];
+    if (c === '\\') {
+      ++i;
+    } else if (c === '{') {
+      if (depth++ === 0) {
+        start = i;
+      }
+    } else if (c === '}' && depth > 0 && --depth === 0) {
+      let alternatives = braceAlternatives(pattern.slice(start + 1, i));
+      if (alternatives) {
+        let prefix = pattern.slice(0, start);
+        let suffix = pattern.slice(i + 1);
+        return alternatives.reduce(function (expanded, alternative) {
+          return expanded.concat(expandBraces(prefix + alternative + suffix));
+        }, []);
+      }
+      // the brace is literal, but it may contain braces that expand
+      i = start;
+    }
+  }
+  return [pattern];
+}
+
+/**
+ * Gets the alternatives of the contents of braces
+ * @private
+ * @param {string} contents
+ * @returns {string[]|null} Null if the braces are literal
+ */
+function braceAlternatives (contents) {
+  let alternatives = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < contents.length; ++i) {
+    let c = contents[i];
+    if (c === '\\') {
+      ++i;
+    } else if (c === '{') {
+      ++depth;
+    } else if (c === '}') {
+      --depth;
+    } else if (c === ',' && depth === 0) {
+      alternatives.push(contents.slice(start, i));
+      start = i + 1;
+    }
+  }
+  if (alternatives.length) {
+    alternatives.push(contents.slice(start));
+    return alternatives;
+  }
+  let range = /^(-?\d+)\.\.(-?\d+)$/.exec(contents);
+  if (range) {
+    return rangeOf(parseInt(range[1], 10), parseInt(range[2], 10), String);
+  }
+  range = /^([a-zA-Z])\.\.([a-zA-Z])$/.exec(contents);
+  if (range) {
+    return rangeOf(range[1].charCodeAt(0), range[2].charCodeAt(0), function (code) {
+      return String.fromCharCode(code);
+    });
+  }
+  return null;
+}
+
+/**
+ * Lists an inclusive range in either direction
+ * @private
+ * @param {number} from
+ * @param {number} to
+ * @param {function(number): string} format
+ * @returns {string[]}
+ */
+function rangeOf (from, to, format) {
+  let step = (from <= to) ? 1 : -1;
+  let values = [];
+  for (let value = from; value !== to + step; value += step) {
+    values.push(format(value));
+  }
+  return values;
+}
+
+/**
+ * Compiles a segment of a pattern
+ * @private
+ * @param {string} segment
+ * @param {boolean} dot
+ * @returns {string|RegExp} The unescaped name if the segment has no wildcards
+ */
+function compileSegment (segment, dot) {
+  let source = '';
+  let literal = '';
+  let magic = false;
+  for (let i = 0; i < segment.length; ++i) {
+    let c = segment[i];
+    if (c === '\\' && i + 1 < segment.length) {
+      c = segment[++i];
+      source += escapeRegExp(c);
+      literal += c;
+    } else if (c === '*') {
+      // consecutive stars within a segment are a single star
+      if (segment[i - 1] !== '*' || segment[i - 2] === '\\') {
+        source += '[^/]*';
+      }
+      magic = true;
+    } else if (c === '?') {
+      source += '[^/]';
+      magic = true;
+    } else if (c === '[') {
+      let characterClass = compileClass(segment, i);
+      if (characterClass) {
+        source += characterClass.source;
+        i = characterClass.end;
+        magic = true;
+      } else {
+        source += '\\[';
+        literal += c;
+      }
+    } else {
+      source += escapeRegExp(c);
+      literal += c;
+    }
+  }
+  if (!magic) {
+    return literal;
+  }
+  // wildcards at the start of a segment do not match names starting with '.'
+  if (!dot && segment[0] !== '.') {
+    source = '(?!\\.)' + source;
+  }
+  return new RegExp('^' + source + '$');
+}
+
+/**
+ * Compiles a character class
+ * @private
+ * @param {string} segment
+ * @param {number} start - Index of the '['
+ * @returns {{source: string, end: number}|null} Null if the class is not closed
+ */
+function compileClass (segment, start) {
+  let i = start + 1;
+  let negated = false;
+  if (segment[i] === '!' || segment[i] === '^') {
+    negated = true;
+    ++i;
+  }
+  let source = '';
+  // a ']' first in the class is literal
+  let first = true;
+  for (; i < segment.length; ++i) {
+    let c = segment[i];
+    if (c === ']' && !first) {
+      return {
+        source: '[' + (negated ? '^/' : '') + source + ']',
+        end: i
+      };
+    }
+    first = false;
+    if (c === '-') {
+      source += c;
+      continue;
+    }
+    if (c === '\\' && i + 1 < segment.length) {
+      c = segment[++i];
+    }
+    source += escapeRegExp(c);
+  }
+  return null;
+}
+
+/**
+ * Escapes a character for use in a regular expression
+ * @private
+ * @param {string} c
+ * @returns {string}
+ */
+function escapeRegExp (c) {
+  return c.replace(/[\\^$.*+?()[\]{}|/-]/g, '\\$&');
+}
+
+module.exports = GlobPattern;
@@ -1,8 +1,30 @@
 'use strict';
 
 const Buffer = require('buffer').Buffer;
+const EventEmitter = require('events').EventEmitter;
+const errno = require('./errno');
 const constants = require('./constants');
+const FSError = require('./FSError');
 const Stat = require('./Stat');
+const devices = require('./Devices');
+
+// size of file blocks, this is the blksize of every inode
+const BLOCK_SIZE = 4096;
+
+// Stat blocks are counted in 512 byte units regardless of blksize
+const STAT_BLOCK_SIZE = 512;
+
+// with relatime, atime is updated at least once in this many milliseconds, this matches Linux
+const RELATIME_INTERVAL = 24 * 60 * 60 * 1000;
+
+// atime update policies, these are named after the Linux mount options
+const ATIME_POLICIES = ['strictatime', 'relatime', 'noatime'];
+
+// number of files sharing a block, blocks of a single file are not in the map
+const blockReferences = new WeakMap;
+
+// entry maps of directories that are shared with saved states, they are copied before they change
+const sharedEntries = new WeakSet;
 
 /** Class representing an iNode */
 class INode {
@@ -15,16 +37,17 @@ class INode {
    */
   constructor (metadata, iNodeMgr) {
     metadata.nlink = metadata.nlink || 0;
-		metadata.mode = (metadata.mode     |
-                     constants.S_IRWXU |
-                     constants.S_IRWXG |
-                     constants.S_IRWXO);
-    let now = new Date;
+    metadata.uid = metadata.uid || 0;
+    metadata.gid = metadata.gid || 0;
+    metadata.blksize = BLOCK_SIZE;
+    metadata.blocks = 0;
+    let now = iNodeMgr.now();
     metadata.atime = now;
     metadata.mtime = now;
     metadata.ctime = now;
     metadata.birthtime = now;
     this._metadata = new Stat(metadata);
+    this._xattrs = {};
     this._iNodeMgr = iNodeMgr;
   }
 
@@ -36,29 +59,310 @@ class INode {
     return this._metadata;
   }
 
+  /**
+   * Gets the value of an extended attribute
+   * @param {string} name
+   * @returns {Buffer|undefined}
+   */
+  getXattr (name) {
+    return this._xattrs[name];
+  }
+
+  /**
+   * Gets the names of the extended attributes
+   * @returns {string[]}
+   */
+  getXattrNames () {
+    return Object.keys(this._xattrs);
+  }
+
+  /**
+   * Sets an extended attribute and updates ctime
+   * @param {string} name
+   * @param {Buffer} value
+   */
+  setXattr (name, value) {
+    this._iNodeMgr.preserveINode(this._metadata.ino);
+    this._xattrs[name] = value;
+    this._metadata.ctime = this._iNodeMgr.now();
+    return;
+  }
+
+  /**
+   * Removes an extended attribute and updates ctime
+   * @param {string} name
+   */
+  removeXattr (name) {
+    this._iNodeMgr.preserveINode(this._metadata.ino);
+    delete this._xattrs[name];
+    this._metadata.ctime = this._iNodeMgr.now();
+    return;
+  }
+
+  /**
+   * Changes the access and modification times and updates ctime
+   * @param {Date} atime
+   * @param {Date} mtime
+   */
+  setTimes (atime, mtime) {
+    this._iNodeMgr.preserveINode(this._metadata.ino);
+    this._metadata.atime = atime;
+    this._metadata.mtime = mtime;
+    this._metadata.ctime = this._iNodeMgr.now();
+    return;
+  }
+
+  /**
+   * Changes the permission bits and updates ctime
+   * The file type bits are preserved
+   * @param {number} mode
+   */
+  setMode (mode) {
+    this._iNodeMgr.preserveINode(this._metadata.ino);
+    this._metadata.mode = (this._metadata.mode & constants.S_IFMT) |
+                          (mode & ~constants.S_IFMT);
+    this._metadata.ctime = this._iNodeMgr.now();
+    return;
+  }
+
+  /**
+   * Changes the ownership and updates ctime
+   * An undefined or -1 uid or gid leaves that id unchanged
+   * @param {number} [uid]
+   * @param {number} [gid]
+   */
+  setOwner (uid, gid) {
+    this._iNodeMgr.preserveINode(this._metadata.ino);
+    if (typeof uid === 'number' && uid !== -1) {
+      this._metadata.uid = uid;
+    }
+    if (typeof gid === 'number' && gid !== -1) {
+      this._metadata.gid = gid;
+    }
+    this._metadata.ctime = this._iNodeMgr.now();
+    return;
+  }
+
+  /**
+   * Serializes this iNode into a plain object
+   * Timestamps are stored as milliseconds since the epoch
+   * Extended attributes are stored as base64, they are left out if there are none
+   * @returns {Object}
+   */
+  toJSON () {
+    let metadata = {};
+    for (let key in this._metadata) {
+      let value = this._metadata[key];
+      if (value instanceof Date) {
+        metadata[key] = value.getTime();
+      } else if (typeof value !== 'undefined') {
+        metadata[key] = value;
+      }
+    }
+    let json = { metadata: metadata };
+    let names = Object.keys(this._xattrs);
+    if (names.length) {
+      json.xattrs = {};
+      names.forEach((name) => {
+        json.xattrs[name] = this._xattrs[name].toString('base64');
+      });
+    }
+    return json;
+  }
+
+  /**
+   * Saves the state of this inode so a transaction or snapshot can restore it
+   * @private
+   * @returns {Object}
+   */
+  _save () {
+    return {
+      metadata: new Stat(this._metadata),
+      xattrs: Object.assign({}, this._xattrs)
+    };
+  }
+
+  /**
+   * Restores a state saved by _save, the state stays usable
+   * @private
+   * @param {Object} state
+   */
+  _load (state) {
+    Object.assign(this._metadata, state.metadata);
+    this._xattrs = Object.assign({}, state.xattrs);
+    return;
+  }
+
+  /**
+   * Drops a state saved by _save that is no longer needed
+   * @private
+   * @param {Object} state
+   */
+  _discard (state) {
+    return;
+  }
+
+  /**
+   * Updates atime following the atime policy of the INodeManager
+   * @private
+   */
+  _accessed () {
+    let now = this._iNodeMgr.now();
+    let metadata = this._metadata;
+    switch (this._iNodeMgr.getAtimePolicy()) {
+    case 'noatime':
+      return;
+    case 'relatime':
+      // only update if atime is not after mtime or ctime, or is older than a day
+      if (metadata.atime > metadata.mtime &&
+          metadata.atime > metadata.ctime &&
+          now - metadata.atime < RELATIME_INTERVAL)
+      {
+        return;
+      }
+      break;
+    }
+    this._iNodeMgr.preserveINode(this._metadata.ino);
+    metadata.atime = now;
+    return;
+  }
+
+  /**
+   * Deserializes an iNode from a plain object created by toJSON
+   * The constructor is not run, so no links are made to other iNodes
+   * @param {Object} json
+   * @param {INodeManager} iNodeMgr
+   * @param {function(*): Buffer} [decodeData] - Decodes serialized file data
+   * @returns {File|Directory|Symlink}
+   */
+  static fromJSON (json, iNodeMgr, decodeData) {
+    let iNode = Object.create(this.prototype);
+    let metadata = {};
+    for (let key in json.metadata) {
+      metadata[key] = json.metadata[key];
+    }
+    metadata.atime = new Date(metadata.atime);
+    metadata.mtime = new Date(metadata.mtime);
+    metadata.ctime = new Date(metadata.ctime);
+    metadata.birthtime = new Date(metadata.birthtime);
+    iNode._metadata = new Stat(metadata);
+    iNode._xattrs = {};
+    for (let name in json.xattrs) {
+      iNode._xattrs[name] = Buffer.from(json.xattrs[name], 'base64');
+    }
+    iNode._iNodeMgr = iNodeMgr;
+    iNode._restore(json, decodeData);
+    return iNode;
+  }
+
+  /**
+   * Creates an iNode from a state saved by _save
+   * The constructor is not run, so no links are made to other iNodes
+   * @private
+   * @param {Object} state
+   * @param {INodeManager} iNodeMgr
+   * @returns {File|Directory|Symlink|CharacterDev|FIFO}
+   */
+  static _fromState (state, iNodeMgr) {
+    let iNode = Object.create(this.prototype);
+    iNode._metadata = new Stat(state.metadata);
+    iNode._iNodeMgr = iNodeMgr;
+    iNode._load(state);
+    return iNode;
+  }
+
 }
 
 /**
  * Class representing a file
+ * The content is stored in fixed size blocks, only blocks that have been written are allocated
+ * Unallocated blocks are holes that read as zeros
+ * Blocks can be shared copy-on-write between clones, a shared block is copied before it is written
+ * Bytes of the last block beyond the file size are always zero
  * @extends INode
  */
 class File extends INode {
 
   /**
    * Creates a file
-   * @param {{ino: number, data: Buffer}} props - Initial information about the File
+   * Permissions default to 0o666
+   * If the source is set, the file is a clone of the source instead of being created from the data
+   * @param {{ino: number, data: Buffer, source: File, mode: number, uid: number, gid: number}} props - Initial information about the File
    * @param {INodeManager} iNodeMgr
    */
   constructor (props, iNodeMgr) {
+    let perms = (typeof props.mode === 'number') ? props.mode : 0o666;
     super(
       {
         ino: props.ino,
-        mode: constants.S_IFREG,
-        size: props.data.byteLength
+        mode: constants.S_IFREG | (perms & ~constants.S_IFMT),
+        uid: props.uid,
+        gid: props.gid,
+        size: 0
       },
       iNodeMgr
     );
-    this.data = props.data;
+    // directory inode indexes to the number of links from each, so change events can carry them
+    this._parents = {};
+    if (props.source) {
+      this._shareBlocks(props.source);
+    } else {
+      this._setData(props.data, false);
+    }
+  }
+
+  /**
+   * Gets the directories linking to this file
+   * @returns {number[]} Directory inode indexes
+   */
+  getParents () {
+    return Object.keys(this._parents).map(Number);
+  }
+
+  /**
+   * Records a link from a directory
+   * This is used by Directory.addEntry
+   * @param {number} index
+   */
+  addParent (index) {
+    this._parents[index] = (this._parents[index] || 0) + 1;
+    return;
+  }
+
+  /**
+   * Removes a link from a directory
+   * This is used by Directory.deleteEntry
+   * @param {number} index
+   */
+  deleteParent (index) {
+    if (--this._parents[index] <= 0) {
+      delete this._parents[index];
+    }
+    return;
+  }
+
+  /**
+   * Gets the data without updating atime
+   * Holes are filled with zeros
+   * @returns {Buffer}
+   */
+  getData () {
+    let data = Buffer.alloc(this._metadata.size);
+    for (let index in this._blocks) {
+      this._blocks[index].copy(data, index * BLOCK_SIZE);
+    }
+    return data;
+  }
+
+  /**
+   * Gets the bytes of allocated blocks that are within the file size
+   * This is what is charged to the limits of the INodeManager
+   * @returns {number}
+   */
+  getAllocatedBytes () {
+    let size = this._metadata.size;
+    let lastIndex = Math.floor((size - 1) / BLOCK_SIZE);
+    return File._allocatedBytes(this._blockCount, size, !!this._blocks[lastIndex]);
   }
 
   /**
@@ -66,30 +370,388 @@ class File extends INode {
    * @returns {Buffer}
    */
   read () {
-    this._metadata.atime = new Date;
-    return this.data;
+    this._accessed();
+    return this.getData();
+  }
+
+  /**
+   * Reads from a position into a buffer and updates atime
+   * It will only read up to the end of the file
+   * @param {Buffer} buffer
+   * @param {number} position
+   * @returns {number} Number of bytes read
+   */
+  readAt (buffer, position) {
+    let length = Math.max(Math.min(buffer.length, this._metadata.size - position), 0);
+    let offset = 0;
+    while (offset < length) {
+      let index = Math.floor((position + offset) / BLOCK_SIZE);
+      let blockOffset = (position + offset) - index * BLOCK_SIZE;
+      let chunk = Math.min(BLOCK_SIZE - blockOffset, length - offset);
+      let block = this._blocks[index];
+      if (block) {
+        block.copy(buffer, offset, blockOffset, blockOffset + chunk);
+      } else {
+        buffer.fill(0, offset, offset + chunk);
+      }
+      offset += chunk;
+    }
+    this._accessed();
+    return length;
   }
 
   /**
    * Writes the data and updates mtime and ctime
+   * This replaces all of the data
+   * Nothing is written if the new size exceeds the limits of the INodeManager
    * @param {Buffer} data
+   * @throws {FSError} Will throw EFBIG, ENOSPC or EDQUOT if limits are exceeded
    */
   write (data) {
-    let now = new Date;
-    this._metadata.mtime = now;
-    this._metadata.ctime = now;
-    this._metadata.size = data.byteLength;
-    this.data = data;
+    this._iNodeMgr.allocateData(
+      this._metadata.uid,
+      this.getAllocatedBytes(),
+      data.byteLength,
+      data.byteLength
+    );
+    this._iNodeMgr.preserveINode(this._metadata.ino);
+    this._setData(data, false);
+    this._changed();
     return;
   }
 
   /**
-   * Noop
+   * Replaces the data with the blocks of another file and updates mtime and ctime
+   * The blocks are shared copy-on-write, so the clone is charged to the limits like a copy
+   * Nothing is shared if the size exceeds the limits of the INodeManager
+   * @param {File} source
+   * @throws {FSError} Will throw EFBIG, ENOSPC or EDQUOT if limits are exceeded
+   */
+  shareData (source) {
+    this._iNodeMgr.allocateData(
+      this._metadata.uid,
+      this.getAllocatedBytes(),
+      source.getAllocatedBytes(),
+      source.getMetadata().size
+    );
+    this._iNodeMgr.preserveINode(this._metadata.ino);
+    this._shareBlocks(source);
+    this._changed();
+    return;
+  }
+
+  /**
+   * Writes a buffer at a position and updates mtime and ctime
+   * Only the blocks covered by the buffer are touched
+   * The file is extended if the position is beyond the end of file, leaving a hole
+   * Nothing is written if the new size exceeds the limits of the INodeManager
+   * @param {Buffer} buffer
+   * @param {number} position
+   * @returns {number} Number of bytes written
+   * @throws {FSError} Will throw EFBIG, ENOSPC or EDQUOT if limits are exceeded
+   */
+  writeAt (buffer, position) {
+    if (!buffer.length) {
+      return 0;
+    }
+    let end = position + buffer.length;
+    let newSize = Math.max(this._metadata.size, end);
+    let firstIndex = Math.floor(position / BLOCK_SIZE);
+    let lastIndex = Math.floor((end - 1) / BLOCK_SIZE);
+    let newBlocks = 0;
+    for (let index = firstIndex; index <= lastIndex; ++index) {
+      if (!this._blocks[index]) {
+        ++newBlocks;
+      }
+    }
+    let newLastIndex = Math.floor((newSize - 1) / BLOCK_SIZE);
+    this._iNodeMgr.allocateData(
+      this._metadata.uid,
+      this.getAllocatedBytes(),
+      File._allocatedBytes(
+        this._blockCount + newBlocks,
+        newSize,
+        lastIndex === newLastIndex || !!this._blocks[newLastIndex]
+      ),
+      newSize
+    );
+    this._iNodeMgr.preserveINode(this._metadata.ino);
+    let offset = 0;
+    for (let index = firstIndex; index <= lastIndex; ++index) {
+      let block = this._allocateBlock(index);
+      let blockOffset = (position + offset) - index * BLOCK_SIZE;
+      offset += buffer.copy(block, blockOffset, offset, offset + BLOCK_SIZE - blockOffset);
+    }
+    this._setSize(newSize);
+    this._changed();
+    return buffer.length;
+  }
+
+  /**
+   * Truncates or extends the file and updates mtime and ctime
+   * Blocks beyond the new size are freed, extending the file leaves a hole
+   * @param {number} len
+   * @throws {FSError} Will throw EFBIG if the new size exceeds the limits of the INodeManager
+   */
+  truncate (len) {
+    let lastIndex = Math.floor((len - 1) / BLOCK_SIZE);
+    let freedBlocks = 0;
+    for (let index in this._blocks) {
+      if (index > lastIndex) {
+        ++freedBlocks;
+      }
+    }
+    this._iNodeMgr.allocateData(
+      this._metadata.uid,
+      this.getAllocatedBytes(),
+      File._allocatedBytes(this._blockCount - freedBlocks, len, !!this._blocks[lastIndex]),
+      len
+    );
+    this._iNodeMgr.preserveINode(this._metadata.ino);
+    for (let index in this._blocks) {
+      if (index > lastIndex) {
+        this._releaseBlock(this._blocks[index]);
+        delete this._blocks[index];
+        --this._blockCount;
+      }
+    }
+    // the bytes beyond the size must be zero in case the file is extended again
+    if (this._blocks[lastIndex]) {
+      this._allocateBlock(lastIndex).fill(0, len - lastIndex * BLOCK_SIZE);
+    }
+    this._setSize(len);
+    this._changed();
+    return;
+  }
+
+  /**
+   * Sets the owner, the data is charged to the quota of the new owner
+   * @param {number} [uid]
+   * @param {number} [gid]
+   * @throws {FSError} Will throw EDQUOT if the new owner's quota is exceeded
+   */
+  setOwner (uid, gid) {
+    if (typeof uid === 'number' && uid !== -1 && uid !== this._metadata.uid) {
+      this._iNodeMgr.transferData(this._metadata.uid, uid, this.getAllocatedBytes());
+    }
+    return super.setOwner(uid, gid);
+  }
+
+  /**
+   * Releases the blocks shared with clones
    */
   destructor () {
+    this._releaseBlocks();
+    return;
+  }
+
+  /**
+   * Serializes this file into a plain object
+   * Holes are serialized as zeros and shared blocks are serialized for every clone
+   * @param {function(Buffer): *} [encodeData] - Defaults to base64 encoding
+   * @returns {Object}
+   */
+  toJSON (encodeData) {
+    let json = super.toJSON();
+    json.type = 'File';
+    if (typeof encodeData === 'function') {
+      json.data = encodeData(this.getData());
+    } else {
+      json.data = this.getData().toString('base64');
+    }
+    return json;
+  }
+
+  /**
+   * Restores the file specific state
+   * Blocks of zeros are restored as holes
+   * @private
+   * @param {Object} json
+   * @param {function(*): Buffer} [decodeData] - Defaults to base64 decoding
+   */
+  _restore (json, decodeData) {
+    // the parents are added by INodeManager.fromJSON
+    this._parents = {};
+    if (typeof decodeData === 'function') {
+      this._setData(decodeData(json.data), true);
+    } else {
+      this._setData(Buffer.from(json.data, 'base64'), true);
+    }
+    return;
+  }
+
+  /**
+   * Saves the state of this file, the saved blocks are shared copy-on-write until the state is dropped
+   * @private
+   * @returns {Object}
+   */
+  _save () {
+    let state = super._save();
+    state.blocks = {};
+    for (let index in this._blocks) {
+      let block = this._blocks[index];
+      blockReferences.set(block, (blockReferences.get(block) || 1) + 1);
+      state.blocks[index] = block;
+    }
+    state.blockCount = this._blockCount;
+    state.parents = Object.assign({}, this._parents);
+    return state;
+  }
+
+  /**
+   * Restores a state saved by _save, the saved blocks are shared copy-on-write
+   * @private
+   * @param {Object} state
+   */
+  _load (state) {
+    this._releaseBlocks();
+    for (let index in state.blocks) {
+      let block = state.blocks[index];
+      blockReferences.set(block, (blockReferences.get(block) || 1) + 1);
+      this._blocks[index] = block;
+    }
+    this._blockCount = state.blockCount;
+    this._parents = Object.assign({}, state.parents);
+    super._load(state);
+    return;
+  }
+
+  /**
+   * Drops a state saved by _save, releasing its shares of the blocks
+   * @private
+   * @param {Object} state
+   */
+  _discard (state) {
+    for (let index in state.blocks) {
+      this._releaseBlock(state.blocks[index]);
+    }
+    return;
+  }
+
+  /**
+   * Replaces all blocks with the data
+   * @private
+   * @param {Buffer} data
+   * @param {boolean} sparse - If true, blocks of zeros are left as holes
+   */
+  _setData (data, sparse) {
+    this._releaseBlocks();
+    for (let offset = 0; offset < data.length; offset += BLOCK_SIZE) {
+      let chunk = data.slice(offset, offset + BLOCK_SIZE);
+      if (sparse && !chunk.some(function (byte) { return byte; })) {
+        continue;
+      }
+      chunk.copy(this._allocateBlock(offset / BLOCK_SIZE));
+    }
+    this._setSize(data.length);
     return;
   }
 
+  /**
+   * Replaces all blocks with the blocks of another file, sharing them
+   * @private
+   * @param {File} source
+   */
+  _shareBlocks (source) {
+    this._releaseBlocks();
+    for (let index in source._blocks) {
+      let block = source._blocks[index];
+      blockReferences.set(block, (blockReferences.get(block) || 1) + 1);
+      this._blocks[index] = block;
+      ++this._blockCount;
+    }
+    this._setSize(source.getMetadata().size);
+    return;
+  }
+
+  /**
+   * Gets a block for writing, allocating it if it is a hole and copying it if it is shared
+   * @private
+   * @param {number} index
+   * @returns {Buffer}
+   */
+  _allocateBlock (index) {
+    let block = this._blocks[index];
+    if (!block) {
+      block = Buffer.alloc(BLOCK_SIZE);
+      this._blocks[index] = block;
+      ++this._blockCount;
+    } else if (blockReferences.has(block)) {
+      this._releaseBlock(block);
+      block = Buffer.from(block);
+      this._blocks[index] = block;
+    }
+    return block;
+  }
+
+  /**
+   * Drops this file's reference to a block that may be shared
+   * @private
+   * @param {Buffer} block
+   */
+  _releaseBlock (block) {
+    let references = blockReferences.get(block);
+    if (references > 2) {
+      blockReferences.set(block, references - 1);
+    } else {
+      blockReferences.delete(block);
+    }
+    return;
+  }
+
+  /**
+   * Drops all blocks, leaving an empty file
+   * @private
+   */
+  _releaseBlocks () {
+    for (let index in this._blocks) {
+      this._releaseBlock(this._blocks[index]);
+    }
+    this._blocks = {};
+    this._blockCount = 0;
+    return;
+  }
+
+  /**
+   * Sets the size and the allocated blocks in the metadata
+   * @private
+   * @param {number} size
+   */
+  _setSize (size) {
+    this._metadata.size = size;
+    this._metadata.blocks = this._blockCount * BLOCK_SIZE / STAT_BLOCK_SIZE;
+    return;
+  }
+
+  /**
+   * Updates mtime and ctime and emits the change
+   * @private
+   */
+  _changed () {
+    let now = this._iNodeMgr.now();
+    this._metadata.mtime = now;
+    this._metadata.ctime = now;
+    this._iNodeMgr.emit('mutation', this._metadata.ino, 'change', null, this.getParents());
+    return;
+  }
+
+  /**
+   * Computes the bytes of allocated blocks that are within a file size
+   * Only the last block can be partially within the file size
+   * @private
+   * @param {number} blockCount
+   * @param {number} size
+   * @param {boolean} lastAllocated - If the block containing the last byte is allocated
+   * @returns {number}
+   */
+  static _allocatedBytes (blockCount, size, lastAllocated) {
+    let bytes = blockCount * BLOCK_SIZE;
+    if (size && lastAllocated) {
+      bytes -= BLOCK_SIZE - (size - Math.floor((size - 1) / BLOCK_SIZE) * BLOCK_SIZE);
+    }
+    return bytes;
+  }
+
 }
 
 /**
@@ -101,9 +763,13 @@ class Directory extends INode {
   /**
    * Creates a directory
    * Virtual directories have 0 size
+   * Permissions default to 0o777
    * @param {Object} props
    * @param {number} props.ino
    * @param {number} [props.parent] - If no parent inode index, the we assume a root directory
+   * @param {number} [props.mode]
+   * @param {number} [props.uid]
+   * @param {number} [props.gid]
    * @param {INodeManager} iNodeMgr
    */
   constructor (props, iNodeMgr) {
@@ -119,11 +785,14 @@ class Directory extends INode {
       nlink = 1;
       iNodeMgr.linkINode(props.parent);
     }
+    let perms = (typeof props.mode === 'number') ? props.mode : 0o777;
     super(
       {
         ino: props.ino,
         nlink: nlink,
-        mode: constants.S_IFDIR,
+        mode: constants.S_IFDIR | (perms & ~constants.S_IFMT),
+        uid: props.uid,
+        gid: props.gid,
         size: 0
       },
       iNodeMgr
@@ -139,7 +808,15 @@ class Directory extends INode {
    * @returns {Object.<string, number>}
    */
   getEntries () {
-    this._metadata.atime = new Date; // this needs testing
+    this._accessed();
+    return this._dir;
+  }
+
+  /**
+   * Get all names to inodes of this directory without updating atime
+   * @returns {Object.<string, number>}
+   */
+  getEntryMap () {
     return this._dir;
   }
 
@@ -152,6 +829,20 @@ class Directory extends INode {
     return this._dir[name];
   }
 
+  /**
+   * Get the name for an inode index, ignoring '.' and '..'
+   * @param {number} index
+   * @returns {string|undefined}
+   */
+  getEntryName (index) {
+    for (let name in this._dir) {
+      if (name !== '.' && name !== '..' && this._dir[name] === index) {
+        return name;
+      }
+    }
+    return;
+  }
+
   /**
    * Get inode for a name
    * @param {string} name
@@ -168,11 +859,17 @@ class Directory extends INode {
    * @param {number} index
    */
   addEntry (name, index) {
-    let now = new Date;
+    this._iNodeMgr.preserveINode(this._metadata.ino);
+    let now = this._iNodeMgr.now();
     this._metadata.mtime = now;
     this._metadata.ctime = now;
     this._iNodeMgr.linkINode(index);
-    this._dir[name] = index;
+    let iNode = this._iNodeMgr.getINode(index);
+    if (iNode instanceof File) {
+      iNode.addParent(this._metadata.ino);
+    }
+    this._ownEntries()[name] = index;
+    this._iNodeMgr.emit('mutation', this._metadata.ino, 'rename', name);
     return;
   }
 
@@ -183,43 +880,133 @@ class Directory extends INode {
    * @returns {number} iNode index being deleted
    */
   deleteEntry (name) {
-    let now = new Date;
+    this._iNodeMgr.preserveINode(this._metadata.ino);
+    let now = this._iNodeMgr.now();
     this._metadata.mtime = now;
     this._metadata.ctime = now;
     let index = this._dir[name];
-    delete this._dir[name];
-    this._iNodeMgr.getINode(index).destructor();
+    delete this._ownEntries()[name];
+    let iNode = this._iNodeMgr.getINode(index);
+    if (iNode instanceof File) {
+      this._iNodeMgr.preserveINode(index);
+      iNode.deleteParent(this._metadata.ino);
+    }
+    this._iNodeMgr.emit('mutation', this._metadata.ino, 'rename', name);
+    this._iNodeMgr.emit('mutation', index, 'rename', null);
     this._iNodeMgr.unlinkINode(index);
     return index;
   }
 
   /**
    * Rename a name in this directory
+   * The new name must not already exist
    * @param {string} oldName
    * @param {string} newName
    */
   renameEntry (oldName, newName) {
-    let now = new Date;
+    this._iNodeMgr.preserveINode(this._metadata.ino);
+    let now = this._iNodeMgr.now();
     this._metadata.mtime = now;
     this._metadata.ctime = now;
     let inodeIndex = this._dir[oldName];
-    delete this._dir[oldName];
-    this._dir[newName] = inodeIndex;
+    let entries = this._ownEntries();
+    delete entries[oldName];
+    entries[newName] = inodeIndex;
+    this._iNodeMgr.emit('mutation', this._metadata.ino, 'rename', oldName);
+    this._iNodeMgr.emit('mutation', this._metadata.ino, 'rename', newName);
+    this._iNodeMgr.emit('mutation', inodeIndex, 'rename', null);
     return;
   }
 
   /**
-   * This is to be called by the INodeManager all hardlinks to this directory reduce to 0
+   * Changes the parent directory that '..' refers to
+   * It will move the link reference from the old parent to the new parent
+   * @param {number} index
    */
-  destructor () {
-    // decrement the parent's nlink due to '..', do not do this on root
-    // otherwise there will be an infinite loop
+  setParent (index) {
+    this._iNodeMgr.preserveINode(this._metadata.ino);
+    this._iNodeMgr.linkINode(index);
+    this._iNodeMgr.unlinkINode(this._dir['..']);
+    this._ownEntries()['..'] = index;
+    return;
+  }
+
+  /**
+   * Gets the entries for changing them, copying them first if they are shared with a saved state
+   * @private
+   * @returns {Object.<string, number>}
+   */
+  _ownEntries () {
+    if (sharedEntries.has(this._dir)) {
+      this._dir = Object.assign({}, this._dir);
+    }
+    return this._dir;
+  }
+
+  /**
+   * This is to be called by the INodeManager all hardlinks to this directory reduce to 0
+   */
+  destructor () {
+    // decrement the parent's nlink due to '..', do not do this on root
+    // otherwise there will be an infinite loop
     if (this._dir['.'] !== this._dir['..']) {
       this._iNodeMgr.unlinkINode(this._dir['..']);
     }
     return;
   }
 
+  /**
+   * Serializes this directory into a plain object
+   * The entries include '.' and '..'
+   * @returns {Object}
+   */
+  toJSON () {
+    let json = super.toJSON();
+    json.type = 'Directory';
+    json.entries = {};
+    for (let name in this._dir) {
+      json.entries[name] = this._dir[name];
+    }
+    return json;
+  }
+
+  /**
+   * Restores the directory specific state
+   * @private
+   * @param {Object} json
+   */
+  _restore (json) {
+    this._dir = {};
+    for (let name in json.entries) {
+      this._dir[name] = json.entries[name];
+    }
+    return;
+  }
+
+  /**
+   * Saves the state of this directory including its entries
+   * The entries are shared copy-on-write, so saving is constant time
+   * @private
+   * @returns {Object}
+   */
+  _save () {
+    let state = super._save();
+    sharedEntries.add(this._dir);
+    state.entries = this._dir;
+    return state;
+  }
+
+  /**
+   * Restores a state saved by _save, the saved entries are shared copy-on-write
+   * @private
+   * @param {Object} state
+   */
+  _load (state) {
+    this._dir = state.entries;
+    super._load(state);
+    return;
+  }
+
 }
 
 /**
@@ -230,14 +1017,17 @@ class Symlink extends INode {
 
   /**
    * Creates a symlink
-   * @param {{ino: number, link: string}} props
+   * Symlink permissions are always 0o777
+   * @param {{ino: number, link: string, uid: number, gid: number}} props
    * @param {INodeManager} iNodeMgr
    */
   constructor (props, iNodeMgr) {
     super(
       {
         ino: props.ino,
-        mode: constants.S_IFLNK,
+        mode: constants.S_IFLNK | 0o777,
+        uid: props.uid,
+        gid: props.gid,
         size: Buffer.from(props.link).byteLength
       },
       iNodeMgr
@@ -260,30 +1050,602 @@ class Symlink extends INode {
     return;
   }
 
+  /**
+   * Serializes this symlink into a plain object
+   * @returns {Object}
+   */
+  toJSON () {
+    let json = super.toJSON();
+    json.type = 'Symlink';
+    json.link = this._link;
+    return json;
+  }
+
+  /**
+   * Restores the symlink specific state
+   * @private
+   * @param {Object} json
+   */
+  _restore (json) {
+    this._link = json.link;
+    return;
+  }
+
+  /**
+   * Saves the state of this symlink including its link
+   * @private
+   * @returns {Object}
+   */
+  _save () {
+    let state = super._save();
+    state.link = this._link;
+    return state;
+  }
+
+  /**
+   * Restores a state saved by _save
+   * @private
+   * @param {Object} state
+   */
+  _load (state) {
+    this._link = state.link;
+    super._load(state);
+    return;
+  }
+
+}
+
+/**
+ * Class representing a character device
+ * Reads and writes are passed to the driver of its device number
+ * @extends INode
+ */
+class CharacterDev extends INode {
+
+  /**
+   * Creates a character device
+   * Permissions default to 0o666
+   * @param {{ino: number, rdev: number, mode: number, uid: number, gid: number}} props
+   * @param {INodeManager} iNodeMgr
+   */
+  constructor (props, iNodeMgr) {
+    let perms = (typeof props.mode === 'number') ? props.mode : 0o666;
+    super(
+      {
+        ino: props.ino,
+        mode: constants.S_IFCHR | (perms & ~constants.S_IFMT),
+        uid: props.uid,
+        gid: props.gid,
+        rdev: props.rdev,
+        size: 0
+      },
+      iNodeMgr
+    );
+  }
+
+  /**
+   * Gets the driver of this device
+   * @returns {Object|undefined}
+   */
+  getDriver () {
+    return devices.getDriver(this._metadata.rdev);
+  }
+
+  /**
+   * Reads from the device into a buffer and updates atime
+   * @param {Buffer} buffer
+   * @returns {number} Number of bytes read
+   * @throws {FSError} Will throw ENXIO if the device has no driver
+   */
+  read (buffer) {
+    let driver = this._getDriver('read');
+    this._accessed();
+    return driver.read(buffer);
+  }
+
+  /**
+   * Reads from the device until end of file
+   * @returns {Buffer}
+   * @throws {FSError} Will throw ENXIO if the device has no driver, EFBIG if the device never ends
+   */
+  readAll () {
+    let driver = this._getDriver('read');
+    if (driver.endless) {
+      throw new FSError(errno.code.EFBIG, 'read');
+    }
+    let chunks = [];
+    let chunk = Buffer.alloc(4096);
+    let bytesRead;
+    while ((bytesRead = this.read(chunk))) {
+      chunks.push(Buffer.from(chunk.slice(0, bytesRead)));
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Writes a buffer to the device and updates mtime and ctime
+   * @param {Buffer} buffer
+   * @returns {number} Number of bytes written
+   * @throws {FSError} Will throw ENXIO if the device has no driver, or errors of the driver
+   */
+  write (buffer) {
+    let driver = this._getDriver('write');
+    let bytesWritten = driver.write(buffer);
+    this._iNodeMgr.preserveINode(this._metadata.ino);
+    let now = this._iNodeMgr.now();
+    this._metadata.mtime = now;
+    this._metadata.ctime = now;
+    return bytesWritten;
+  }
+
+  /**
+   * Gets the driver or throws
+   * @private
+   * @param {string} syscall - Used in the error
+   * @returns {Object}
+   * @throws {FSError} Will throw ENXIO if the device has no driver
+   */
+  _getDriver (syscall) {
+    let driver = this.getDriver();
+    if (!driver) {
+      throw new FSError(errno.code.ENXIO, syscall);
+    }
+    return driver;
+  }
+
+  /**
+   * Noop
+   */
+  destructor () {
+    return;
+  }
+
+  /**
+   * Serializes this character device into a plain object
+   * @returns {Object}
+   */
+  toJSON () {
+    let json = super.toJSON();
+    json.type = 'CharacterDev';
+    return json;
+  }
+
+  /**
+   * Character devices have no specific state
+   * @private
+   */
+  _restore () {
+    return;
+  }
+
+}
+
+/**
+ * Class representing a FIFO (named pipe)
+ * Written data is buffered until it is read, even if there are no readers
+ * End of file is reached when the last writer closes and the buffer is drained
+ * Synchronous reads cannot block, so they throw EAGAIN while writers are open and the buffer is empty
+ * Asynchronous readers wait with waitReadable and waitEOF instead
+ * @extends INode
+ */
+class FIFO extends INode {
+
+  /**
+   * Creates a FIFO
+   * Permissions default to 0o666
+   * @param {{ino: number, mode: number, uid: number, gid: number}} props
+   * @param {INodeManager} iNodeMgr
+   */
+  constructor (props, iNodeMgr) {
+    let perms = (typeof props.mode === 'number') ? props.mode : 0o666;
+    super(
+      {
+        ino: props.ino,
+        mode: constants.S_IFIFO | (perms & ~constants.S_IFMT),
+        uid: props.uid,
+        gid: props.gid,
+        size: 0
+      },
+      iNodeMgr
+    );
+    this._restore();
+  }
+
+  /**
+   * Opens an end of the pipe, called when a file descriptor is created
+   * @param {number} flags
+   */
+  open (flags) {
+    if ((flags & 3) !== constants.O_RDONLY) {
+      ++this._writers;
+      this._eof = false;
+    }
+    return;
+  }
+
+  /**
+   * Closes an end of the pipe, called when a file descriptor is deleted
+   * Closing the last writer signals end of file to waiting readers
+   * @param {number} flags
+   */
+  close (flags) {
+    if ((flags & 3) !== constants.O_RDONLY) {
+      --this._writers;
+      if (!this._writers) {
+        this._eof = true;
+        this._wake();
+      }
+    }
+    return;
+  }
+
+  /**
+   * Checks if a blocking read would wait
+   * Reads wait while the buffer is empty, until the last writer has closed
+   * @returns {boolean}
+   */
+  wouldBlock () {
+    return !this._buffer.length && !this.isEOF();
+  }
+
+  /**
+   * Checks if all writers have closed after opening the pipe
+   * @returns {boolean}
+   */
+  isEOF () {
+    return this._eof && !this._writers;
+  }
+
+  /**
+   * Calls back once a read would not block
+   * @param {function()} callback
+   */
+  waitReadable (callback) {
+    this._wait(() => !this.wouldBlock(), callback);
+    return;
+  }
+
+  /**
+   * Calls back once the last writer has closed
+   * @param {function()} callback
+   */
+  waitEOF (callback) {
+    this._wait(() => this.isEOF(), callback);
+    return;
+  }
+
+  /**
+   * Reads buffered data into a buffer and updates atime
+   * @param {Buffer} buffer
+   * @returns {number} Number of bytes read, 0 at end of file or if no writer is open
+   * @throws {FSError} Will throw EAGAIN if the buffer is empty while writers are open
+   */
+  read (buffer) {
+    if (!this._buffer.length) {
+      if (this._writers) {
+        throw new FSError(errno.code.EAGAIN, 'read');
+      }
+      return 0;
+    }
+    let bytesRead = this._buffer.copy(buffer, 0);
+    this._buffer = this._buffer.slice(bytesRead);
+    this._accessed();
+    return bytesRead;
+  }
+
+  /**
+   * Reads all buffered data
+   * @returns {Buffer}
+   * @throws {FSError} Will throw EAGAIN if the buffer is empty while writers are open
+   */
+  readAll () {
+    let data = Buffer.alloc(this._buffer.length);
+    this.read(data);
+    return data;
+  }
+
+  /**
+   * Writes a buffer into the pipe and updates mtime and ctime
+   * @param {Buffer} buffer
+   * @returns {number} Number of bytes written
+   */
+  write (buffer) {
+    this._buffer = Buffer.concat([this._buffer, buffer]);
+    this._iNodeMgr.preserveINode(this._metadata.ino);
+    let now = this._iNodeMgr.now();
+    this._metadata.mtime = now;
+    this._metadata.ctime = now;
+    this._wake();
+    return buffer.length;
+  }
+
+  /**
+   * Noop
+   */
+  destructor () {
+    return;
+  }
+
+  /**
+   * Serializes this FIFO into a plain object
+   * Buffered data is not serialized
+   * @returns {Object}
+   */
+  toJSON () {
+    let json = super.toJSON();
+    json.type = 'FIFO';
+    return json;
+  }
+
+  /**
+   * Resets the pipe state
+   * @private
+   */
+  _restore () {
+    this._buffer = Buffer.alloc(0);
+    this._writers = 0;
+    this._eof = false;
+    this._waiters = [];
+    return;
+  }
+
+  /**
+   * Creates a FIFO from a saved state with an empty pipe
+   * @private
+   * @param {Object} state
+   * @param {INodeManager} iNodeMgr
+   * @returns {FIFO}
+   */
+  static _fromState (state, iNodeMgr) {
+    let iNode = super._fromState(state, iNodeMgr);
+    iNode._restore();
+    return iNode;
+  }
+
+  /**
+   * Calls back asynchronously once a condition holds
+   * @private
+   * @param {function(): boolean} condition
+   * @param {function()} callback
+   */
+  _wait (condition, callback) {
+    if (condition()) {
+      setImmediate(callback);
+      return;
+    }
+    this._waiters.push({
+      condition: condition,
+      callback: callback
+    });
+    return;
+  }
+
+  /**
+   * Calls back the waiters whose conditions hold
+   * @private
+   */
+  _wake () {
+    this._waiters = this._waiters.filter(function (waiter) {
+      if (waiter.condition()) {
+        setImmediate(waiter.callback);
+        return false;
+      }
+      return true;
+    });
+    return;
+  }
+
+}
+
+/**
+ * Checks if two lock types conflict, only shared locks are compatible
+ * @private
+ * @param {number} heldType - F_RDLCK or F_WRLCK
+ * @param {number} type - F_RDLCK, F_WRLCK or F_UNLCK
+ * @returns {boolean}
+ */
+function conflicts (heldType, type) {
+  if (type === constants.F_UNLCK) {
+    return false;
+  }
+  return heldType === constants.F_WRLCK || type === constants.F_WRLCK;
 }
 
 /**
  * Class that manages all iNodes including creation and deletion
+ * It emits 'mutation' events with (index, eventType, name) when inodes change
+ * Directory entry changes are 'rename' events with the entry name
+ * File content changes are 'change' events with a null name and the directory inode indexes linking to the file
+ * @extends EventEmitter
  */
-class INodeManager {
+class INodeManager extends EventEmitter {
 
   /**
    * Creates an instance of the INodeManager
    * It starts the inode counter at 1, as 0 is usually reserved in posix filesystems
+   * Limits that are not set are unlimited
+   * @param {Object} [limits]
+   * @param {number} [limits.bytes] - Maximum bytes of allocated file data, holes of sparse files are not allocated
+   * @param {number} [limits.inodes] - Maximum number of inodes
+   * @param {number} [limits.fileSize] - Maximum bytes of a single file
+   * @param {Object.<number, number>} [limits.quotas] - Maximum bytes of file data owned by each uid
+   * @param {Object} [options]
+   * @param {function(): (Date|number)} [options.clock=Date.now] - Time used for all inode timestamps
+   * @param {string} [options.atime='strictatime'] - The atime policy, either strictatime, relatime or noatime
+   * @throws {TypeError} Will throw if the atime policy is unknown
    */
-  constructor () {
+  constructor (limits, options) {
+    super();
+    options = options || {};
+    if (options.atime && ATIME_POLICIES.indexOf(options.atime) === -1) {
+      throw new TypeError('Unknown atime policy: ' + options.atime);
+    }
+    // every watcher listens for mutations
+    this.setMaxListeners(0);
     this._counter = 1;
     this._inodes = {};
+    this._references = {};
+    // advisory locks are kept per inode index, they are never serialized
+    this._fileLocks = {};
+    this._rangeLocks = {};
+    this._lockWaiters = {};
+    // byte-range locks that owners are waiting for, to detect deadlocks
+    this._rangeLockWaits = new WeakMap;
+    // open transactions, the innermost is last
+    this._savepoints = [];
+    this._snapshots = [];
+    this._limits = limits || {};
+    this._clock = options.clock || Date.now;
+    this._atimePolicy = options.atime || 'strictatime';
+    this._usage = {
+      bytes: 0,
+      inodes: 0,
+      uids: {}
+    };
+  }
+
+  /**
+   * Gets the limits
+   * @returns {Object}
+   */
+  getLimits () {
+    return this._limits;
+  }
+
+  /**
+   * Gets the current time from the clock
+   * A new Date is returned on every call, so timestamps never share a Date
+   * @returns {Date}
+   */
+  now () {
+    return new Date(this._clock());
+  }
+
+  /**
+   * Gets the atime policy
+   * strictatime updates atime on every access
+   * relatime only updates atime if it is not after mtime or ctime, or if it is a day old
+   * noatime never updates atime on access
+   * @returns {string}
+   */
+  getAtimePolicy () {
+    return this._atimePolicy;
+  }
+
+  /**
+   * Gets the current usage of file data bytes, inodes and file data bytes per uid
+   * @returns {{bytes: number, inodes: number, uids: Object.<number, number>}}
+   */
+  getUsage () {
+    let uids = {};
+    for (let uid in this._usage.uids) {
+      uids[uid] = this._usage.uids[uid];
+    }
+    return {
+      bytes: this._usage.bytes,
+      inodes: this._usage.inodes,
+      uids: uids
+    };
+  }
+
+  /**
+   * Allocates file data for a change of a file, freeing data if it shrinks
+   * Holes of sparse files are not allocated, so the file size is checked separately
+   * @param {number} uid - Owner of the file data
+   * @param {number} oldBytes - Allocated bytes before the change
+   * @param {number} newBytes - Allocated bytes after the change
+   * @param {number} size - File size after the change
+   * @throws {FSError} Will throw EFBIG, ENOSPC or EDQUOT without allocating if limits are exceeded
+   */
+  allocateData (uid, oldBytes, newBytes, size) {
+    if (typeof this._limits.fileSize === 'number' && size > this._limits.fileSize) {
+      throw new FSError(errno.code.EFBIG, 'write');
+    }
+    let delta = newBytes - oldBytes;
+    if (delta > 0) {
+      if (typeof this._limits.bytes === 'number' &&
+          this._usage.bytes + delta > this._limits.bytes)
+      {
+        throw new FSError(errno.code.ENOSPC, 'write');
+      }
+      this._checkQuota(uid, delta, 'write');
+    }
+    this._chargeData(uid, delta);
+    return;
+  }
+
+  /**
+   * Transfers file data to the quota of another uid
+   * @param {number} oldUid
+   * @param {number} newUid
+   * @param {number} size
+   * @throws {FSError} Will throw EDQUOT without transferring if the new uid's quota is exceeded
+   */
+  transferData (oldUid, newUid, size) {
+    this._checkQuota(newUid, size, 'chown');
+    this._chargeData(oldUid, -size);
+    this._chargeData(newUid, size);
+    return;
+  }
+
+  /**
+   * Checks if a uid's quota allows more file data
+   * @private
+   * @param {number} uid
+   * @param {number} delta
+   * @param {string} syscall - Used in the error
+   * @throws {FSError} Will throw EDQUOT if the quota is exceeded
+   */
+  _checkQuota (uid, delta, syscall) {
+    let quotas = this._limits.quotas || {};
+    if (typeof quotas[uid] === 'number' &&
+        (this._usage.uids[uid] || 0) + delta > quotas[uid])
+    {
+      throw new FSError(errno.code.EDQUOT, syscall);
+    }
+    return;
+  }
+
+  /**
+   * Records a change of file data usage
+   * @private
+   * @param {number} uid
+   * @param {number} delta
+   */
+  _chargeData (uid, delta) {
+    this._usage.bytes += delta;
+    this._usage.uids[uid] = (this._usage.uids[uid] || 0) + delta;
+    if (this._usage.uids[uid] === 0) {
+      delete this._usage.uids[uid];
+    }
+    return;
   }
 
   /**
    * Creates an inode
-   * @param {File|Directory|Symlink} iNodeConstructor
+   * @param {File|Directory|Symlink|CharacterDev|FIFO} iNodeConstructor
    * @param {Object} props
    * @returns {number} The inode index that has been created, it needs to be added as an entry into a directory
+   * @throws {FSError} Will throw ENOSPC if there are no inodes left, or EFBIG, ENOSPC or EDQUOT if the file data exceeds the limits
    * @throws {TypeError} Should not be thrown
    */
   createINode (iNodeConstructor, props) {
+    if (typeof this._limits.inodes === 'number' &&
+        this._usage.inodes >= this._limits.inodes)
+    {
+      throw new FSError(errno.code.ENOSPC, 'create');
+    }
+    if (iNodeConstructor === File && props.source) {
+      this.allocateData(
+        props.uid || 0,
+        0,
+        props.source.getAllocatedBytes(),
+        props.source.getMetadata().size
+      );
+    } else if (iNodeConstructor === File) {
+      this.allocateData(props.uid || 0, 0, props.data.byteLength, props.data.byteLength);
+    }
+    ++this._usage.inodes;
     props.ino = this._counter;
     switch (iNodeConstructor) {
     case File:
@@ -295,16 +1657,25 @@ class INodeManager {
     case Symlink:
       this._inodes[this._counter] = new iNodeConstructor(props, this);
       break;
+    case CharacterDev:
+      this._inodes[this._counter] = new iNodeConstructor(props, this);
+      break;
+    case FIFO:
+      this._inodes[this._counter] = new iNodeConstructor(props, this);
+      break;
     default:
       throw new TypeError('Non-exhaustive pattern matching');
     }
+    this._savepoints.slice(-1).concat(this._snapshots).forEach((record) => {
+      record.iNodes[this._counter] = null;
+    });
     return this._counter++; // return returns before post increment
   }
 
   /**
    * Gets the inode
    * @param {number} index
-   * @returns {File|Directory|Symlink}
+   * @returns {File|Directory|Symlink|CharacterDev|FIFO}
    */
   getINode (index) {
     return this._inodes[index];
@@ -315,6 +1686,7 @@ class INodeManager {
    * @param {number} index
    */
   linkINode (index) {
+    this.preserveINode(index);
     ++this._inodes[index]._metadata.nlink;
     return;
   }
@@ -325,16 +1697,737 @@ class INodeManager {
    * @param {number} index
    */
   unlinkINode (index) {
+    this.preserveINode(index);
     --this._inodes[index]._metadata.nlink;
-    if (this._inodes[index]._metadata.nlink === 0) {
+    this._gcINode(index);
+    return;
+  }
+
+  /**
+   * References an inode, this increments the private reference count
+   * Private references are held by open file descriptors
+   * @param {number} index
+   */
+  refINode (index) {
+    this._references[index] = (this._references[index] || 0) + 1;
+    return;
+  }
+
+  /**
+   * Unreferences an inode, this decrements the private reference count
+   * If both the hardlink and private reference counts are 0, the inode is garbage collected
+   * @param {number} index
+   */
+  unrefINode (index) {
+    --this._references[index];
+    if (this._references[index] === 0) {
+      delete this._references[index];
+    }
+    this._gcINode(index);
+    return;
+  }
+
+  /**
+   * Acquires, converts or releases a flock lock of an inode
+   * flock locks and byte-range locks do not interact, like on Linux
+   * @param {number} index
+   * @param {Object} owner - Open file description holding the lock
+   * @param {number} type - F_RDLCK for shared, F_WRLCK for exclusive or F_UNLCK
+   * @returns {boolean} False if another owner holds a conflicting lock, the owner's lock is then unchanged
+   */
+  lockFile (index, owner, type) {
+    let locks = this._fileLocks[index] || [];
+    let conflict = locks.some(function (lock) {
+      return lock.owner !== owner && conflicts(lock.type, type);
+    });
+    if (conflict) {
+      return false;
+    }
+    locks = locks.filter(function (lock) {
+      return lock.owner !== owner;
+    });
+    if (type !== constants.F_UNLCK) {
+      locks.push({
+        owner: owner,
+        type: type
+      });
+    }
+    this._setLocks(this._fileLocks, index, locks);
+    return true;
+  }
+
+  /**
+   * Gets the first byte-range lock of another owner conflicting with a lock
+   * @param {number} index
+   * @param {Object} owner
+   * @param {number} type - F_RDLCK or F_WRLCK
+   * @param {number} start - First byte of the range
+   * @param {number} end - Last byte of the range, Infinity locks to the end of the file however it grows
+   * @returns {{owner: Object, type: number, start: number, end: number}|undefined}
+   */
+  getRangeLockConflict (index, owner, type, start, end) {
+    return this._getRangeLockConflicts(index, owner, type, start, end)[0];
+  }
+
+  /**
+   * Gets all byte-range locks of other owners conflicting with a lock
+   * @private
+   * @param {number} index
+   * @param {Object} owner
+   * @param {number} type
+   * @param {number} start
+   * @param {number} end
+   * @returns {Array<{owner: Object, type: number, start: number, end: number}>}
+   */
+  _getRangeLockConflicts (index, owner, type, start, end) {
+    return (this._rangeLocks[index] || []).filter(function (lock) {
+      return lock.owner !== owner &&
+        lock.start <= end &&
+        lock.end >= start &&
+        conflicts(lock.type, type);
+    });
+  }
+
+  /**
+   * Acquires or releases a byte-range lock of an inode
+   * The owner's existing locks over the range are replaced, and split where they extend past it
+   * @param {number} index
+   * @param {Object} owner - Open file description holding the lock
+   * @param {number} type - F_RDLCK, F_WRLCK or F_UNLCK
+   * @param {number} start - First byte of the range
+   * @param {number} end - Last byte of the range, Infinity locks to the end of the file however it grows
+   * @returns {boolean} False if another owner holds a conflicting lock, the owner's locks are then unchanged
+   */
+  lockRange (index, owner, type, start, end) {
+    if (type !== constants.F_UNLCK &&
+        this.getRangeLockConflict(index, owner, type, start, end))
+    {
+      return false;
+    }
+    let locks = [];
+    (this._rangeLocks[index] || []).forEach(function (lock) {
+      if (lock.owner !== owner || lock.end < start || lock.start > end) {
+        locks.push(lock);
+        return;
+      }
+      if (lock.start < start) {
+        locks.push({
+          owner: owner,
+          type: lock.type,
+          start: lock.start,
+          end: start - 1
+        });
+      }
+      if (lock.end > end) {
+        locks.push({
+          owner: owner,
+          type: lock.type,
+          start: end + 1,
+          end: lock.end
+        });
+      }
+    });
+    if (type !== constants.F_UNLCK) {
+      locks.push({
+        owner: owner,
+        type: type,
+        start: start,
+        end: end
+      });
+    }
+    this._setLocks(this._rangeLocks, index, locks);
+    return true;
+  }
+
+  /**
+   * Releases all flock and byte-range locks of an owner on an inode
+   * This is used when a file descriptor is closed
+   * @param {number} index
+   * @param {Object} owner
+   */
+  releaseLocks (index, owner) {
+    [this._fileLocks, this._rangeLocks].forEach((table) => {
+      if (table[index]) {
+        this._setLocks(table, index, table[index].filter(function (lock) {
+          return lock.owner !== owner;
+        }));
+      }
+    });
+    return;
+  }
+
+  /**
+   * Calls back asynchronously the next time a lock of an inode is released or changed
+   * The waiter should try to lock again and wait again if it still conflicts
+   * @param {number} index
+   * @param {function()} callback
+   */
+  waitLocks (index, callback) {
+    this._lockWaiters[index] = this._lockWaiters[index] || [];
+    this._lockWaiters[index].push(callback);
+    return;
+  }
+
+  /**
+   * Waits for a conflicting byte-range lock like waitLocks, unless the wait would deadlock
+   * It deadlocks if an owner of a conflicting lock is waiting, directly or through other waiting owners, for a lock of this owner
+   * @param {number} index
+   * @param {Object} owner
+   * @param {number} type - F_RDLCK or F_WRLCK
+   * @param {number} start - First byte of the range
+   * @param {number} end - Last byte of the range, Infinity locks to the end of the file however it grows
+   * @param {function()} callback
+   * @returns {boolean} False if the wait would deadlock, the callback is then never called
+   */
+  waitRangeLock (index, owner, type, start, end, callback) {
+    let request = {
+      index: index,
+      type: type,
+      start: start,
+      end: end
+    };
+    if (this._waitsFor(owner, owner, request, [])) {
+      return false;
+    }
+    this._rangeLockWaits.set(owner, request);
+    this.waitLocks(index, () => {
+      this._rangeLockWaits.delete(owner);
+      callback();
+    });
+    return true;
+  }
+
+  /**
+   * Checks if a lock request waits for an owner through the owners of its conflicting locks
+   * @private
+   * @param {Object} owner - Owner that would be waited for
+   * @param {Object} waiter - Owner of the request
+   * @param {{index: number, type: number, start: number, end: number}} request
+   * @param {Object[]} visited - Waiting owners already checked
+   * @returns {boolean}
+   */
+  _waitsFor (owner, waiter, request, visited) {
+    return this._getRangeLockConflicts(
+      request.index,
+      waiter,
+      request.type,
+      request.start,
+      request.end
+    ).some((lock) => {
+      if (lock.owner === owner) {
+        return true;
+      }
+      if (visited.indexOf(lock.owner) !== -1) {
+        return false;
+      }
+      visited.push(lock.owner);
+      let next = this._rangeLockWaits.get(lock.owner);
+      return !!next && this._waitsFor(owner, lock.owner, next, visited);
+    });
+  }
+
+  /**
+   * Sets the locks of an inode in a lock table and wakes the waiters of the inode
+   * @private
+   * @param {Object.<number, Array>} table
+   * @param {number} index
+   * @param {Array} locks
+   */
+  _setLocks (table, index, locks) {
+    if (locks.length) {
+      table[index] = locks;
+    } else {
+      delete table[index];
+    }
+    let waiters = this._lockWaiters[index];
+    if (waiters) {
+      delete this._lockWaiters[index];
+      waiters.forEach(function (callback) {
+        setImmediate(callback);
+      });
+    }
+    return;
+  }
+
+  /**
+   * Begins a transaction, which can be nested in another transaction
+   * Every inode is saved the first time it changes, and mutation events are held back
+   */
+  beginTransaction () {
+    this._savepoints.push({
+      iNodes: {},
+      states: {},
+      counter: this._counter,
+      usage: {
+        bytes: this._usage.bytes,
+        inodes: this._usage.inodes,
+        uids: Object.assign({}, this._usage.uids)
+      },
+      events: []
+    });
+    return;
+  }
+
+  /**
+   * Commits the innermost transaction
+   * Its saved inodes pass to the enclosing transaction, or are dropped and the held back mutation events are emitted
+   */
+  commitTransaction () {
+    let savepoint = this._savepoints.pop();
+    let outer = this._savepoints[this._savepoints.length - 1];
+    for (let index in savepoint.iNodes) {
+      let iNode = savepoint.iNodes[index];
+      if (outer && !outer.iNodes.hasOwnProperty(index)) {
+        outer.iNodes[index] = iNode;
+        outer.states[index] = savepoint.states[index];
+      } else if (iNode) {
+        iNode._discard(savepoint.states[index]);
+      }
+    }
+    if (outer) {
+      outer.events = outer.events.concat(savepoint.events);
+    } else {
+      savepoint.events.forEach((args) => {
+        super.emit.apply(this, args);
+      });
+    }
+    return;
+  }
+
+  /**
+   * Rolls back the innermost transaction
+   * Changed and deleted inodes are restored in place, inodes created during the transaction are dropped
+   * Private references are not restored, so the caller must drop the references it took during the transaction first
+   * Restored inodes without hardlinks or private references are then garbage collected
+   */
+  rollbackTransaction () {
+    let savepoint = this._savepoints.pop();
+    for (let index in savepoint.iNodes) {
+      let iNode = savepoint.iNodes[index];
+      this._snapshots.forEach((snapshot) => {
+        this._saveINode(snapshot, index);
+      });
+      if (iNode) {
+        iNode._load(savepoint.states[index]);
+        iNode._discard(savepoint.states[index]);
+        this._inodes[index] = iNode;
+      } else if (this._inodes[index]) {
+        if (this._inodes[index] instanceof File) {
+          this._inodes[index]._releaseBlocks();
+        }
+        delete this._inodes[index];
+        delete this._references[index];
+      }
+    }
+    this._counter = savepoint.counter;
+    this._usage = savepoint.usage;
+    for (let index in savepoint.iNodes) {
+      // collecting a directory can collect its parent before the parent is reached
+      if (savepoint.iNodes[index] && this._inodes[index]) {
+        this._gcINode(index);
+      }
+    }
+    return;
+  }
+
+  /**
+   * Saves an inode into the innermost transaction and all snapshots before it changes
+   * Inodes are only saved once per transaction or snapshot, and nothing is saved if there are none
+   * @param {number} index
+   */
+  preserveINode (index) {
+    this._savepoints.slice(-1).concat(this._snapshots).forEach((record) => {
+      this._saveINode(record, index);
+    });
+    return;
+  }
+
+  /**
+   * Saves an inode into a transaction or snapshot unless it is already saved there
+   * An inode that does not exist is saved as null
+   * @private
+   * @param {{iNodes: Object, states: Object}} record
+   * @param {number} index
+   */
+  _saveINode (record, index) {
+    if (record.iNodes.hasOwnProperty(index)) {
+      return;
+    }
+    let iNode = this._inodes[index];
+    if (!iNode) {
+      record.iNodes[index] = null;
+      return;
+    }
+    record.iNodes[index] = iNode;
+    record.states[index] = iNode._save();
+    return;
+  }
+
+  /**
+   * Takes a snapshot of all inodes
+   * This is constant time, inodes are only saved the first time they change after the snapshot
+   * File blocks and directory entries are shared copy-on-write with the snapshot
+   * @returns {Object} The snapshot record
+   */
+  takeSnapshot () {
+    let snapshot = {
+      iNodes: {},
+      states: {},
+      usage: {
+        bytes: this._usage.bytes,
+        inodes: this._usage.inodes,
+        uids: Object.assign({}, this._usage.uids)
+      }
+    };
+    this._snapshots.push(snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Releases a snapshot, its saved inodes are dropped
+   * @param {Object} snapshot - The snapshot record
+   */
+  releaseSnapshot (snapshot) {
+    let position = this._snapshots.indexOf(snapshot);
+    if (position === -1) {
+      return;
+    }
+    this._snapshots.splice(position, 1);
+    for (let index in snapshot.iNodes) {
+      if (snapshot.iNodes[index]) {
+        snapshot.iNodes[index]._discard(snapshot.states[index]);
+      }
+    }
+    return;
+  }
+
+  /**
+   * Creates a copy of an inode as it was when a snapshot was taken
+   * The copy shares the blocks of files and the entries of directories copy-on-write
+   * @param {Object} snapshot - The snapshot record
+   * @param {number} index
+   * @param {INodeManager} iNodeMgr - Manager of the copy
+   * @returns {File|Directory|Symlink|CharacterDev|FIFO|undefined}
+   */
+  copySnapshotINode (snapshot, index, iNodeMgr) {
+    if (snapshot.iNodes.hasOwnProperty(index)) {
+      let iNode = snapshot.iNodes[index];
+      if (!iNode) {
+        return;
+      }
+      return iNode.constructor._fromState(snapshot.states[index], iNodeMgr);
+    }
+    let iNode = this._inodes[index];
+    if (!iNode) {
+      return;
+    }
+    let state = iNode._save();
+    let copy = iNode.constructor._fromState(state, iNodeMgr);
+    iNode._discard(state);
+    return copy;
+  }
+
+  /**
+   * Checks if an inode is in a snapshot as the same object
+   * @param {Object} snapshot - The snapshot record
+   * @param {File|Directory|Symlink|CharacterDev|FIFO} iNode
+   * @returns {boolean}
+   */
+  inSnapshot (snapshot, iNode) {
+    let index = iNode.getMetadata().ino;
+    if (snapshot.iNodes.hasOwnProperty(index)) {
+      return snapshot.iNodes[index] === iNode;
+    }
+    return this._inodes[index] === iNode;
+  }
+
+  /**
+   * Restores all inodes to a snapshot, the snapshot stays usable
+   * Inodes created after the snapshot are dropped, so the caller must drop their private references first
+   * Directory entry changes and file content changes are emitted as mutation events
+   * Restored inodes without hardlinks or private references are then garbage collected
+   * @param {Object} snapshot - The snapshot record
+   */
+  restoreSnapshot (snapshot) {
+    let events = [];
+    for (let index in snapshot.iNodes) {
+      this.preserveINode(index);
+      let saved = snapshot.iNodes[index];
+      let iNode = this._inodes[index];
+      if (iNode && iNode !== saved) {
+        if (iNode instanceof File) {
+          iNode._releaseBlocks();
+        }
+        delete this._inodes[index];
+        delete this._references[index];
+        iNode = undefined;
+      }
+      if (!saved) {
+        continue;
+      }
+      let state = snapshot.states[index];
+      if (saved instanceof Directory) {
+        let entries = iNode ? saved.getEntryMap() : {};
+        Object.keys(Object.assign({}, entries, state.entries)).forEach(function (name) {
+          if (entries[name] !== state.entries[name]) {
+            events.push([Number(index), 'rename', name]);
+          }
+        });
+      } else if (saved instanceof File && iNode) {
+        let changed = saved._blockCount !== state.blockCount ||
+          saved.getMetadata().size !== state.metadata.size ||
+          Object.keys(state.blocks).some(function (block) {
+            return saved._blocks[block] !== state.blocks[block];
+          });
+        if (changed) {
+          events.push([Number(index), 'change', null, Object.keys(state.parents).map(Number)]);
+        }
+      }
+      saved._load(state);
+      this._inodes[index] = saved;
+    }
+    this._usage = {
+      bytes: snapshot.usage.bytes,
+      inodes: snapshot.usage.inodes,
+      uids: Object.assign({}, snapshot.usage.uids)
+    };
+    for (let index in snapshot.iNodes) {
+      if (snapshot.iNodes[index] && this._inodes[index]) {
+        this._gcINode(index);
+      }
+    }
+    events.forEach((args) => {
+      this.emit.apply(this, ['mutation'].concat(args));
+    });
+    return;
+  }
+
+  /**
+   * Emits an event, mutation events are held back while a transaction is open
+   * @param {string} eventName
+   * @returns {boolean}
+   */
+  emit (eventName) {
+    let savepoint = this._savepoints[this._savepoints.length - 1];
+    if (eventName === 'mutation' && savepoint) {
+      savepoint.events.push(Array.prototype.slice.call(arguments));
+      return this.listenerCount(eventName) > 0;
+    }
+    return super.emit.apply(this, arguments);
+  }
+
+  /**
+   * Serializes all linked inodes and the inode counter into a plain object
+   * Inodes only kept alive by private references are not serialized
+   * @param {function(Buffer): *} [encodeData] - Encodes file data
+   * @returns {{counter: number, inodes: Object.<number, Object>}}
+   */
+  toJSON (encodeData) {
+    let inodes = {};
+    for (let index in this._inodes) {
+      let iNode = this._inodes[index];
+      if (iNode.getMetadata().nlink === 0) {
+        continue;
+      }
+      if (iNode instanceof File) {
+        inodes[index] = iNode.toJSON(encodeData);
+      } else {
+        inodes[index] = iNode.toJSON();
+      }
+    }
+    return {
+      counter: this._counter,
+      inodes: inodes
+    };
+  }
+
+  /**
+   * Deserializes an INodeManager from a plain object created by toJSON
+   * The usage is recounted, but limits are not enforced on the deserialized inodes
+   * @param {{counter: number, inodes: Object.<number, Object>}} json
+   * @param {function(*): Buffer} [decodeData] - Decodes file data
+   * @param {Object} [limits] - Limits of the new INodeManager
+   * @param {Object} [options] - Clock and atime policy of the new INodeManager
+   * @returns {INodeManager}
+   * @throws {TypeError} Will throw on unknown inode types
+   */
+  static fromJSON (json, decodeData, limits, options) {
+    let iNodeMgr = new INodeManager(limits, options);
+    iNodeMgr._counter = json.counter;
+    for (let index in json.inodes) {
+      let iNodeJSON = json.inodes[index];
+      let iNodeConstructor;
+      switch (iNodeJSON.type) {
+      case 'File':
+        iNodeConstructor = File;
+        break;
+      case 'Directory':
+        iNodeConstructor = Directory;
+        break;
+      case 'Symlink':
+        iNodeConstructor = Symlink;
+        break;
+      case 'CharacterDev':
+        iNodeConstructor = CharacterDev;
+        break;
+      case 'FIFO':
+        iNodeConstructor = FIFO;
+        break;
+      default:
+        throw new TypeError('Unknown inode type: ' + iNodeJSON.type);
+      }
+      let iNode = iNodeConstructor.fromJSON(iNodeJSON, iNodeMgr, decodeData);
+      iNodeMgr._inodes[index] = iNode;
+      ++iNodeMgr._usage.inodes;
+      if (iNode instanceof File) {
+        iNodeMgr._chargeData(iNode.getMetadata().uid, iNode.getAllocatedBytes());
+      }
+    }
+    // the parents of files are not serialized, they are found from the directory entries
+    for (let index in iNodeMgr._inodes) {
+      let iNode = iNodeMgr._inodes[index];
+      if (iNode instanceof Directory) {
+        let entries = iNode.getEntryMap();
+        for (let name in entries) {
+          let entry = iNodeMgr._inodes[entries[name]];
+          if (name !== '.' && name !== '..' && entry instanceof File) {
+            entry.addParent(Number(index));
+          }
+        }
+      }
+    }
+    return iNodeMgr;
+  }
+
+  /**
+   * Garbage collects an inode only if it has no hardlinks and no private references
+   * The inode's destructor is called before it is deleted
+   * Its file data and the inode itself are freed
+   * @private
+   * @param {number} index
+   */
+  _gcINode (index) {
+    if (this._inodes[index]._metadata.nlink === 0 &&
+        !this._references[index])
+    {
+      this.preserveINode(index);
+      let iNode = this._inodes[index];
       delete this._inodes[index];
+      --this._usage.inodes;
+      if (iNode instanceof File) {
+        this._chargeData(iNode.getMetadata().uid, -iNode.getAllocatedBytes());
+      }
+      iNode.destructor();
+    }
+    return;
+  }
+
+}
+
+/**
+ * Class that manages the read-only inodes of a snapshot
+ * Inodes are copied from the source INodeManager as they are first used
+ * Snapshot inodes do not update atime and are never garbage collected
+ * @extends INodeManager
+ */
+class SnapshotINodeManager extends INodeManager {
+
+  /**
+   * Creates an instance of the SnapshotINodeManager
+   * @param {INodeManager} source
+   * @param {Object} snapshot - Snapshot record taken of the source
+   */
+  constructor (source, snapshot) {
+    super(source.getLimits(), { clock: source._clock });
+    this._source = source;
+    this._snapshot = snapshot;
+    this._counter = source._counter;
+    this._usage = {
+      bytes: snapshot.usage.bytes,
+      inodes: snapshot.usage.inodes,
+      uids: Object.assign({}, snapshot.usage.uids)
+    };
+  }
+
+  /**
+   * Gets the snapshot record
+   * @returns {Object|null} Null if the snapshot has been released
+   */
+  getSnapshot () {
+    return this._snapshot;
+  }
+
+  getAtimePolicy () {
+    return 'noatime';
+  }
+
+  /**
+   * Gets the inode, copying it from the source the first time
+   * @param {number} index
+   * @returns {File|Directory|Symlink|CharacterDev|FIFO|undefined}
+   * @throws {FSError} Will throw EBADF if the snapshot has been released
+   */
+  getINode (index) {
+    if (!this._inodes.hasOwnProperty(index)) {
+      if (!this._snapshot) {
+        throw new FSError(errno.code.EBADF, 'snapshot');
+      }
+      let iNode = this._source.copySnapshotINode(this._snapshot, index, this);
+      if (!iNode) {
+        return;
+      }
+      this._inodes[index] = iNode;
     }
+    return this._inodes[index];
+  }
+
+  /**
+   * Serializes all inodes of the snapshot, copying the ones not used yet
+   * @param {function(Buffer): *} [encodeData]
+   * @returns {{counter: number, inodes: Object.<number, Object>}}
+   */
+  toJSON (encodeData) {
+    Object.keys(this._source._inodes)
+      .concat(Object.keys(this._snapshot.iNodes))
+      .forEach((index) => {
+        this.getINode(index);
+      });
+    return super.toJSON(encodeData);
+  }
+
+  /**
+   * Releases the snapshot, the copied inodes and the inodes saved for the snapshot are dropped
+   */
+  release () {
+    if (!this._snapshot) {
+      return;
+    }
+    this._source.releaseSnapshot(this._snapshot);
+    this._snapshot = null;
+    for (let index in this._inodes) {
+      if (this._inodes[index] instanceof File) {
+        this._inodes[index]._releaseBlocks();
+      }
+    }
+    this._inodes = {};
+    return;
+  }
+
+  /**
+   * Snapshot inodes are never garbage collected
+   * @private
+   */
+  _gcINode () {
     return;
   }
 
 }
 
+exports.BLOCK_SIZE = BLOCK_SIZE;
 exports.File = File;
 exports.Directory = Directory;
 exports.Symlink = Symlink;
+exports.CharacterDev = CharacterDev;
+exports.FIFO = FIFO;
 exports.INodeManager = INodeManager;
+exports.SnapshotINodeManager = SnapshotINodeManager;
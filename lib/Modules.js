@@ -0,0 +1,429 @@
+'use strict';
+
+// module paths are posix paths, as the filesystem has no Windows path support
+const path = require('path').posix;
+const vm = require('vm');
+const builtinModules = require('module').builtinModules || [];
+
+// conditions matched in the "exports" of package.json
+const EXPORTS_CONDITIONS = ['require', 'node', 'default'];
+
+/**
+ * Class representing a module loaded from an FS
+ * This simulates Node's module object
+ */
+class Module {
+
+  /**
+   * Creates a Module
+   * @param {string} filename - Real path of the module
+   * @param {Module|null} parent - Module that first required it
+   */
+  constructor (filename, parent) {
+    this.id = filename;
+    this.filename = filename;
+    this.path = path.dirname(filename);
+    this.parent = parent;
+    this.exports = {};
+    this.loaded = false;
+    this.children = [];
+    this.require = null;
+  }
+
+}
+
+/**
+ * Class representing the module loader of an FS
+ * Modules are resolved like Node's require, looking up node_modules, package.json "main" and "exports"
+ * Resolved paths are real paths, so modules in symlinked packages resolve their own requires from the link target
+ * Modules are cached by their real path until they are deleted from require.cache
+ * Only .js and .json files are loaded, other extensions are run as JavaScript
+ * Node's builtin modules are required from the host
+ */
+class ModuleLoader {
+
+  /**
+   * Creates a ModuleLoader
+   * @param {FS} fs
+   */
+  constructor (fs) {
+    this._fs = fs;
+    this._cache = Object.create(null);
+  }
+
+  /**
+   * Creates a require function resolving relative to a file
+   * @param {string} filename - Absolute path of the file, a path ending with '/' is a directory
+   * @returns {function(string): *}
+   */
+  createRequire (filename) {
+    if (filename[filename.length - 1] === '/') {
+      filename = path.join(filename, 'noop.js');
+    }
+    let parent = new Module(filename, null);
+    parent.require = this._makeRequire(parent);
+    return parent.require;
+  }
+
+  /**
+   * Makes the require function of a module
+   * @private
+   * @param {Module} module
+   * @returns {function(string): *}
+   */
+  _makeRequire (module) {
+    let require = (id) => {
+      return this._load(id, module);
+    };
+    require.resolve = (id) => {
+      if (isBuiltin(id)) {
+        return id;
+      }
+      return this._resolve(id, module);
+    };
+    require.cache = this._cache;
+    return require;
+  }
+
+  /**
+   * Loads a module, or gets it from the cache
+   * @private
+   * @param {string} id
+   * @param {Module} parent
+   * @returns {*} The exports of the module
+   */
+  _load (id, parent) {
+    if (isBuiltin(id)) {
+      return require(id);
+    }
+    let filename = this._resolve(id, parent);
+    let cached = this._cache[filename];
+    if (cached) {
+      addChild(parent, cached);
+      return cached.exports;
+    }
+    let module = new Module(filename, parent);
+    module.require = this._makeRequire(module);
+    // the module is cached before it runs, so circular requires get its partial exports
+    this._cache[filename] = module;
+    addChild(parent, module);
+    try {
+      this._compile(module);
+    } catch (e) {
+      delete this._cache[filename];
+      throw e;
+    }
+    module.loaded = true;
+    return module.exports;
+  }
+
+  /**
+   * Runs a module
+   * @private
+   * @param {Module} module
+   */
+  _compile (module) {
+    let source = this._fs.readFileSync(module.filename, 'utf8').replace(/^\uFEFF/, '');
+    if (path.extname(module.filename) === '.json') {
+      try {
+        module.exports = JSON.parse(source);
+      } catch (e) {
+        e.message = module.filename + ': ' + e.message;
+        throw e;
+      }
+      return;
+    }
+    // a shebang line is commented out, so line numbers stay the same
+    source = source.replace(/^#!/, '//');
+    let wrapper = vm.runInThisContext(
+      '(function (exports, require, module, __filename, __dirname) { ' + source + '\n});',
+      { filename: module.filename }
+    );
+    wrapper.call(
+      module.exports,
+      module.exports,
+      module.require,
+      module,
+      module.filename,
+      module.path
+    );
+  }
+
+  /**
+   * Resolves a module id to the real path of its file
+   * @private
+   * @param {string} id
+   * @param {Module} parent
+   * @returns {string}
+   * @throws {Error|TypeError} Will throw MODULE_NOT_FOUND or ERR_PACKAGE_PATH_NOT_EXPORTED, TypeError if the id is not a non-empty string
+   */
+  _resolve (id, parent) {
+    if (typeof id !== 'string' || !id) {
+      throw new TypeError('The module id must be a non-empty string');
+    }
+    let dir = path.dirname(parent.filename);
+    let found;
+    if (/^(\.\.?(\/|$)|\/)/.test(id)) {
+      let base = path.resolve(dir, id);
+      found = this._loadAsFile(base) || this._loadAsDirectory(base);
+    } else {
+      found = this._loadNodeModules(id, dir, parent);
+    }
+    if (!found) {
+      throw notFound(id, parent);
+    }
+    return this._fs.realpathSync(found);
+  }
+
+  /**
+   * Finds a file with or without an extension
+   * @private
+   * @param {string} pathS
+   * @returns {string|undefined}
+   */
+  _loadAsFile (pathS) {
+    return [pathS, pathS + '.js', pathS + '.json'].find((file) => this._isFile(file));
+  }
+
+  /**
+   * Finds the index of a directory
+   * @private
+   * @param {string} pathS
+   * @returns {string|undefined}
+   */
+  _loadIndex (pathS) {
+    return [
+      path.join(pathS, 'index.js'),
+      path.join(pathS, 'index.json')
+    ].find((file) => this._isFile(file));
+  }
+
+  /**
+   * Finds the "main" of a package directory, or its index
+   * @private
+   * @param {string} pathS
+   * @returns {string|undefined}
+   */
+  _loadAsDirectory (pathS) {
+    let pkg = this._readPackage(pathS);
+    if (pkg && typeof pkg.main === 'string') {
+      let main = path.resolve(pathS, pkg.main);
+      let found = this._loadAsFile(main) || this._loadIndex(main);
+      if (found) {
+        return found;
+      }
+    }
+    return this._loadIndex(pathS);
+  }
+
+  /**
+   * Finds a package in the node_modules directories from a directory up to root
+   * Packages with "exports" in their package.json are only resolved through them
+   * @private
+   * @param {string} id
+   * @param {string} dir
+   * @param {Module} parent
+   * @returns {string|undefined}
+   * @throws {Error} Will throw ERR_PACKAGE_PATH_NOT_EXPORTED or MODULE_NOT_FOUND if "exports" does not resolve
+   */
+  _loadNodeModules (id, dir, parent) {
+    let name = id.split('/').slice(0, (id[0] === '@') ? 2 : 1).join('/');
+    let subpath = '.' + id.slice(name.length);
+    for (let current = dir; ; current = path.dirname(current)) {
+      if (path.basename(current) !== 'node_modules') {
+        let modules = path.join(current, 'node_modules');
+        let pkgDir = path.join(modules, name);
+        let pkg = this._readPackage(pkgDir);
+        if (pkg && typeof pkg.exports !== 'undefined' && pkg.exports !== null) {
+          return this._resolveExports(pkgDir, subpath, pkg.exports, id, parent);
+        }
+        let base = path.join(modules, id);
+        let found = this._loadAsFile(base) || this._loadAsDirectory(base);
+        if (found) {
+          return found;
+        }
+      }
+      if (current === '/') {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Resolves a subpath of a package through its "exports"
+   * Subpaths can be exact or have a single '*' pattern, targets can be conditional on 'require', 'node' and 'default'
+   * @private
+   * @param {string} pkgDir
+   * @param {string} subpath - Subpath starting with '.'
+   * @param {string|Array|Object} exports
+   * @param {string} id
+   * @param {Module} parent
+   * @returns {string}
+   * @throws {Error} Will throw ERR_PACKAGE_PATH_NOT_EXPORTED or MODULE_NOT_FOUND
+   */
+  _resolveExports (pkgDir, subpath, exports, id, parent) {
+    if (typeof exports !== 'object' || Array.isArray(exports) ||
+        !Object.keys(exports).some(function (key) { return key[0] === '.'; }))
+    {
+      exports = { '.': exports };
+    }
+    let target = null;
+    if (Object.prototype.hasOwnProperty.call(exports, subpath)) {
+      target = exportsTarget(exports[subpath], '');
+    } else {
+      // the pattern with the longest prefix before its '*' wins
+      let best = null;
+      Object.keys(exports).forEach(function (key) {
+        let star = key.indexOf('*');
+        if (star === -1 || key.indexOf('*', star + 1) !== -1) {
+          return;
+        }
+        let prefix = key.slice(0, star);
+        let suffix = key.slice(star + 1);
+        if (subpath.length >= key.length &&
+            subpath.startsWith(prefix) &&
+            subpath.endsWith(suffix) &&
+            (!best || prefix.length > best.prefix.length))
+        {
+          best = {
+            key: key,
+            prefix: prefix,
+            match: subpath.slice(prefix.length, subpath.length - suffix.length)
+          };
+        }
+      });
+      if (best) {
+        target = exportsTarget(exports[best.key], best.match);
+      }
+    }
+    if (target === null) {
+      let e = new Error(
+        'Package subpath \'' + subpath + '\' is not defined by "exports" in ' +
+        path.join(pkgDir, 'package.json')
+      );
+      e.code = 'ERR_PACKAGE_PATH_NOT_EXPORTED';
+      throw e;
+    }
+    let resolved = path.resolve(pkgDir, target);
+    if (!this._isFile(resolved)) {
+      throw notFound(id, parent);
+    }
+    return resolved;
+  }
+
+  /**
+   * Reads the package.json of a directory
+   * @private
+   * @param {string} dir
+   * @returns {Object|null} Null if the directory has no package.json
+   * @throws {Error} Will throw if the package.json cannot be parsed
+   */
+  _readPackage (dir) {
+    let file = path.join(dir, 'package.json');
+    if (!this._isFile(file)) {
+      return null;
+    }
+    try {
+      return JSON.parse(this._fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      e.message = 'Error parsing ' + file + ': ' + e.message;
+      throw e;
+    }
+  }
+
+  /**
+   * Checks if a path is a file, following symlinks
+   * @private
+   * @param {string} pathS
+   * @returns {boolean}
+   */
+  _isFile (pathS) {
+    try {
+      return this._fs.statSync(pathS).isFile();
+    } catch (e) {
+      return false;
+    }
+  }
+
+}
+
+/**
+ * Gets the target of an "exports" entry
+ * @private
+ * @param {string|Array|Object|null} target
+ * @param {string} match - Replaces the '*' of the target
+ * @returns {string|null} Null if the entry does not export anything for require
+ */
+function exportsTarget (target, match) {
+  if (typeof target === 'string') {
+    return (target.startsWith('./')) ? target.replace(/\*/g, match) : null;
+  }
+  if (Array.isArray(target)) {
+    for (let i = 0; i < target.length; ++i) {
+      let resolved = exportsTarget(target[i], match);
+      if (resolved !== null) {
+        return resolved;
+      }
+    }
+    return null;
+  }
+  if (target && typeof target === 'object') {
+    // conditions are matched in the order of the keys
+    let keys = Object.keys(target);
+    for (let i = 0; i < keys.length; ++i) {
+      if (EXPORTS_CONDITIONS.indexOf(keys[i]) !== -1) {
+        let resolved = exportsTarget(target[keys[i]], match);
+        if (resolved !== null) {
+          return resolved;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks if a module id is a Node builtin module
+ * @private
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isBuiltin (id) {
+  return typeof id === 'string' &&
+    (id.startsWith('node:') || builtinModules.indexOf(id) !== -1);
+}
+
+/**
+ * Records a module as a child of the module requiring it
+ * @private
+ * @param {Module} parent
+ * @param {Module} child
+ */
+function addChild (parent, child) {
+  if (parent.children.indexOf(child) === -1) {
+    parent.children.push(child);
+  }
+}
+
+/**
+ * Creates the error of a module that cannot be found, like Node's
+ * @private
+ * @param {string} id
+ * @param {Module} parent
+ * @returns {Error}
+ */
+function notFound (id, parent) {
+  let requireStack = [];
+  for (let module = parent; module; module = module.parent) {
+    requireStack.push(module.filename);
+  }
+  let e = new Error(
+    'Cannot find module \'' + id + '\'\nRequire stack:\n- ' + requireStack.join('\n- ')
+  );
+  e.code = 'MODULE_NOT_FOUND';
+  e.requireStack = requireStack;
+  return e;
+}
+
+exports.Module = Module;
+exports.ModuleLoader = ModuleLoader;
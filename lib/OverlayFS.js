@@ -0,0 +1,874 @@
+'use strict';
+
+const Buffer = require('buffer').Buffer;
+const errno = require('./errno');
+const clone = require('component-clone');
+const constants = require('./constants');
+const FSError = require('./FSError');
+const Stat = require('./Stat');
+const Dirent = require('./Dirent');
+const inodes = require('./INodes');
+const FS = require('./VirtualFS').FS;
+
+const File = inodes.File;
+const Directory = inodes.Directory;
+const Symlink = inodes.Symlink;
+const CharacterDev = inodes.CharacterDev;
+const FIFO = inodes.FIFO;
+
+// maximum symlinks followed in a single path resolution, this matches Linux
+const MAX_SYMLINKS = 40;
+
+/**
+ * Class representing a copy-on-write overlay filesystem
+ * The lower layer is read only, it can be Node's fs or another FS
+ * The upper layer is the in-memory FS this class extends
+ * Modifying a lower inode copies it up to the upper layer first
+ * Deleting a lower inode records a whiteout that hides it and everything underneath it
+ * Paths are resolved through the merged view, so symlinks may cross layers
+ * Operations not overridden here only see the upper layer
+ * @extends FS
+ */
+class OverlayFS extends FS {
+
+  /**
+   * Constructs an OverlayFS
+   * @param {Object} lower - Node's fs or an FS, it must have lstatSync, readdirSync, readlinkSync and readFileSync
+   * @param {Object} [options] - Options passed to the FS constructor
+   * @param {string} [options.lowerRoot=''] - Path in the lower layer that is the root of the overlay
+   */
+  constructor (lower, options) {
+    options = options || {};
+    super(options);
+    this._lower = lower;
+    this._lowerRoot = (options.lowerRoot || '').replace(/\/+$/, '');
+    this._whiteouts = {};
+  }
+
+  /**
+   * Saves the state of this FS for a transaction, including the whiteouts
+   * @private
+   * @returns {Object}
+   */
+  _saveState () {
+    let state = super._saveState();
+    state.whiteouts = Object.assign({}, this._whiteouts);
+    return state;
+  }
+
+  /**
+   * Restores the state saved by _saveState when a transaction is rolled back
+   * @private
+   * @param {Object} state
+   */
+  _rollbackState (state) {
+    super._rollbackState(state);
+    this._whiteouts = state.whiteouts;
+    return;
+  }
+
+  /**
+   * Snapshots are not supported, as they cannot read through to the lower layer
+   * @throws {FSError} Will throw ENOTSUP
+   */
+  snapshot () {
+    throw new FSError(errno.code.ENOTSUP, 'snapshot');
+  }
+
+  /**
+   * Snapshots are not supported, as they cannot read through to the lower layer
+   * @throws {FSError} Will throw ENOTSUP
+   */
+  restore () {
+    throw new FSError(errno.code.ENOTSUP, 'restore');
+  }
+
+  /**
+   * Maps a canonical overlay path to the lower layer
+   * @private
+   * @param {string} pathC
+   * @returns {string}
+   */
+  _lowerPath (pathC) {
+    if (pathC === '/') {
+      return this._lowerRoot || '/';
+    }
+    return this._lowerRoot + pathC;
+  }
+
+  /**
+   * Checks if a canonical path or any of its ancestors is whited out
+   * @private
+   * @param {string} pathC
+   * @returns {boolean}
+   */
+  _isWhiteout (pathC) {
+    let current = pathC;
+    while (current !== '/') {
+      if (this._whiteouts.hasOwnProperty(current)) {
+        return true;
+      }
+      current = this._dirname(current);
+    }
+    return false;
+  }
+
+  /**
+   * Gets the parent of a canonical path
+   * @private
+   * @param {string} pathC
+   * @returns {string}
+   */
+  _dirname (pathC) {
+    let dir = pathC.slice(0, pathC.lastIndexOf('/'));
+    return dir || '/';
+  }
+
+  /**
+   * Joins a name onto a canonical path
+   * @private
+   * @param {string} pathC
+   * @param {string} name
+   * @returns {string}
+   */
+  _join (pathC, name) {
+    return (pathC === '/') ? '/' + name : pathC + '/' + name;
+  }
+
+  /**
+   * Gets the upper inode at a canonical path without following the last symlink
+   * @private
+   * @param {string} pathC
+   * @returns {File|Directory|Symlink|null}
+   */
+  _upperINode (pathC) {
+    return this._navigate(pathC, false).target;
+  }
+
+  /**
+   * Gets the lower stat at a canonical path, whiteouts hide lower stats
+   * @private
+   * @param {string} pathC
+   * @returns {Stat|null}
+   */
+  _lowerStat (pathC) {
+    if (this._isWhiteout(pathC)) {
+      return null;
+    }
+    let stat;
+    try {
+      stat = this._lower.lstatSync(this._lowerPath(pathC));
+    } catch (e) {
+      return null;
+    }
+    return new Stat({
+      dev: stat.dev,
+      ino: stat.ino,
+      mode: stat.mode,
+      nlink: stat.nlink,
+      uid: stat.uid,
+      gid: stat.gid,
+      rdev: stat.rdev,
+      size: stat.size,
+      atime: stat.atime,
+      mtime: stat.mtime,
+      ctime: stat.ctime,
+      birthtime: stat.birthtime
+    });
+  }
+
+  /**
+   * Looks up a canonical path in the merged view without following the last symlink
+   * The upper layer takes precedence over the lower layer
+   * @private
+   * @param {string} pathC
+   * @returns {{layer: string, stat: Stat}|null}
+   */
+  _lookup (pathC) {
+    let iNode = this._upperINode(pathC);
+    if (iNode) {
+      return {
+        layer: 'upper',
+        stat: new Stat(clone(iNode.getMetadata()))
+      };
+    }
+    let stat = this._lowerStat(pathC);
+    if (stat) {
+      return {
+        layer: 'lower',
+        stat: stat
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Resolves a path through the merged view into a canonical absolute path
+   * The canonical path contains no symlinks except the last segment if it is not resolved
+   * @private
+   * @param {string} pathS
+   * @param {boolean} resolveLastLink
+   * @returns {string}
+   * @throws {FSError} Will throw ENOENT or ENOTDIR for intermediate segments, EACCES for directories that cannot be searched
+   * and ELOOP for symlink loops
+   */
+  _resolve (pathS, resolveLastLink) {
+    if (!pathS) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    let absolutePath = (pathS[0] === '/') ? pathS : this.cwd() + '/' + pathS;
+    let segments = absolutePath.split('/').filter(function (v) { return v; });
+    let resolved = [];
+    let linkCount = 0;
+    while (segments.length) {
+      let segment = segments.shift();
+      // looking up an entry requires search permission on the directory in either layer
+      let dir = this._lookup('/' + resolved.join('/'));
+      if (!this._checkPermissions(constants.X_OK, dir.stat)) {
+        throw new FSError(errno.code.EACCES, pathS);
+      }
+      if (segment === '.') {
+        continue;
+      }
+      if (segment === '..') {
+        resolved.pop();
+        continue;
+      }
+      let pathC = '/' + resolved.concat(segment).join('/');
+      let found = this._lookup(pathC);
+      if (found && found.stat.isSymbolicLink() && (segments.length || resolveLastLink)) {
+        ++linkCount;
+        if (linkCount > MAX_SYMLINKS) {
+          throw new FSError(errno.code.ELOOP, pathS);
+        }
+        let link = this._readlink(pathC, found.layer);
+        if (link[0] === '/') {
+          resolved = [];
+        }
+        segments = link.split('/').filter(function (v) { return v; }).concat(segments);
+        continue;
+      }
+      if (segments.length) {
+        if (!found) {
+          throw new FSError(errno.code.ENOENT, pathS);
+        }
+        if (!found.stat.isDirectory()) {
+          throw new FSError(errno.code.ENOTDIR, pathS);
+        }
+      }
+      resolved.push(segment);
+    }
+    return '/' + resolved.join('/');
+  }
+
+  /**
+   * Reads a symlink from a layer
+   * @private
+   * @param {string} pathC
+   * @param {string} layer
+   * @returns {string}
+   */
+  _readlink (pathC, layer) {
+    if (layer === 'upper') {
+      return super.readlinkSync(pathC);
+    }
+    return this._lower.readlinkSync(this._lowerPath(pathC));
+  }
+
+  /**
+   * Lists the merged entries of a canonical directory path
+   * @private
+   * @param {string} pathC
+   * @returns {string[]}
+   */
+  _readdir (pathC) {
+    let names = [];
+    let iNode = this._upperINode(pathC);
+    if (iNode instanceof Directory) {
+      names = super.readdirSync(pathC);
+    }
+    let stat = this._lowerStat(pathC);
+    if (stat && stat.isDirectory()) {
+      this._lower.readdirSync(this._lowerPath(pathC)).forEach((name) => {
+        if (names.indexOf(name) === -1 &&
+            !this._whiteouts.hasOwnProperty(this._join(pathC, name)))
+        {
+          names.push(name);
+        }
+      });
+    }
+    return names;
+  }
+
+  /**
+   * Copies a lower inode up to the upper layer, its ancestors are copied up first
+   * Modes, ownership, atimes, mtimes and extended attributes are kept
+   * Directories are copied up without their entries, FIFOs are copied up empty and character devices keep their device number
+   * @private
+   * @param {string} pathC
+   * @param {boolean} [withData=true] - If false, files are copied up empty
+   * @throws {FSError} Will throw ENOTSUP for block devices and sockets of the host filesystem
+   */
+  _copyUp (pathC, withData) {
+    if (pathC === '/' || this._upperINode(pathC)) {
+      return;
+    }
+    let stat = this._lowerStat(pathC);
+    if (!stat) {
+      return;
+    }
+    let parentPath = this._dirname(pathC);
+    this._copyUp(parentPath, true);
+    let parent = this._navigate(parentPath, false).target;
+    let props = {
+      mode: stat.mode,
+      uid: stat.uid,
+      gid: stat.gid
+    };
+    let iNodeConstructor;
+    if (stat.isDirectory()) {
+      iNodeConstructor = Directory;
+      props.parent = parent.getEntryIndex('.');
+    } else if (stat.isSymbolicLink()) {
+      iNodeConstructor = Symlink;
+      props.link = this._lower.readlinkSync(this._lowerPath(pathC));
+    } else if (stat.isFIFO()) {
+      // reading the lower FIFO would wait for a writer, a pipe holds no data to copy up
+      iNodeConstructor = FIFO;
+    } else if (stat.isCharacterDevice()) {
+      iNodeConstructor = CharacterDev;
+      props.rdev = stat.rdev;
+    } else if (!stat.isFile()) {
+      throw new FSError(errno.code.ENOTSUP, pathC);
+    } else {
+      iNodeConstructor = File;
+      if (withData === false) {
+        props.data = Buffer.alloc(0);
+      } else {
+        props.data = Buffer.from(this._lower.readFileSync(this._lowerPath(pathC)));
+      }
+    }
+    let index = this._inodeMgr.createINode(iNodeConstructor, props);
+    parent.addEntry(pathC.slice(pathC.lastIndexOf('/') + 1), index);
+    let iNode = this._inodeMgr.getINode(index);
+    if (typeof this._lower.llistxattrSync === 'function') {
+      let lowerPath = this._lowerPath(pathC);
+      this._lower.llistxattrSync(lowerPath).forEach((name) => {
+        iNode.setXattr(name, this._lower.lgetxattrSync(lowerPath, name));
+      });
+    }
+    let metadata = iNode.getMetadata();
+    metadata.atime = new Date(stat.atime.getTime());
+    metadata.mtime = new Date(stat.mtime.getTime());
+    return;
+  }
+
+  /**
+   * Calls an extended attribute operation on the lower layer
+   * @private
+   * @param {string} fn - Operation of the lower layer
+   * @param {string} pathC
+   * @param {Array} args - Arguments after the path
+   * @returns {*}
+   * @throws {FSError} Will throw ENOTSUP if the lower layer has no extended attributes
+   */
+  _lowerXattr (fn, pathC, args) {
+    if (typeof this._lower[fn] !== 'function') {
+      throw new FSError(errno.code.ENOTSUP, pathC);
+    }
+    return this._lower[fn].apply(this._lower, [this._lowerPath(pathC)].concat(args));
+  }
+
+  /**
+   * Copies up the ancestors of a canonical path
+   * @private
+   * @param {string} pathC
+   */
+  _copyUpParents (pathC) {
+    this._copyUp(this._dirname(pathC), true);
+    return;
+  }
+
+  /**
+   * Copies up a canonical path and everything underneath it
+   * @private
+   * @param {string} pathC
+   */
+  _copyUpTree (pathC) {
+    this._copyUp(pathC, true);
+    if (this._upperINode(pathC) instanceof Directory) {
+      this._readdir(pathC).forEach((name) => {
+        this._copyUpTree(this._join(pathC, name));
+      });
+    }
+    return;
+  }
+
+  /**
+   * Hides the lower inode at a canonical path if there is one
+   * @private
+   * @param {string} pathC
+   */
+  _whiteout (pathC) {
+    if (this._lowerStat(pathC)) {
+      this._whiteouts[pathC] = true;
+    }
+    return;
+  }
+
+  existsSync (pathS) {
+    try {
+      return !!this._lookup(this._resolve(pathS, true));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  statSync (pathS) {
+    let found = this._lookup(this._resolve(pathS, true));
+    if (!found) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    return found.stat;
+  }
+
+  lstatSync (pathS) {
+    let found = this._lookup(this._resolve(pathS, false));
+    if (!found) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    return found.stat;
+  }
+
+  accessSync (pathS, mode) {
+    let pathC = this._resolve(pathS, true);
+    let found = this._lookup(pathC);
+    if (!found) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    if (found.layer === 'upper') {
+      return super.accessSync(pathC, mode);
+    }
+    mode = (typeof mode === 'number') ? mode : constants.F_OK;
+    if (mode !== constants.F_OK && !this._checkPermissions(mode, found.stat)) {
+      throw new FSError(errno.code.EACCES, pathS);
+    }
+    return;
+  }
+
+  realpathSync (pathS) {
+    let pathC = this._resolve(pathS, true);
+    if (!this._lookup(pathC)) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    return pathC;
+  }
+
+  readFileSync (pathS, optionsOrEncoding) {
+    if (typeof pathS === 'number' || getFlag(optionsOrEncoding, 'r') !== 'r') {
+      // read through openSync, which copies up when writing
+      return super.readFileSync(pathS, optionsOrEncoding);
+    }
+    let pathC = this._resolve(pathS, true);
+    let found = this._lookup(pathC);
+    if (!found) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    if (found.layer === 'upper') {
+      return super.readFileSync(pathC, optionsOrEncoding);
+    }
+    if (found.stat.isDirectory()) {
+      throw new FSError(errno.code.EISDIR, pathS);
+    }
+    const encoding =
+          typeof optionsOrEncoding === "object"
+          ? optionsOrEncoding.encoding
+          : optionsOrEncoding;
+    let data = Buffer.from(this._lower.readFileSync(this._lowerPath(pathC)));
+    return encoding ? data.toString(encoding) : data;
+  }
+
+  readdirSync (pathS, optionsOrEncoding) {
+    if (optionsOrEncoding && optionsOrEncoding.recursive) {
+      return super.readdirSync(pathS, optionsOrEncoding);
+    }
+    let pathC = this._resolve(pathS, true);
+    let found = this._lookup(pathC);
+    if (!found) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    if (!found.stat.isDirectory()) {
+      throw new FSError(errno.code.ENOTDIR, pathS);
+    }
+    let names = this._readdir(pathC);
+    if (optionsOrEncoding && optionsOrEncoding.withFileTypes) {
+      return names.map((name) => {
+        return new Dirent(name, this._lookup(this._join(pathC, name)).stat.mode, pathS);
+      });
+    }
+    return names;
+  }
+
+  /**
+   * Gets a directory for globSync to walk through readdirSync, so lower entries are listed
+   * @private
+   * @param {string} pathS
+   * @param {string} rel
+   * @returns {{path: string, rel: string, dir: null, key: string}}
+   */
+  _globNode (pathS, rel) {
+    return this._globPathNode(pathS, rel);
+  }
+
+  readlinkSync (pathS) {
+    let pathC = this._resolve(pathS, false);
+    let found = this._lookup(pathC);
+    if (!found) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    if (!found.stat.isSymbolicLink()) {
+      throw new FSError(errno.code.EINVAL, pathS);
+    }
+    return this._readlink(pathC, found.layer);
+  }
+
+  writeFileSync (pathS, content, optionsOrEncoding) {
+    if (typeof pathS === 'number' || getFlag(optionsOrEncoding, 'w') !== 'w') {
+      // written through openSync, which copies up the data unless truncating
+      return super.writeFileSync(pathS, content, optionsOrEncoding);
+    }
+    let pathC = this._resolve(pathS, true);
+    this._copyUpParents(pathC);
+    this._copyUp(pathC, false);
+    return super.writeFileSync(pathC, content, optionsOrEncoding);
+  }
+
+  truncateSync (pathS, len) {
+    if (typeof pathS === 'number') {
+      return super.truncateSync(pathS, len);
+    }
+    let pathC = this._resolve(pathS, true);
+    if (!this._lookup(pathC)) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    this._copyUpParents(pathC);
+    this._copyUp(pathC, true);
+    return super.truncateSync(pathC, len);
+  }
+
+  copyFileSync (srcPathS, dstPathS, flags) {
+    let srcPathC = this._resolve(srcPathS, true);
+    let dstPathC = this._resolve(dstPathS, !(flags & constants.COPYFILE_EXCL));
+    if (!this._lookup(srcPathC)) {
+      throw new FSError(errno.code.ENOENT, [srcPathS, dstPathS]);
+    }
+    // the source is copied up, so its clones share the upper blocks
+    this._copyUpParents(srcPathC);
+    this._copyUp(srcPathC, true);
+    this._copyUpParents(dstPathC);
+    this._copyUp(dstPathC, false);
+    return super.copyFileSync(srcPathC, dstPathC, flags);
+  }
+
+  mkdirSync (pathS, mode) {
+    if (mode && typeof mode === 'object') {
+      if (mode.recursive) {
+        return super.mkdirSync(pathS, mode);
+      }
+      mode = mode.mode;
+    }
+    let pathC = this._resolve(pathS, true);
+    if (this._lookup(pathC)) {
+      throw new FSError(errno.code.EEXIST, pathS);
+    }
+    this._copyUpParents(pathC);
+    return super.mkdirSync(pathC, mode);
+  }
+
+  mkdirpSync (pathS, mode) {
+    let pathC = this._resolve(pathS, true);
+    let current = '/';
+    pathC.split('/').filter(function (v) { return v; }).forEach((segment) => {
+      current = this._join(current, segment);
+      let found = this._lookup(current);
+      if (!found) {
+        this.mkdirSync(current, mode);
+      } else if (!found.stat.isDirectory()) {
+        throw new FSError(errno.code.ENOTDIR, pathS);
+      }
+    });
+    return;
+  }
+
+  mknodSync (pathS, mode, dev) {
+    // mkfifoSync creates FIFOs through mknodSync, so both copy up the parents here
+    let pathC = this._resolve(pathS, false);
+    if (this._lookup(pathC)) {
+      throw new FSError(errno.code.EEXIST, pathS);
+    }
+    this._copyUpParents(pathC);
+    return super.mknodSync(pathC, mode, dev);
+  }
+
+  symlinkSync (target, pathS) {
+    let pathC = this._resolve(pathS, false);
+    if (this._lookup(pathC)) {
+      throw new FSError(errno.code.EEXIST, [target, pathS]);
+    }
+    this._copyUpParents(pathC);
+    return super.symlinkSync(target, pathC);
+  }
+
+  linkSync (target, pathS) {
+    let targetC = this._resolve(target, false);
+    let pathC = this._resolve(pathS, false);
+    if (!this._lookup(targetC)) {
+      throw new FSError(errno.code.ENOENT, [target, pathS]);
+    }
+    if (this._lookup(pathC)) {
+      throw new FSError(errno.code.EEXIST, [target, pathS]);
+    }
+    this._copyUp(targetC, true);
+    this._copyUpParents(pathC);
+    return super.linkSync(targetC, pathC);
+  }
+
+  unlinkSync (pathS) {
+    let pathC = this._resolve(pathS, false);
+    let found = this._lookup(pathC);
+    if (!found) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    if (found.stat.isDirectory()) {
+      throw new FSError(errno.code.EISDIR, pathS);
+    }
+    if (found.layer === 'upper') {
+      super.unlinkSync(pathC);
+    }
+    this._whiteout(pathC);
+    return;
+  }
+
+  rmdirSync (pathS) {
+    let pathC = this._resolve(pathS, false);
+    let found = this._lookup(pathC);
+    if (!found) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    if (!found.stat.isDirectory()) {
+      throw new FSError(errno.code.ENOTDIR, pathS);
+    }
+    if (pathC === '/') {
+      throw new FSError(errno.code.EBUSY, pathS);
+    }
+    if (this._readdir(pathC).length) {
+      throw new FSError(errno.code.ENOTEMPTY, pathS);
+    }
+    if (found.layer === 'upper') {
+      super.rmdirSync(pathC);
+    }
+    this._whiteout(pathC);
+    return;
+  }
+
+  renameSync (oldPathS, newPathS) {
+    let oldPathC = this._resolve(oldPathS, false);
+    let newPathC = this._resolve(newPathS, false);
+    let oldFound = this._lookup(oldPathC);
+    let newFound = this._lookup(newPathC);
+    if (!oldFound) {
+      throw new FSError(errno.code.ENOENT, [oldPathS, newPathS]);
+    }
+    // the upper copy of a lower directory is empty, so emptiness is checked on the merged view
+    if (newFound &&
+        newFound.stat.isDirectory() &&
+        oldFound.stat.isDirectory() &&
+        oldPathC !== newPathC &&
+        this._readdir(newPathC).length)
+    {
+      throw new FSError(errno.code.ENOTEMPTY, [oldPathS, newPathS]);
+    }
+    // both sides are made consistent in the upper layer, then the upper layer checks the rename
+    this._copyUpTree(oldPathC);
+    this._copyUp(newPathC, false);
+    this._copyUpParents(newPathC);
+    super.renameSync(oldPathC, newPathC);
+    this._whiteout(oldPathC);
+    // the lower inode at the new path must not show through the renamed inode
+    this._whiteout(newPathC);
+    return;
+  }
+
+  chdirSync (pathS) {
+    let pathC = this._resolve(pathS, true);
+    this._copyUp(pathC, true);
+    return super.chdirSync(pathC);
+  }
+
+  chmodSync (pathS, mode) {
+    let pathC = this._resolve(pathS, true);
+    this._copyUp(pathC, true);
+    return super.chmodSync(pathC, mode);
+  }
+
+  lchmodSync (pathS, mode) {
+    let pathC = this._resolve(pathS, false);
+    this._copyUp(pathC, true);
+    return super.lchmodSync(pathC, mode);
+  }
+
+  chownSync (pathS, uid, gid) {
+    let pathC = this._resolve(pathS, true);
+    this._copyUp(pathC, true);
+    return super.chownSync(pathC, uid, gid);
+  }
+
+  lchownSync (pathS, uid, gid) {
+    let pathC = this._resolve(pathS, false);
+    this._copyUp(pathC, true);
+    return super.lchownSync(pathC, uid, gid);
+  }
+
+  utimesSync (pathS, atime, mtime) {
+    let pathC = this._resolve(pathS, true);
+    this._copyUp(pathC, true);
+    return super.utimesSync(pathC, atime, mtime);
+  }
+
+  lutimesSync (pathS, atime, mtime) {
+    let pathC = this._resolve(pathS, false);
+    this._copyUp(pathC, true);
+    return super.lutimesSync(pathC, atime, mtime);
+  }
+
+  getxattrSync (pathS, name) {
+    return this._getxattr(this._resolve(pathS, true), name);
+  }
+
+  lgetxattrSync (pathS, name) {
+    return this._getxattr(this._resolve(pathS, false), name);
+  }
+
+  /**
+   * Gets an extended attribute of a canonical path from its layer
+   * @private
+   * @param {string} pathC
+   * @param {string} name
+   * @returns {Buffer}
+   */
+  _getxattr (pathC, name) {
+    let found = this._lookup(pathC);
+    if (found && found.layer === 'lower') {
+      return this._lowerXattr('lgetxattrSync', pathC, [name]);
+    }
+    return super.lgetxattrSync(pathC, name);
+  }
+
+  listxattrSync (pathS) {
+    return this._listxattr(this._resolve(pathS, true));
+  }
+
+  llistxattrSync (pathS) {
+    return this._listxattr(this._resolve(pathS, false));
+  }
+
+  /**
+   * Lists the extended attributes of a canonical path from its layer
+   * @private
+   * @param {string} pathC
+   * @returns {string[]}
+   */
+  _listxattr (pathC) {
+    let found = this._lookup(pathC);
+    if (found && found.layer === 'lower') {
+      return this._lowerXattr('llistxattrSync', pathC, []);
+    }
+    return super.llistxattrSync(pathC);
+  }
+
+  setxattrSync (pathS, name, value, flags) {
+    let pathC = this._resolve(pathS, true);
+    this._copyUp(pathC, true);
+    return super.lsetxattrSync(pathC, name, value, flags);
+  }
+
+  lsetxattrSync (pathS, name, value, flags) {
+    let pathC = this._resolve(pathS, false);
+    this._copyUp(pathC, true);
+    return super.lsetxattrSync(pathC, name, value, flags);
+  }
+
+  removexattrSync (pathS, name) {
+    let pathC = this._resolve(pathS, true);
+    this._copyUp(pathC, true);
+    return super.lremovexattrSync(pathC, name);
+  }
+
+  lremovexattrSync (pathS, name) {
+    let pathC = this._resolve(pathS, false);
+    this._copyUp(pathC, true);
+    return super.lremovexattrSync(pathC, name);
+  }
+
+  openSync (pathS, flags, mode) {
+    let parsedFlags = this._parseFlags(
+      (typeof flags !== 'undefined') ? flags : 'r'
+    );
+    let resolveLastLink = !(
+      (parsedFlags & constants.O_NOFOLLOW) ||
+      ((parsedFlags & constants.O_CREAT) && (parsedFlags & constants.O_EXCL))
+    );
+    let pathC = this._resolve(pathS, resolveLastLink);
+    let found = this._lookup(pathC);
+    // read only opens of lower files use an unlinked copy instead of copying up
+    // so their locks do not conflict with other file descriptors until the file is copied up
+    if (found &&
+        found.layer === 'lower' &&
+        found.stat.isFile() &&
+        (parsedFlags & 3) === constants.O_RDONLY)
+    {
+      if ((parsedFlags & constants.O_CREAT) && (parsedFlags & constants.O_EXCL)) {
+        throw new FSError(errno.code.EEXIST, pathS);
+      }
+      if (parsedFlags & constants.O_DIRECTORY) {
+        throw new FSError(errno.code.ENOTDIR, pathS);
+      }
+      if (!this._checkPermissions(constants.R_OK, found.stat)) {
+        throw new FSError(errno.code.EACCES, pathS);
+      }
+      let index = this._inodeMgr.createINode(
+        File,
+        {
+          data: Buffer.from(this._lower.readFileSync(this._lowerPath(pathC))),
+          mode: found.stat.mode,
+          uid: found.stat.uid,
+          gid: found.stat.gid
+        }
+      );
+      return this._fdMgr.createFd(this._inodeMgr.getINode(index), parsedFlags);
+    }
+    this._copyUpParents(pathC);
+    this._copyUp(
+      pathC,
+      !((parsedFlags & constants.O_TRUNC) && (parsedFlags & (constants.O_WRONLY | constants.O_RDWR)))
+    );
+    return super.openSync(pathC, parsedFlags, mode);
+  }
+
+}
+
+/**
+ * Gets the flag of readFileSync or writeFileSync options
+ * @private
+ * @param {Object|string} [optionsOrEncoding]
+ * @param {string} defaultFlag
+ * @returns {string|number}
+ */
+function getFlag (optionsOrEncoding, defaultFlag) {
+  if (optionsOrEncoding && typeof optionsOrEncoding === 'object' && optionsOrEncoding.flag) {
+    return optionsOrEncoding.flag;
+  }
+  return defaultFlag;
+}
+
+module.exports = OverlayFS;
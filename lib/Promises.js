@@ -0,0 +1,304 @@
+'use strict';
+
+const Buffer = require('buffer').Buffer;
+
+/**
+ * Runs a synchronous function in a new event cycle and wraps the result in a promise
+ * @param {function(): *} f
+ * @returns {Promise}
+ */
+function promisify (f) {
+  return new Promise(function (resolve, reject) {
+    setImmediate(function () {
+      let result;
+      try {
+        result = f();
+      } catch (e) {
+        reject(e);
+        return;
+      }
+      resolve(result);
+    });
+  });
+}
+
+/**
+ * Calls an asynchronous function taking a node style callback and wraps the result in a promise
+ * This is used where operations may wait, such as reading FIFOs
+ * @param {function(function(Error, *))} f
+ * @returns {Promise}
+ */
+function promisifyCallback (f) {
+  return new Promise(function (resolve, reject) {
+    f(function (e, result) {
+      if (e) {
+        reject(e);
+        return;
+      }
+      resolve(result);
+    });
+  });
+}
+
+/**
+ * Class representing an open file for the promise API
+ * It wraps a file descriptor of an FS
+ */
+class FileHandle {
+
+  /**
+   * Creates a FileHandle
+   * @param {FS} fs
+   * @param {number} fd
+   */
+  constructor (fs, fd) {
+    this._fs = fs;
+    this.fd = fd;
+  }
+
+  /**
+   * Reads from the file into a buffer
+   * @param {Buffer} buffer
+   * @param {number} [offset]
+   * @param {number} [length]
+   * @param {number} [position]
+   * @returns {Promise<{bytesRead: number, buffer: Buffer}>}
+   */
+  read (buffer, offset, length, position) {
+    return promisifyCallback((callback) => {
+      this._fs.read(this.fd, buffer, offset, length, position, function (e, bytesRead) {
+        callback(e, {
+          bytesRead: bytesRead,
+          buffer: buffer
+        });
+      });
+    });
+  }
+
+  /**
+   * Writes a buffer or string to the file
+   * @param {Buffer|string} data
+   * @param {number} [offsetOrPos] - Offset into a buffer, or position for a string
+   * @param {number|string} [lengthOrEncoding] - Length for a buffer, or encoding for a string
+   * @param {number} [position]
+   * @returns {Promise<{bytesWritten: number, buffer: Buffer|string}>}
+   */
+  write (data, offsetOrPos, lengthOrEncoding, position) {
+    return promisify(() => {
+      return {
+        bytesWritten: this._fs.writeSync(
+          this.fd,
+          data,
+          offsetOrPos,
+          lengthOrEncoding,
+          position
+        ),
+        buffer: data
+      };
+    });
+  }
+
+  /**
+   * Reads the rest of the file from the current position
+   * @param {Object|string} [optionsOrEncoding]
+   * @returns {Promise<Buffer|string>}
+   */
+  readFile (optionsOrEncoding) {
+    const encoding =
+          typeof optionsOrEncoding === "object"
+          ? optionsOrEncoding.encoding
+          : optionsOrEncoding;
+    let chunks = [];
+    let chunk = Buffer.alloc(4096);
+    let readChunks = () => {
+      return this.read(chunk, 0, chunk.length, null).then(function (result) {
+        if (!result.bytesRead) {
+          let data = Buffer.concat(chunks);
+          return encoding ? data.toString(encoding) : data;
+        }
+        chunks.push(Buffer.from(chunk.slice(0, result.bytesRead)));
+        return readChunks();
+      });
+    };
+    return readChunks();
+  }
+
+  /**
+   * Writes data at the current position
+   * @param {Buffer|string} data
+   * @param {Object|string} [optionsOrEncoding]
+   * @returns {Promise}
+   */
+  writeFile (data, optionsOrEncoding) {
+    return promisify(() => {
+      const encoding =
+            typeof optionsOrEncoding === "object"
+            ? optionsOrEncoding.encoding
+            : optionsOrEncoding;
+      if (typeof data === 'string') {
+        data = Buffer.from(data, encoding || 'utf8');
+      }
+      this._fs.writeSync(this.fd, data, 0, data.length, null);
+      return;
+    });
+  }
+
+  /**
+   * Writes data at the current position, which is the end of the file for handles opened to append
+   * @param {Buffer|string} data
+   * @param {Object|string} [optionsOrEncoding]
+   * @returns {Promise}
+   */
+  appendFile (data, optionsOrEncoding) {
+    return this.writeFile(data, optionsOrEncoding);
+  }
+
+  stat () {
+    return promisify(() => this._fs.fstatSync(this.fd));
+  }
+
+  truncate (len) {
+    return promisify(() => this._fs.ftruncateSync(this.fd, len));
+  }
+
+  chmod (mode) {
+    return promisify(() => this._fs.fchmodSync(this.fd, mode));
+  }
+
+  chown (uid, gid) {
+    return promisify(() => this._fs.fchownSync(this.fd, uid, gid));
+  }
+
+  utimes (atime, mtime) {
+    return promisify(() => this._fs.futimesSync(this.fd, atime, mtime));
+  }
+
+  /**
+   * Applies or removes a flock lock, waiting for conflicting locks unless LOCK_NB is set
+   * @param {number} operation - LOCK_SH, LOCK_EX or LOCK_UN, optionally with LOCK_NB
+   * @returns {Promise}
+   */
+  flock (operation) {
+    return promisifyCallback((callback) => {
+      this._fs.flock(this.fd, operation, callback);
+    });
+  }
+
+  /**
+   * Tests, applies or removes a byte-range lock, F_SETLKW waits for conflicting locks
+   * @param {number} cmd - F_GETLK, F_SETLK or F_SETLKW
+   * @param {Object} lock
+   * @returns {Promise<Object|undefined>} Resolves to the conflicting lock for F_GETLK
+   */
+  fcntl (cmd, lock) {
+    return promisifyCallback((callback) => {
+      this._fs.fcntl(this.fd, cmd, lock, callback);
+    });
+  }
+
+  /**
+   * Closes the file
+   * The fd becomes -1 once closed
+   * @returns {Promise}
+   */
+  close () {
+    return promisify(() => {
+      this._fs.closeSync(this.fd);
+      this.fd = -1;
+      return;
+    });
+  }
+
+}
+
+/**
+ * Class representing the promise API of an FS
+ * This simulates Node's fs.promises
+ */
+class FSPromises {
+
+  /**
+   * Creates FSPromises
+   * @param {FS} fs
+   */
+  constructor (fs) {
+    this._fs = fs;
+  }
+
+  /**
+   * Opens a file
+   * @param {string} pathS
+   * @param {string|number} [flags]
+   * @param {number} [mode]
+   * @returns {Promise<FileHandle>}
+   */
+  open (pathS, flags, mode) {
+    return promisify(() => {
+      return new FileHandle(this._fs, this._fs.openSync(pathS, flags, mode));
+    });
+  }
+
+  /**
+   * Reads a whole file, reading a FIFO waits until the last writer closes
+   * @param {string} pathS
+   * @param {Object|string} [optionsOrEncoding]
+   * @returns {Promise<Buffer|string>}
+   */
+  readFile (pathS, optionsOrEncoding) {
+    return promisifyCallback((callback) => {
+      this._fs.readFile(pathS, optionsOrEncoding, callback);
+    });
+  }
+
+}
+
+[
+  "access",
+  "stat",
+  "lstat",
+  "chmod",
+  "lchmod",
+  "chown",
+  "lchown",
+  "utimes",
+  "lutimes",
+  "chdir",
+  "readdir",
+  "opendir",
+  "glob",
+  "mkdir",
+  "mkdirp",
+  "mknod",
+  "mkfifo",
+  "rmdir",
+  "unlink",
+  "rename",
+  "link",
+  "symlink",
+  "readlink",
+  "realpath",
+  "writeFile",
+  "appendFile",
+  "truncate",
+  "copyFile",
+  "rm",
+  "cp",
+  "getxattr",
+  "lgetxattr",
+  "setxattr",
+  "lsetxattr",
+  "listxattr",
+  "llistxattr",
+  "removexattr",
+  "lremovexattr"
+].forEach(function (fn) {
+  FSPromises.prototype[fn] = function () {
+    let args = arguments;
+    return promisify(() => {
+      return this._fs[fn + "Sync"].apply(this._fs, args);
+    });
+  };
+});
+
+exports.FileHandle = FileHandle;
+exports.FSPromises = FSPromises;
@@ -0,0 +1,148 @@
+'use strict';
+
+const errno = require('./errno');
+const constants = require('./constants');
+const FSError = require('./FSError');
+const inodes = require('./INodes');
+const FS = require('./VirtualFS').FS;
+
+const SnapshotINodeManager = inodes.SnapshotINodeManager;
+
+/**
+ * Class representing a read-only snapshot of an FS
+ * It has the read API of FS, operations that would change the snapshot throw EROFS
+ * Inodes are copied from the FS as they are first read, file blocks are shared copy-on-write
+ * The working directory of a snapshot starts at root, and mounts are not part of snapshots
+ * @extends FS
+ */
+class Snapshot extends FS {
+
+  /**
+   * Takes a snapshot of an FS
+   * Use FS.snapshot instead of constructing a Snapshot directly
+   * @param {FS} fs
+   */
+  constructor (fs) {
+    super({
+      uid: fs.getUid(),
+      gid: fs.getGid(),
+      umask: fs.getUmask(),
+      source: fs
+    });
+  }
+
+  /**
+   * Takes the snapshot of the source instead of creating a new root
+   * The root is copied from the source like any other inode, sharing its entries
+   * @private
+   * @param {Object} options - Options of the constructor with the source FS
+   */
+  _createINodes (options) {
+    let fs = options.source;
+    this._source = fs;
+    this._loadINodes(
+      new SnapshotINodeManager(fs._inodeMgr, fs._inodeMgr.takeSnapshot()),
+      fs._root.getEntryIndex('.')
+    );
+    return;
+  }
+
+  /**
+   * Gets the FS this snapshot was taken of
+   * @returns {FS}
+   */
+  getSource () {
+    return this._source;
+  }
+
+  /**
+   * Releases the snapshot, so the FS stops saving inodes for it
+   * The snapshot cannot be read or restored afterwards
+   */
+  release () {
+    this._inodeMgr.release();
+    return;
+  }
+
+  /**
+   * Checks access like FS.accessSync
+   * @param {string} pathS
+   * @param {number} [mode=F_OK]
+   * @throws {FSError} Will throw EROFS when checking W_OK on an accessible path
+   */
+  accessSync (pathS, mode) {
+    super.accessSync(pathS, mode);
+    if (mode & constants.W_OK) {
+      throw new FSError(errno.code.EROFS, pathS);
+    }
+    return;
+  }
+
+  /**
+   * Opens a file for reading like FS.openSync
+   * @param {string} pathS
+   * @param {string|number} [flags='r']
+   * @param {number} [mode]
+   * @returns {number}
+   * @throws {FSError} Will throw EROFS for flags that write, create or truncate
+   */
+  openSync (pathS, flags, mode) {
+    let parsedFlags = this._parseFlags(
+      (typeof flags !== 'undefined') ? flags : 'r'
+    );
+    if ((parsedFlags & 3) !== constants.O_RDONLY ||
+        (parsedFlags & (constants.O_CREAT | constants.O_TRUNC | constants.O_APPEND)))
+    {
+      throw new FSError(errno.code.EROFS, pathS);
+    }
+    return super.openSync(pathS, parsedFlags, mode);
+  }
+
+}
+
+// operations changing the filesystem are not allowed on snapshots
+[
+  "mountSync",
+  "umountSync",
+  "writeFileSync",
+  "appendFileSync",
+  "copyFileSync",
+  "mkdirSync",
+  "mkdirpSync",
+  "mknodSync",
+  "mkfifoSync",
+  "symlinkSync",
+  "linkSync",
+  "unlinkSync",
+  "renameSync",
+  "rmdirSync",
+  "rmSync",
+  "cpSync",
+  "chmodSync",
+  "lchmodSync",
+  "fchmodSync",
+  "chownSync",
+  "lchownSync",
+  "fchownSync",
+  "utimesSync",
+  "lutimesSync",
+  "futimesSync",
+  "setxattrSync",
+  "lsetxattrSync",
+  "removexattrSync",
+  "lremovexattrSync",
+  "truncateSync",
+  "ftruncateSync",
+  "transaction",
+  "snapshot",
+  "restore"
+].forEach(function(fn) {
+  Snapshot.prototype[fn] = function(pathS) {
+    throw new FSError(
+      errno.code.EROFS,
+      (typeof pathS === 'string') ? pathS : fn.replace(/Sync$/, '')
+    );
+  };
+});
+
+module.exports = Snapshot;
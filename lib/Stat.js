@@ -9,12 +9,12 @@ class Stat {
 		this.ino = props.ino;
 		this.mode = props.mode;
 		this.nlink = props.nlink;
-		this.uid = props.uid || 0;   // in-memory usage is always root
-		this.gid = props.gid || 0;   // in-memory usage is always root
+		this.uid = props.uid || 0;
+		this.gid = props.gid || 0;
 		this.rdev = props.rdev || 0; // is 0 for regular files and directories
 		this.size = props.size;
-		this.blksize = undefined;    // in-memory doesn't have blocks
-		this.blocks = undefined;     // in-memory doesn't have blocks
+		this.blksize = props.blksize;
+		this.blocks = props.blocks;  // allocated 512 byte units
 		this.atime = props.atime;
 		this.mtime = props.mtime;
 		this.ctime = props.ctime;
@@ -22,31 +22,31 @@ class Stat {
   }
 
   isFile () {
-		return !!(this.mode & constants.S_IFREG);
+    return (this.mode & constants.S_IFMT) === constants.S_IFREG;
   }
 
   isDirectory () {
-		return !!(this.mode & constants.S_IFDIR);
+    return (this.mode & constants.S_IFMT) === constants.S_IFDIR;
   }
 
   isBlockDevice () {
-		return false;
+    return (this.mode & constants.S_IFMT) === constants.S_IFBLK;
   }
 
   isCharacterDevice () {
-		return false;
+    return (this.mode & constants.S_IFMT) === constants.S_IFCHR;
   }
 
   isSymbolicLink () {
-    return !!(this.mode & constants.S_IFLNK);
+    return (this.mode & constants.S_IFMT) === constants.S_IFLNK;
   }
 
   isFIFO () {
-		return false;
+    return (this.mode & constants.S_IFMT) === constants.S_IFIFO;
   }
 
   isSocket () {
-		return false;
+    return (this.mode & constants.S_IFMT) === constants.S_IFSOCK;
   }
 
 }
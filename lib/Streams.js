@@ -0,0 +1,276 @@
+'use strict';
+
+const Buffer = require('buffer').Buffer;
+const stream = require('readable-stream');
+
+/**
+ * Class representing a readable stream of a file
+ * This simulates Node's fs.ReadStream
+ * The file is opened synchronously, but 'open' and 'ready' are emitted asynchronously
+ * Chunks are read through the file descriptor, so devices and FIFOs can be streamed
+ * @extends Readable
+ */
+class ReadStream extends stream.Readable {
+
+  /**
+   * Creates a ReadStream
+   * @param {FS} fs
+   * @param {string} pathS
+   * @param {Object|string} [options] - Options or the encoding
+   * @param {string} [options.flags='r']
+   * @param {string} [options.encoding]
+   * @param {number} [options.fd] - If specified, the path is ignored and the file descriptor is read
+   * @param {number} [options.mode=0o666]
+   * @param {boolean} [options.autoClose=true] - If false, the file descriptor is not closed
+   * @param {number} [options.start] - If not specified, reading starts at the current position
+   * @param {number} [options.end=Infinity] - Position of the last byte to read, inclusive
+   * @param {number} [options.highWaterMark=65536]
+   * @throws {RangeError} Will throw if start is greater than end
+   */
+  constructor (fs, pathS, options) {
+    options = (typeof options === 'string') ? { encoding: options } : (options || {});
+    super({
+      highWaterMark: options.highWaterMark || 64 * 1024,
+      encoding: options.encoding
+    });
+    this._fs = fs;
+    this.path = pathS;
+    this.fd = (typeof options.fd === 'number') ? options.fd : null;
+    this.flags = options.flags || 'r';
+    this.mode = (typeof options.mode === 'number') ? options.mode : 0o666;
+    this.autoClose = options.autoClose !== false;
+    this.start = options.start;
+    this.end = (typeof options.end === 'number') ? options.end : Infinity;
+    this.pos = this.start;
+    this.bytesRead = 0;
+    this.pending = this.fd === null;
+    if (typeof this.start === 'number' && this.start > this.end) {
+      throw new RangeError('start must be less than or equal to end');
+    }
+    if (this.pending) {
+      openStream(this);
+    }
+    this.on('end', () => {
+      if (this.autoClose) {
+        this.destroy();
+      }
+    });
+  }
+
+  _read (size) {
+    if (this._openError) {
+      emitOpenError(this);
+      this.push(null);
+      return;
+    }
+    let length;
+    if (typeof this.pos === 'number') {
+      length = Math.min(this.end - this.pos + 1, size);
+    } else {
+      length = Math.min(this.end - this.bytesRead + 1, size);
+    }
+    if (length <= 0) {
+      this.push(null);
+      return;
+    }
+    let buffer = Buffer.alloc(length);
+    this._fs.read(this.fd, buffer, 0, length, this.pos, (e, bytesRead) => {
+      if (e) {
+        this.destroy(e);
+        return;
+      }
+      if (!bytesRead) {
+        this.push(null);
+        return;
+      }
+      if (typeof this.pos === 'number') {
+        this.pos += bytesRead;
+      }
+      this.bytesRead += bytesRead;
+      this.push(buffer.slice(0, bytesRead));
+    });
+  }
+
+  _destroy (e, callback) {
+    closeStream(this, e, callback);
+  }
+
+  /**
+   * Closes the stream and its file descriptor
+   * @param {function(Error)} [callback] - Called on 'close'
+   */
+  close (callback) {
+    if (callback) {
+      this.once('close', callback);
+    }
+    this.destroy();
+    return;
+  }
+
+}
+
+/**
+ * Class representing a writable stream of a file
+ * This simulates Node's fs.WriteStream
+ * The file is opened synchronously, but 'open' and 'ready' are emitted asynchronously
+ * Chunks are written through the file descriptor as they arrive
+ * @extends Writable
+ */
+class WriteStream extends stream.Writable {
+
+  /**
+   * Creates a WriteStream
+   * @param {FS} fs
+   * @param {string} pathS
+   * @param {Object|string} [options] - Options or the encoding
+   * @param {string} [options.flags='w']
+   * @param {string} [options.encoding='utf8']
+   * @param {number} [options.fd] - If specified, the path is ignored and the file descriptor is written
+   * @param {number} [options.mode=0o666]
+   * @param {boolean} [options.autoClose=true] - If false, the file descriptor is not closed
+   * @param {number} [options.start] - If not specified, writing starts at the current position
+   * @param {number} [options.highWaterMark=16384]
+   */
+  constructor (fs, pathS, options) {
+    options = (typeof options === 'string') ? { encoding: options } : (options || {});
+    super({
+      highWaterMark: options.highWaterMark,
+      defaultEncoding: options.encoding || 'utf8'
+    });
+    this._fs = fs;
+    this.path = pathS;
+    this.fd = (typeof options.fd === 'number') ? options.fd : null;
+    this.flags = options.flags || 'w';
+    this.mode = (typeof options.mode === 'number') ? options.mode : 0o666;
+    this.autoClose = options.autoClose !== false;
+    this.start = options.start;
+    this.pos = this.start;
+    this.bytesWritten = 0;
+    this.pending = this.fd === null;
+    if (this.pending) {
+      openStream(this);
+    }
+    this.on('finish', () => {
+      if (this.autoClose) {
+        this.destroy();
+      }
+    });
+  }
+
+  _write (chunk, encoding, callback) {
+    if (this._openError) {
+      this._openErrorEmitted = true;
+      callback(this._openError);
+      return;
+    }
+    this._fs.write(this.fd, chunk, 0, chunk.length, this.pos, (e, bytesWritten) => {
+      if (e) {
+        callback(e);
+        return;
+      }
+      if (typeof this.pos === 'number') {
+        this.pos += bytesWritten;
+      }
+      this.bytesWritten += bytesWritten;
+      callback();
+    });
+  }
+
+  _final (callback) {
+    if (this._openError && !this._openErrorEmitted) {
+      this._openErrorEmitted = true;
+      callback(this._openError);
+      return;
+    }
+    callback();
+  }
+
+  _destroy (e, callback) {
+    closeStream(this, e, callback);
+  }
+
+  /**
+   * Ends the stream, then closes it and its file descriptor
+   * @param {function(Error)} [callback] - Called on 'close'
+   */
+  close (callback) {
+    if (callback) {
+      this.once('close', callback);
+    }
+    if (this._writableState.ended) {
+      this.destroy();
+    } else {
+      this.end();
+      if (!this.autoClose) {
+        this.once('finish', () => this.destroy());
+      }
+    }
+    return;
+  }
+
+}
+
+/**
+ * Opens the file of a stream
+ * Open errors are emitted asynchronously, unless reading or writing emits them first
+ * @private
+ * @param {ReadStream|WriteStream} fileStream
+ */
+function openStream (fileStream) {
+  try {
+    fileStream.fd = fileStream._fs.openSync(fileStream.path, fileStream.flags, fileStream.mode);
+  } catch (e) {
+    fileStream._openError = e;
+    setImmediate(function () {
+      emitOpenError(fileStream);
+    });
+    return;
+  }
+  setImmediate(function () {
+    fileStream.pending = false;
+    fileStream.emit('open', fileStream.fd);
+    fileStream.emit('ready');
+  });
+  return;
+}
+
+/**
+ * Emits the open error of a stream once
+ * @private
+ * @param {ReadStream|WriteStream} fileStream
+ */
+function emitOpenError (fileStream) {
+  if (fileStream._openErrorEmitted) {
+    return;
+  }
+  fileStream._openErrorEmitted = true;
+  fileStream.emit('error', fileStream._openError);
+  return;
+}
+
+/**
+ * Closes the file descriptor of a stream if it is auto closed, then emits 'close'
+ * @private
+ * @param {ReadStream|WriteStream} fileStream
+ * @param {Error|null} e - Error the stream was destroyed with
+ * @param {function(Error)} callback
+ */
+function closeStream (fileStream, e, callback) {
+  let fd = fileStream.fd;
+  if (typeof fd !== 'number' || !fileStream.autoClose) {
+    callback(e);
+    setImmediate(function () {
+      fileStream.emit('close');
+    });
+    return;
+  }
+  fileStream.fd = null;
+  fileStream._fs.close(fd, function (closeError) {
+    callback(e || closeError);
+    fileStream.emit('close');
+  });
+  return;
+}
+
+exports.ReadStream = ReadStream;
+exports.WriteStream = WriteStream;
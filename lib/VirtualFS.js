@@ -4,53 +4,452 @@
 require('setimmediate');
 const Buffer = require('buffer').Buffer;
 const path = require('path');
-const stream = require("readable-stream");
 
-const errno = require('errno');
+const errno = require('./errno');
 const clone = require('component-clone');
-const cloneBuffer = require('clone-buffer');
 const constants = require('./constants');
+const FSError = require('./FSError');
 const Stat = require('./Stat');
+const Dir = require('./Dir');
+const Dirent = require('./Dirent');
+const GlobPattern = require('./Glob');
 const inodes = require('./INodes');
+const devices = require('./Devices');
+const fileDescriptors = require('./FileDescriptors');
+const promises = require('./Promises');
+const watchers = require('./Watchers');
+const streams = require('./Streams');
 
 const INodeManager = inodes.INodeManager;
 const File = inodes.File;
 const Directory = inodes.Directory;
 const Symlink = inodes.Symlink;
-const ReadableStream = stream.Readable;
-const WritableStream = stream.Writable;
+const CharacterDev = inodes.CharacterDev;
+const FIFO = inodes.FIFO;
+const FileDescriptorManager = fileDescriptors.FileDescriptorManager;
+const FileDescriptor = fileDescriptors.FileDescriptor;
+const MountedFileDescriptor = fileDescriptors.MountedFileDescriptor;
+const FSPromises = promises.FSPromises;
+const FSWatcher = watchers.FSWatcher;
+const StatWatcher = watchers.StatWatcher;
+const ReadStream = streams.ReadStream;
+const WriteStream = streams.WriteStream;
 
-class FSError extends Error {
+// maximum symlinks followed in a single path resolution, this matches Linux
+const MAX_SYMLINKS = 40;
+
+// size of the chunks read when reading a file through a file descriptor
+const READ_CHUNK_SIZE = 64 * 1024;
+
+// extended attribute namespaces and size limits, these match Linux
+const XATTR_NAMESPACES = ['user.', 'trusted.', 'security.'];
+const XATTR_NAME_MAX = 255;
+const XATTR_SIZE_MAX = 65536;
+
+// version of the toJSON and serialize formats
+const SERIALIZE_VERSION = 1;
+
+// device numbers of mounts, these are unique across all FS instances
+let nextDev = 1;
+
+class FS {
 
   /**
-   * Creates an Error object simulating Node's fs errors
-   * @param {{errno: number, code: string, description: string}} errorSys
-   * @param {string|string[]} paths - Paths used when this error is thrown
-   * @returns {FSError}
+   * Constructs an FS object simulating Node's fs object
+   * The root directory is owned by the initial uid and gid
+   * @param {Object} [options]
+   * @param {number} [options.uid=0] - User id of the caller
+   * @param {number} [options.gid=0] - Group id of the caller
+   * @param {number} [options.umask=0o022] - Permissions masked out of created inodes
+   * @param {Object} [options.limits] - Capacity limits passed to the INodeManager, they are unlimited by default
+   * @param {boolean} [options.devices=false] - Creates /dev with the null, zero, full and urandom devices
+   * @param {function(): (Date|number)} [options.clock=Date.now] - Time used for all atime, mtime, ctime and birthtime updates
+   * @param {string} [options.atime='strictatime'] - The atime policy, either strictatime, relatime or noatime
    */
-  constructor (errorSys, paths) {
-    paths = (Array.isArray(paths)) ? paths : [paths];
-    let message
-        = errorSys.code + ': '
-        + errorSys.description + ', '
-        + paths.map(function (v) { return "'" + v + "'"; }).join(' -> ');
-    super(message);
-    this.code = errorSys.code;
-    this.errno = errorSys.errno;
-    this.paths = paths;
+  constructor (options) {
+    options = options || {};
+    this._uid = options.uid || 0;
+    this._gid = options.gid || 0;
+    this._umask = (typeof options.umask === 'number') ? options.umask : 0o022;
+    this._createINodes(options);
+    this._statWatchers = {};
+    // the module loader needs host modules, so it is created by createRequire
+    this._modules = null;
+    this.promises = new FSPromises(this);
   }
 
-}
+  /**
+   * Creates the inodes of a new filesystem, the root and optionally /dev
+   * @private
+   * @param {Object} options - Options of the constructor
+   */
+  _createINodes (options) {
+    let iNodeMgr = new INodeManager(options.limits, options);
+    let rootIndex = iNodeMgr.createINode(
+      Directory,
+      {
+        mode: 0o777 & ~this._umask,
+        uid: this._uid,
+        gid: this._gid
+      }
+    );
+    this._loadINodes(iNodeMgr, rootIndex);
+    if (options.devices) {
+      this._createDevices();
+    }
+    return;
+  }
 
-class FS {
+  /**
+   * Creates /dev with a device file for every driver
+   * Device files are owned by root regardless of the caller and umask
+   * @private
+   */
+  _createDevices () {
+    let devIndex = this._inodeMgr.createINode(
+      Directory,
+      {
+        parent: this._root.getEntryIndex('.'),
+        mode: 0o755
+      }
+    );
+    this._root.addEntry('dev', devIndex);
+    let devDir = this._inodeMgr.getINode(devIndex);
+    Object.keys(devices.drivers).forEach((rdev) => {
+      let index = this._inodeMgr.createINode(
+        CharacterDev,
+        {
+          rdev: Number(rdev),
+          mode: 0o666
+        }
+      );
+      devDir.addEntry(devices.drivers[rdev].name, index);
+    });
+    return;
+  }
 
   /**
-   * Constructs an FS object simulating Node's fs object
+   * Sets the inodes of this filesystem
+   * This resets the current working directory to root, closes all file descriptors and removes all mounts
+   * @private
+   * @param {INodeManager} iNodeMgr
+   * @param {number} rootIndex
    */
-  constructor () {
-    this._inodeMgr = new INodeManager;
-    let rootIndex = this._inodeMgr.createINode(Directory, {});
+  _loadINodes (iNodeMgr, rootIndex) {
+    this._inodeMgr = iNodeMgr;
     this._root = this._inodeMgr.getINode(rootIndex);
+    this._cwd = this._root;
+    this._cwdMounted = '';
+    this._inodeMgr.refINode(rootIndex);
+    this._fdMgr = new FileDescriptorManager(this._inodeMgr);
+    this._mounts = {};
+    return;
+  }
+
+  /**
+   * Serializes the whole filesystem into a plain object
+   * File data is base64 encoded, so JSON.stringify can be used on the result
+   * Open file descriptors and the current working directory are not serialized
+   * @returns {{version: number, root: number, counter: number, inodes: Object.<number, Object>}}
+   */
+  toJSON () {
+    let json = this._inodeMgr.toJSON();
+    return {
+      version: SERIALIZE_VERSION,
+      root: this._root.getEntryIndex('.'),
+      counter: json.counter,
+      inodes: json.inodes
+    };
+  }
+
+  /**
+   * Deserializes a filesystem created by toJSON
+   * @param {Object|string} json - The object or its JSON string
+   * @param {Object} [options] - Options passed to the FS constructor
+   * @returns {FS}
+   * @throws {TypeError} Will throw if the serialization version is not supported
+   */
+  static fromJSON (json, options) {
+    if (typeof json === 'string') {
+      json = JSON.parse(json);
+    }
+    if (json.version !== SERIALIZE_VERSION) {
+      throw new TypeError('Unsupported serialization version: ' + json.version);
+    }
+    let fs = new FS(options);
+    fs._loadINodes(
+      INodeManager.fromJSON(json, undefined, options && options.limits, options),
+      json.root
+    );
+    return fs;
+  }
+
+  /**
+   * Serializes the whole filesystem into a compact binary form
+   * The layout is the magic 'VFS', the version byte, the byte length of the header as UInt32BE,
+   * the JSON header, then all file data concatenated
+   * File data in the header is stored as [offset, length] into the data section
+   * @returns {Buffer}
+   */
+  serialize () {
+    let blobs = [];
+    let offset = 0;
+    let json = this._inodeMgr.toJSON(function (data) {
+      let location = [offset, data.length];
+      blobs.push(data);
+      offset += data.length;
+      return location;
+    });
+    let header = Buffer.from(JSON.stringify({
+      root: this._root.getEntryIndex('.'),
+      counter: json.counter,
+      inodes: json.inodes
+    }));
+    let prefix = Buffer.alloc(8);
+    prefix.write('VFS', 0, 'ascii');
+    prefix.writeUInt8(SERIALIZE_VERSION, 3);
+    prefix.writeUInt32BE(header.length, 4);
+    return Buffer.concat([prefix, header].concat(blobs));
+  }
+
+  /**
+   * Deserializes a filesystem created by serialize
+   * @param {Buffer} buffer
+   * @param {Object} [options] - Options passed to the FS constructor
+   * @returns {FS}
+   * @throws {TypeError} Will throw if the buffer is not a supported serialization
+   */
+  static deserialize (buffer, options) {
+    if (buffer.length < 8 || buffer.toString('ascii', 0, 3) !== 'VFS') {
+      throw new TypeError('Invalid serialization');
+    }
+    let version = buffer.readUInt8(3);
+    if (version !== SERIALIZE_VERSION) {
+      throw new TypeError('Unsupported serialization version: ' + version);
+    }
+    let headerEnd = 8 + buffer.readUInt32BE(4);
+    let json = JSON.parse(buffer.toString('utf8', 8, headerEnd));
+    let iNodeMgr = INodeManager.fromJSON(json, function (location) {
+      let start = headerEnd + location[0];
+      return Buffer.from(buffer.slice(start, start + location[1]));
+    }, options && options.limits, options);
+    let fs = new FS(options);
+    fs._loadINodes(iNodeMgr, json.root);
+    return fs;
+  }
+
+  getUid () {
+    return this._uid;
+  }
+
+  setUid (uid) {
+    this._uid = uid;
+    return;
+  }
+
+  getGid () {
+    return this._gid;
+  }
+
+  setGid (gid) {
+    this._gid = gid;
+    return;
+  }
+
+  getUmask () {
+    return this._umask;
+  }
+
+  setUmask (umask) {
+    this._umask = umask;
+    return;
+  }
+
+  /**
+   * Gets the absolute path of a directory
+   * The path is found by walking the '..' entries up to root
+   * @private
+   * @param {Directory} dir
+   * @param {string} pathS - Path used for errors
+   * @returns {string}
+   * @throws {FSError} Will throw ENOENT if the directory has been removed
+   */
+  _getPath (dir, pathS) {
+    let segments = [];
+    let current = dir;
+    while (current !== this._root) {
+      let parent = current.getEntry('..');
+      let name = parent.getEntryName(current.getEntryIndex('.'));
+      if (typeof name === 'undefined') {
+        throw new FSError(errno.code.ENOENT, pathS);
+      }
+      segments.unshift(name);
+      current = parent;
+    }
+    return '/' + segments.join('/');
+  }
+
+  /**
+   * Gets the absolute path of the current working directory
+   * @returns {string}
+   * @throws {FSError} Will throw ENOENT if the current working directory has been removed
+   */
+  cwd () {
+    let cwdPath = this._getPath(this._cwd, 'cwd');
+    if (this._cwdMounted) {
+      return (cwdPath === '/') ? this._cwdMounted : cwdPath + this._cwdMounted;
+    }
+    return cwdPath;
+  }
+
+  /**
+   * Changes the current working directory
+   * A directory inside a mount is checked by the mounted filesystem and kept as its real path in the mount
+   * Relative paths then start from that path, and the mount cannot be unmounted until the directory is changed
+   * @param {string} pathS
+   * @throws {FSError} Will throw ENOENT, ENOTDIR or EACCES if pathS is not a searchable directory
+   */
+  chdirSync (pathS) {
+    let navigated = this._navigate(pathS, true);
+    let target = navigated.target;
+    let mountedPath = '';
+    if (navigated.mount && navigated.remaining) {
+      if (!this._mountedSync(navigated, 'statSync', [pathS]).isDirectory()) {
+        throw new FSError(errno.code.ENOTDIR, pathS);
+      }
+      this._mountedSync(navigated, 'accessSync', [pathS, constants.X_OK]);
+      mountedPath = this._mountedSync(navigated, 'realpathSync', [pathS]);
+      if (mountedPath === '/') {
+        mountedPath = '';
+      }
+      // the mountpoint holds the reference for the directory inside the mount
+      target = navigated.mount.dir;
+    } else {
+      if (!target) {
+        throw new FSError(errno.code.ENOENT, pathS);
+      }
+      if (!(target instanceof Directory)) {
+        throw new FSError(errno.code.ENOTDIR, pathS);
+      }
+      if (!this._checkPermissions(constants.X_OK, target.getMetadata())) {
+        throw new FSError(errno.code.EACCES, pathS);
+      }
+    }
+    // the current working directory holds a reference just like a file descriptor
+    let oldCwd = this._cwd;
+    this._inodeMgr.refINode(target.getEntryIndex('.'));
+    this._cwd = target;
+    this._cwdMounted = mountedPath;
+    this._inodeMgr.unrefINode(oldCwd.getEntryIndex('.'));
+    return;
+  }
+
+  /**
+   * Checks the caller's access to an inode according to its permission bits
+   * Root bypasses the checks, except execution needs at least 1 execute bit on non-directories
+   * @private
+   * @param {number} access - Bitwise OR of R_OK, W_OK and X_OK
+   * @param {Stat} stat
+   * @returns {boolean}
+   */
+  _checkPermissions (access, stat) {
+    if (this._uid === 0) {
+      if ((access & constants.X_OK) &&
+          (stat.mode & constants.S_IFMT) !== constants.S_IFDIR &&
+          !(stat.mode & (constants.S_IXUSR | constants.S_IXGRP | constants.S_IXOTH)))
+      {
+        return false;
+      }
+      return true;
+    }
+    let perms;
+    if (this._uid === stat.uid) {
+      perms = (stat.mode & constants.S_IRWXU) >> 6;
+    } else if (this._gid === stat.gid) {
+      perms = (stat.mode & constants.S_IRWXG) >> 3;
+    } else {
+      perms = stat.mode & constants.S_IRWXO;
+    }
+    return (access & perms) === access;
+  }
+
+  /**
+   * Parses a time argument of utimes into a Date
+   * Numbers are seconds since the epoch, this is node behaviour
+   * Non finite or negative numbers mean the current time
+   * @private
+   * @param {Date|number|string} time
+   * @returns {Date}
+   * @throws {TypeError} Will throw if the time is not a Date, number or numeric string
+   */
+  _parseTime (time) {
+    if (typeof time === 'string' && time.trim() && !isNaN(time)) {
+      time = Number(time);
+    }
+    if (typeof time === 'number') {
+      if (!isFinite(time) || time < 0) {
+        return this._inodeMgr.now();
+      }
+      return new Date(time * 1000);
+    }
+    if (time instanceof Date) {
+      return new Date(time.getTime());
+    }
+    throw new TypeError('Time must be a Date, a number or a numeric string');
+  }
+
+  /**
+   * Parses Node's string flags into numeric open flags
+   * Numeric flags are passed through unchanged
+   * @private
+   * @param {string|number} flags
+   * @returns {number}
+   * @throws {TypeError} Will throw if the string flags are unknown
+   */
+  _parseFlags (flags) {
+    if (typeof flags === 'number') {
+      return flags;
+    }
+    switch (flags) {
+    case 'r':
+      return constants.O_RDONLY;
+    case 'rs':
+    case 'sr':
+      return constants.O_RDONLY | constants.O_SYNC;
+    case 'r+':
+      return constants.O_RDWR;
+    case 'rs+':
+    case 'sr+':
+      return constants.O_RDWR | constants.O_SYNC;
+    case 'w':
+      return constants.O_TRUNC | constants.O_CREAT | constants.O_WRONLY;
+    case 'wx':
+    case 'xw':
+      return constants.O_TRUNC | constants.O_CREAT | constants.O_WRONLY | constants.O_EXCL;
+    case 'w+':
+      return constants.O_TRUNC | constants.O_CREAT | constants.O_RDWR;
+    case 'wx+':
+    case 'xw+':
+      return constants.O_TRUNC | constants.O_CREAT | constants.O_RDWR | constants.O_EXCL;
+    case 'a':
+      return constants.O_APPEND | constants.O_CREAT | constants.O_WRONLY;
+    case 'ax':
+    case 'xa':
+      return constants.O_APPEND | constants.O_CREAT | constants.O_WRONLY | constants.O_EXCL;
+    case 'as':
+    case 'sa':
+      return constants.O_APPEND | constants.O_CREAT | constants.O_WRONLY | constants.O_SYNC;
+    case 'a+':
+      return constants.O_APPEND | constants.O_CREAT | constants.O_RDWR;
+    case 'ax+':
+    case 'xa+':
+      return constants.O_APPEND | constants.O_CREAT | constants.O_RDWR | constants.O_EXCL;
+    case 'as+':
+    case 'sa+':
+      return constants.O_APPEND | constants.O_CREAT | constants.O_RDWR | constants.O_SYNC;
+    default:
+      throw new TypeError('Unknown file open flag: ' + flags);
+    }
   }
 
   /**
@@ -69,7 +468,8 @@ class FS {
   }
 
   /**
-   * Navigates the filesystem tree from root
+   * Navigates the filesystem tree from root or the current working directory
+   * Absolute paths start at root, relative paths start at the current working directory
    * You can interpret the results like:
    *   target && !name  => dir is at /
    *   !target && !name => not found within a pathS segment
@@ -77,20 +477,29 @@ class FS {
    * @private
    * @param {string} pathS
    * @param {boolean} [resolveLastLink=true] - If true, resolve the target symlink
-   * @returns {{dir: Directory, target: File|Directory|Symlink, name: string, remaining: string}}
+   * @param {number} [linkCount=0] - Number of symlinks already followed
+   * @param {string} [fullPath=pathS] - Path given by the caller, errors are thrown with it
+   * @returns {{dir: Directory, target: File|Directory|Symlink, name: string, remaining: string, mount: Object}}
    * @throws {FSError|TypeError} Will throw ENOENT if pathS is empty, should not throw TypeError
    */
-  _navigate (pathS, resolveLastLink) {
+  _navigate (pathS, resolveLastLink, linkCount, fullPath) {
     resolveLastLink =
       (typeof resolveLastLink !== 'undefined')
       ? resolveLastLink
       : true;
+    linkCount = linkCount || 0;
+    fullPath = fullPath || pathS;
     if (!pathS) {
       throw new FSError(errno.code.ENOENT, pathS);
     }
-    // at root consider that: '/a', 'a', '/a', './a', '../a' are all the same
-    // so we canonicalise all of these to just 'a'
-    pathS = pathS.replace(/^\.{1,2}\/|\/+/, '');
+    if (pathS[0] !== '/') {
+      // inside a mount, the working directory is the mountpoint and relative paths continue from the path in the mount
+      if (this._cwdMounted) {
+        pathS = this._cwdMounted.slice(1) + '/' + pathS;
+      }
+      return this._navigateFrom(this._cwd, pathS, resolveLastLink, linkCount, fullPath);
+    }
+    pathS = pathS.replace(/^\/+/, '');
     // if it is empty now, this means there was just /
     if (pathS === '') {
       return {
@@ -100,26 +509,56 @@ class FS {
         remaining: ''
       };
     }
-    return this._navigateFrom(this._root, pathS, resolveLastLink);
+    return this._navigateFrom(this._root, pathS, resolveLastLink, linkCount, fullPath);
   }
 
   /**
    * Navigates the filesystem tree from a given directory
+   * The '.' and '..' segments are walked as directory entries
+   * Navigation stops at mountpoints, the mount is returned with the path remaining inside it
+   * The target is the mountpoint directory if nothing remains, otherwise it is null
    * @private
    * @param {Directory} curdir
    * @param {string} pathS
    * @param {boolean} resolveLastLink
-   * @returns {{dir: Directory, target: File|Directory|Symlink, name: string, remaining: string}}
-   * @throws {FSError|TypeError} Will throw ENOENT if pathS is empty, should not throw TypeError
+   * @param {number} [linkCount=0] - Number of symlinks already followed
+   * @param {string} [fullPath=pathS] - Path given by the caller, errors are thrown with it rather than the remaining path
+   * @returns {{dir: Directory, target: File|Directory|Symlink, name: string, remaining: string, mount: Object}}
+   * @throws {FSError|TypeError} Will throw ENOENT if pathS is empty, EACCES if curdir cannot be searched, ELOOP if too many symlinks are followed, should not throw TypeError
    */
-  _navigateFrom (curdir, pathS, resolveLastLink) {
+  _navigateFrom (curdir, pathS, resolveLastLink, linkCount, fullPath) {
+    linkCount = linkCount || 0;
+    fullPath = fullPath || pathS;
     if (!pathS) {
       throw new FSError(errno.code.ENOENT, pathS);
     }
+    // this happens when the current working directory is a mountpoint
+    let mount = this._mounts[curdir.getEntryIndex('.')];
+    if (mount) {
+      return this._navigateMount(
+        curdir,
+        {
+          dir: curdir,
+          target: null,
+          name: null,
+          remaining: pathS,
+          mount: mount
+        },
+        resolveLastLink,
+        linkCount,
+        fullPath
+      );
+    }
+    // looking up an entry requires search permission on the directory
+    if (!this._checkPermissions(constants.X_OK, curdir.getMetadata())) {
+      throw new FSError(errno.code.EACCES, fullPath);
+    }
     let parse = this._parsePath(pathS);
     let target = curdir.getEntry(parse.segment);
     switch (true) {
     case target instanceof File:
+    case target instanceof CharacterDev:
+    case target instanceof FIFO:
       if (!parse.rest) {
         return {
           dir: curdir,
@@ -135,6 +574,22 @@ class FS {
         remaining: parse.rest
       };
     case target instanceof Directory:
+      mount = this._mounts[target.getEntryIndex('.')];
+      if (mount) {
+        return this._navigateMount(
+          target,
+          {
+            dir: curdir,
+            target: (parse.rest) ? null : target,
+            name: parse.segment,
+            remaining: parse.rest,
+            mount: mount
+          },
+          resolveLastLink,
+          linkCount,
+          fullPath
+        );
+      }
       if (!parse.rest) {
         return {
           dir: curdir,
@@ -143,7 +598,7 @@ class FS {
           remaining: parse.rest
         };
       }
-      return this._navigateFrom(target, parse.rest, resolveLastLink);
+      return this._navigateFrom(target, parse.rest, resolveLastLink, linkCount, fullPath);
     case target instanceof Symlink:
       if (!resolveLastLink && !parse.rest) {
         return {
@@ -153,13 +608,30 @@ class FS {
           remaining: parse.rest
         };
       }
-      let symlink = path.posix.join(target.getLink(), parse.rest);
+      ++linkCount;
+      if (linkCount > MAX_SYMLINKS) {
+        throw new FSError(errno.code.ELOOP, fullPath);
+      }
+      // the rest is appended without normalisation, as '..' must be walked from the link target
+      let symlink = target.getLink();
+      if (parse.rest) {
+        symlink = symlink + '/' + parse.rest;
+      }
       if (symlink[0] === '/') {
-        return this._navigate(symlink, resolveLastLink);
+        return this._navigate(symlink, resolveLastLink, linkCount, fullPath);
       } else {
-        return this._navigateFrom(curdir, symlink, resolveLastLink);
+        return this._navigateFrom(curdir, symlink, resolveLastLink, linkCount, fullPath);
       }
     case typeof target === 'undefined':
+      // a removed directory cannot have entries created in it, as POSIX gives ENOENT
+      if (!curdir.getMetadata().nlink) {
+        return {
+          dir: curdir,
+          target: null,
+          name: null,
+          remaining: parse.rest
+        };
+      }
       return {
         dir: curdir,
         target: null,
@@ -171,16 +643,304 @@ class FS {
     }
   }
 
+  /**
+   * Navigates into a mount from its mountpoint
+   * A '..' leaving the root of the mount returns to the mountpoint's parent
+   * '..' is walked by name inside the mount, so it does not go back through symlinks of the mounted filesystem
+   * @private
+   * @param {Directory} mountpoint
+   * @param {{dir: Directory, target: Directory, name: string, remaining: string, mount: Object}} navigated - Navigation stopped at the mountpoint
+   * @param {boolean} resolveLastLink
+   * @param {number} linkCount
+   * @param {string} fullPath - Path given by the caller, errors are thrown with it
+   * @returns {{dir: Directory, target: File|Directory|Symlink, name: string, remaining: string, mount: Object}}
+   */
+  _navigateMount (mountpoint, navigated, resolveLastLink, linkCount, fullPath) {
+    let rest = mountEscape(navigated.remaining);
+    if (rest === null) {
+      return navigated;
+    }
+    let parent = mountpoint.getEntry('..');
+    if (!rest) {
+      return {
+        dir: mountpoint,
+        target: parent,
+        name: '..',
+        remaining: rest
+      };
+    }
+    return this._navigateFrom(parent, rest, resolveLastLink, linkCount, fullPath);
+  }
+
+  /**
+   * Passes an operation on a mount to the mounted filesystem
+   * Mounted filesystems such as Node's fs may not have every operation, like extended attributes
+   * @private
+   * @param {{remaining: string, mount: Object}} navigated - Navigation result on the mount
+   * @param {string} fn - Name of the operation
+   * @param {Array|Arguments} args - Arguments of the operation
+   * @param {number} [position=0] - Position of the path argument, which is replaced by the path inside the mount
+   * @returns {*}
+   * @throws {FSError} Will throw ENOTSUP if the mounted filesystem does not have the operation
+   */
+  _mountedSync (navigated, fn, args, position) {
+    let mount = navigated.mount;
+    position = position || 0;
+    args = Array.prototype.slice.call(args);
+    if (typeof mount.fs[fn] !== 'function') {
+      throw new FSError(errno.code.ENOTSUP, args[position]);
+    }
+    args[position] = '/' + navigated.remaining;
+    let result = mount.fs[fn].apply(mount.fs, args);
+    if (result instanceof Stat && !result.dev) {
+      result.dev = mount.dev;
+    }
+    return result;
+  }
+
+  /**
+   * Passes an operation on a file descriptor of a mount to the mounted filesystem
+   * @private
+   * @param {MountedFileDescriptor} fd
+   * @param {string} fn - Name of the operation
+   * @param {Array|Arguments} args - Arguments of the operation, starting with the file descriptor index
+   * @returns {*}
+   * @throws {FSError} Will throw ENOTSUP if the mounted filesystem does not have the operation
+   */
+  _mountedFdSync (fd, fn, args) {
+    let mount = fd.getMount();
+    if (typeof mount.fs[fn] !== 'function') {
+      throw new FSError(errno.code.ENOTSUP, fn.replace(/Sync$/, ''));
+    }
+    args = Array.prototype.slice.call(args);
+    args[0] = fd.getFd();
+    let result = mount.fs[fn].apply(mount.fs, args);
+    if (result instanceof Stat && !result.dev) {
+      result.dev = mount.dev;
+    }
+    return result;
+  }
+
+  /**
+   * Attaches a filesystem at a directory
+   * The filesystem can be an FS or any object implementing the same synchronous API
+   * Paths inside the mount are passed to the mounted filesystem as absolute paths
+   * A '..' at the root of the mount returns to the mountpoint's parent, absolute symlinks inside the mount stay inside it
+   * Inodes of the mounted filesystem that have no device report the device of the mount
+   * Mounts are not serialized
+   * @param {Object} fs - Filesystem to mount
+   * @param {string} pathS - Mountpoint directory
+   * @throws {FSError} Will throw EPERM if the caller is not root, ENOENT, ENOTDIR or EBUSY if the mountpoint is root or already a mountpoint
+   */
+  mountSync (fs, pathS) {
+    if (this._uid !== 0) {
+      throw new FSError(errno.code.EPERM, pathS);
+    }
+    let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      if (navigated.remaining) {
+        return navigated.mount.fs.mountSync(fs, '/' + navigated.remaining);
+      }
+      throw new FSError(errno.code.EBUSY, pathS);
+    }
+    let target = navigated.target;
+    if (!target) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    if (!(target instanceof Directory)) {
+      throw new FSError(errno.code.ENOTDIR, pathS);
+    }
+    if (target === this._root) {
+      throw new FSError(errno.code.EBUSY, pathS);
+    }
+    // the mountpoint holds a reference so it is not collected while mounted
+    let index = target.getEntryIndex('.');
+    this._inodeMgr.refINode(index);
+    this._mounts[index] = {
+      fs: fs,
+      dev: nextDev++,
+      dir: target
+    };
+    return;
+  }
+
+  /**
+   * Detaches a filesystem from its mountpoint
+   * @param {string} pathS - Mountpoint directory
+   * @throws {FSError} Will throw EPERM if the caller is not root, EINVAL if the path is not a mountpoint, EBUSY if the mount has open file descriptors or contains the current working directory
+   */
+  umountSync (pathS) {
+    if (this._uid !== 0) {
+      throw new FSError(errno.code.EPERM, pathS);
+    }
+    let navigated = this._navigate(pathS, true);
+    if (!navigated.mount) {
+      throw new FSError(errno.code.EINVAL, pathS);
+    }
+    if (navigated.remaining) {
+      return navigated.mount.fs.umountSync('/' + navigated.remaining);
+    }
+    let index = navigated.target.getEntryIndex('.');
+    if (navigated.target === this._cwd ||
+        this._fdMgr.hasMountedFds(navigated.mount))
+    {
+      throw new FSError(errno.code.EBUSY, pathS);
+    }
+    delete this._mounts[index];
+    this._inodeMgr.unrefINode(index);
+    return;
+  }
+
+  /**
+   * Runs synchronous operations as one transaction
+   * If fn throws, every inode, directory entry and hardlink count change is rolled back and the error is rethrown
+   * Watchers are only notified of the changes once the outermost transaction commits, and never if they are rolled back
+   * Nothing else can run during fn, so other readers only see the tree before or after the transaction
+   * Transactions can be nested, a nested transaction that throws only rolls back its own changes
+   * Rolling back also restores the current working directory and mounts, and closes the file descriptors opened during the transaction
+   * File descriptors closed during the transaction stay closed, and their positions are not restored
+   * Changes on mounted filesystems and data written into FIFOs are not part of the transaction
+   * @param {function(FS): *} fn - Called with this FS
+   * @returns {*} The result of fn
+   * @throws {TypeError} Will throw and roll back if fn returns a promise, as its asynchronous changes cannot be part of the transaction
+   */
+  transaction (fn) {
+    let state = this._saveState();
+    this._inodeMgr.beginTransaction();
+    let result;
+    try {
+      result = fn(this);
+      if (result && typeof result.then === 'function') {
+        // the promise is dropped, so its rejection must not be reported as unhandled
+        result.then(null, function () {});
+        throw new TypeError('Transactions must be synchronous');
+      }
+    } catch (e) {
+      this._rollbackState(state);
+      this._inodeMgr.rollbackTransaction();
+      throw e;
+    }
+    this._inodeMgr.commitTransaction();
+    return result;
+  }
+
+  /**
+   * Saves the state of this FS that is not kept in inodes for a transaction
+   * @private
+   * @returns {Object}
+   */
+  _saveState () {
+    return {
+      cwd: this._cwd,
+      cwdMounted: this._cwdMounted,
+      mounts: Object.assign({}, this._mounts),
+      fds: this._fdMgr.getFds()
+    };
+  }
+
+  /**
+   * Restores the state saved by _saveState when a transaction is rolled back
+   * The private references taken during the transaction are dropped before the inodes are rolled back
+   * @private
+   * @param {Object} state
+   */
+  _rollbackState (state) {
+    let fds = this._fdMgr.getFds();
+    for (let index in fds) {
+      if (state.fds[index] !== fds[index]) {
+        this.closeSync(Number(index));
+      }
+    }
+    for (let index in state.mounts) {
+      if (this._mounts[index] !== state.mounts[index]) {
+        this._inodeMgr.refINode(index);
+      }
+    }
+    for (let index in this._mounts) {
+      if (this._mounts[index] !== state.mounts[index]) {
+        this._inodeMgr.unrefINode(index);
+      }
+    }
+    this._mounts = state.mounts;
+    if (this._cwd !== state.cwd) {
+      this._inodeMgr.refINode(state.cwd.getEntryIndex('.'));
+      this._inodeMgr.unrefINode(this._cwd.getEntryIndex('.'));
+      this._cwd = state.cwd;
+    }
+    this._cwdMounted = state.cwdMounted;
+    return;
+  }
+
+  /**
+   * Takes a read-only snapshot of the filesystem
+   * Taking a snapshot is constant time, each inode is saved the first time it changes afterwards
+   * Saved directory entries and file blocks are shared copy-on-write, so saving an inode does not copy its contents
+   * Every snapshot adds to the cost of those first changes, so release snapshots that are no longer needed
+   * Mounts, open file descriptors and the working directory are not part of snapshots
+   * @returns {Snapshot}
+   */
+  snapshot () {
+    return new exports.Snapshot(this);
+  }
+
+  /**
+   * Rewinds the filesystem to a snapshot, the snapshot stays usable so it can be restored again
+   * Open file descriptors of inodes that are not in the snapshot are closed, and mounts on them are detached
+   * The working directory moves to root if it is not in the snapshot
+   * Within a transaction, restoring is rolled back with the transaction
+   * @param {Snapshot} snapshot - Snapshot taken of this filesystem
+   * @throws {TypeError} Will throw if the snapshot was taken of another filesystem or has been released
+   */
+  restore (snapshot) {
+    if (!(snapshot instanceof exports.Snapshot) || snapshot.getSource() !== this) {
+      throw new TypeError('Snapshot of another filesystem');
+    }
+    let record = snapshot._inodeMgr.getSnapshot();
+    if (!record) {
+      throw new TypeError('Snapshot has been released');
+    }
+    let inSnapshot = (iNode) => this._inodeMgr.inSnapshot(record, iNode);
+    let fds = this._fdMgr.getFds();
+    for (let index in fds) {
+      if (fds[index] instanceof FileDescriptor && !inSnapshot(fds[index].getINode())) {
+        this.closeSync(Number(index));
+      }
+    }
+    for (let index in this._mounts) {
+      if (!inSnapshot(this._inodeMgr.getINode(index))) {
+        delete this._mounts[index];
+        this._inodeMgr.unrefINode(index);
+      }
+    }
+    if (!inSnapshot(this._cwd)) {
+      let oldCwd = this._cwd;
+      this._inodeMgr.refINode(this._root.getEntryIndex('.'));
+      this._cwd = this._root;
+      this._cwdMounted = '';
+      this._inodeMgr.unrefINode(oldCwd.getEntryIndex('.'));
+    }
+    this._inodeMgr.restoreSnapshot(record);
+    return;
+  }
+
   existsSync (pathS) {
     try {
-      return !!(this._navigate(pathS, true).target);
+      let navigated = this._navigate(pathS, true);
+      if (navigated.mount) {
+        return this._mountedSync(navigated, 'existsSync', arguments);
+      }
+      return !!(navigated.target);
     } catch (e) {
       return false;
     }
   }
 
   statSync (pathS) {
-    let target = this._navigate(pathS, true).target;
+    let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'statSync', arguments);
+    }
+    let target = navigated.target;
     if (target) {
       return new Stat(clone(target.getMetadata()));
     } else {
@@ -189,7 +949,11 @@ class FS {
   }
 
   lstatSync (pathS) {
-    let target = this._navigate(pathS, false).target;
+    let navigated = this._navigate(pathS, false);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'lstatSync', arguments);
+    }
+    let target = navigated.target;
     if (target) {
       return new Stat(clone(target.getMetadata()));
     } else {
@@ -197,12 +961,45 @@ class FS {
     }
   }
 
+  /**
+   * Writes data to a file, replacing the file by default
+   * Flags other than 'w' and file descriptors are written through a file descriptor
+   * So 'a' appends, 'wx' and 'ax' throw EEXIST and 'r+' throws ENOENT like openSync
+   * @param {string|number} pathS - Path or file descriptor, a file descriptor is written at its position and not closed
+   * @param {Buffer|string} content
+   * @param {Object|string} [optionsOrEncoding] - Options or the encoding
+   * @param {string} [optionsOrEncoding.encoding='utf8']
+   * @param {number} [optionsOrEncoding.mode=0o666] - Mode of a created file before the umask
+   * @param {string|number} [optionsOrEncoding.flag='w']
+   */
   writeFileSync(pathS, content, optionsOrEncoding) {
     // this is node behaviour
     if (typeof content === 'undefined') {
       content = 'undefined';
     }
+    const options = (optionsOrEncoding && typeof optionsOrEncoding === 'object')
+          ? optionsOrEncoding
+          : { encoding: optionsOrEncoding };
+    const mode = (typeof options.mode === 'number') ? options.mode : 0o666;
+    const flags = this._parseFlags(options.flag || 'w');
+    if (optionsOrEncoding || typeof content === 'string') {
+      content = Buffer(content, options.encoding);
+    }
+    if (typeof pathS === 'number' || flags !== this._parseFlags('w')) {
+      let fdIndex = (typeof pathS === 'number') ? pathS : this.openSync(pathS, flags, mode);
+      try {
+        this.writeSync(fdIndex, content, 0, content.length, null);
+      } finally {
+        if (typeof pathS !== 'number') {
+          this.closeSync(fdIndex);
+        }
+      }
+      return;
+    }
     let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'writeFileSync', arguments);
+    }
     if (!navigated.target && !navigated.name) {
       throw new FSError(errno.code.ENOENT, pathS);
     }
@@ -212,32 +1009,200 @@ class FS {
     if (navigated.target instanceof Directory) {
       throw new FSError(errno.code.EISDIR, pathS);
     }
-    const encoding =
-          typeof optionsOrEncoding === "object"
-          ? optionsOrEncoding.encoding
-          : optionsOrEncoding;
-    if (optionsOrEncoding || typeof content === 'string') {
-      content = Buffer(content, encoding);
-    }
     if (navigated.target instanceof File) {
+      if (!this._checkPermissions(constants.W_OK, navigated.target.getMetadata())) {
+        throw new FSError(errno.code.EACCES, pathS);
+      }
       navigated.target.write(content);
-    } else {
-      let index = this._inodeMgr.createINode(File, { data: content });
+    } else if (navigated.target) {
+      // devices and FIFOs are written through a temporary file descriptor
+      if (!this._checkPermissions(constants.W_OK, navigated.target.getMetadata())) {
+        throw new FSError(errno.code.EACCES, pathS);
+      }
+      let fdIndex = this._fdMgr.createFd(navigated.target, constants.O_WRONLY);
+      try {
+        this._fdMgr.getFd(fdIndex).write(content);
+      } finally {
+        this._fdMgr.deleteFd(fdIndex);
+      }
+    } else {
+      if (!this._checkPermissions(constants.W_OK, navigated.dir.getMetadata())) {
+        throw new FSError(errno.code.EACCES, pathS);
+      }
+      let index = this._inodeMgr.createINode(
+        File,
+        {
+          data: content,
+          mode: mode & ~this._umask,
+          uid: this._uid,
+          gid: this._gid
+        }
+      );
+      navigated.dir.addEntry(navigated.name, index);
+    }
+    return;
+  }
+
+  /**
+   * Appends data to a file, creating it if it does not exist
+   * @param {string|number} pathS - Path or file descriptor
+   * @param {Buffer|string} content
+   * @param {Object|string} [optionsOrEncoding] - Options of writeFileSync or the encoding
+   * @param {string|number} [optionsOrEncoding.flag='a']
+   */
+  appendFileSync (pathS, content, optionsOrEncoding) {
+    const options = (optionsOrEncoding && typeof optionsOrEncoding === 'object')
+          ? Object.assign({}, optionsOrEncoding)
+          : { encoding: optionsOrEncoding };
+    options.flag = options.flag || 'a';
+    this.writeFileSync(pathS, content, options);
+    return;
+  }
+
+  /**
+   * Copies a file, replacing the destination by default
+   * With COPYFILE_FICLONE or COPYFILE_FICLONE_FORCE the copy is a clone sharing the blocks of the source
+   * Shared blocks are copied block by block as either file is written, clones are charged to limits like copies
+   * Devices and FIFOs are copied through their data, they cannot be cloned with COPYFILE_FICLONE_FORCE
+   * Copies into or out of a mount are copied through their data, unless both paths are on the same mount
+   * The destination gets the permissions of the source, this is libuv behaviour
+   * @param {string} srcPathS
+   * @param {string} dstPathS
+   * @param {number} [flags=0] - COPYFILE_EXCL, COPYFILE_FICLONE and COPYFILE_FICLONE_FORCE
+   * @throws {FSError} Will throw ENOENT, EACCES, EISDIR, EEXIST with COPYFILE_EXCL, or ENOTSUP or EXDEV with COPYFILE_FICLONE_FORCE if the source cannot be cloned
+   */
+  copyFileSync (srcPathS, dstPathS, flags) {
+    flags = flags || 0;
+    let srcNavigated = this._navigate(srcPathS, true);
+    // with COPYFILE_EXCL the destination is created like O_EXCL, so the last symlink is never followed
+    let navigated = this._navigate(dstPathS, !(flags & constants.COPYFILE_EXCL));
+    if (srcNavigated.mount && srcNavigated.mount === navigated.mount &&
+        typeof navigated.mount.fs.copyFileSync === 'function')
+    {
+      navigated.mount.fs.copyFileSync('/' + srcNavigated.remaining, '/' + navigated.remaining, flags);
+      return;
+    }
+    if (srcNavigated.mount || navigated.mount) {
+      if (flags & constants.COPYFILE_FICLONE_FORCE) {
+        throw new FSError(errno.code.EXDEV, [srcPathS, dstPathS]);
+      }
+      let srcStat = this.statSync(srcPathS);
+      this.writeFileSync(dstPathS, this.readFileSync(srcPathS), {
+        flag: (flags & constants.COPYFILE_EXCL) ? 'wx' : 'w'
+      });
+      this.chmodSync(dstPathS, srcStat.mode);
+      this._copyXattrs(srcPathS, dstPathS, true);
+      return;
+    }
+    let source = srcNavigated.target;
+    if (!source) {
+      throw new FSError(errno.code.ENOENT, [srcPathS, dstPathS]);
+    }
+    if (source instanceof Directory) {
+      throw new FSError(errno.code.EISDIR, [srcPathS, dstPathS]);
+    }
+    if (!this._checkPermissions(constants.R_OK, source.getMetadata())) {
+      throw new FSError(errno.code.EACCES, [srcPathS, dstPathS]);
+    }
+    if ((flags & constants.COPYFILE_FICLONE_FORCE) && !(source instanceof File)) {
+      throw new FSError(errno.code.ENOTSUP, [srcPathS, dstPathS]);
+    }
+    let target = navigated.target;
+    if (target === source) {
+      return;
+    }
+    if (target) {
+      if (flags & constants.COPYFILE_EXCL) {
+        throw new FSError(errno.code.EEXIST, [srcPathS, dstPathS]);
+      }
+      if (target instanceof Directory) {
+        throw new FSError(errno.code.EISDIR, [srcPathS, dstPathS]);
+      }
+      if (!this._checkPermissions(constants.W_OK, target.getMetadata())) {
+        throw new FSError(errno.code.EACCES, [srcPathS, dstPathS]);
+      }
+    } else {
+      if (!navigated.name || navigated.remaining) {
+        throw new FSError(errno.code.ENOENT, [srcPathS, dstPathS]);
+      }
+      if (!this._checkPermissions(constants.W_OK, navigated.dir.getMetadata())) {
+        throw new FSError(errno.code.EACCES, [srcPathS, dstPathS]);
+      }
+    }
+    let mode = source.getMetadata().mode & ~constants.S_IFMT;
+    if (!(source instanceof File) || (target && !(target instanceof File))) {
+      this.writeFileSync(
+        dstPathS,
+        (source instanceof File) ? source.read() : source.readAll(),
+        { mode: mode }
+      );
+      this._copyXattrsINode(source, this._navigate(dstPathS, true).target);
+      return;
+    }
+    let clone = !!(flags & (constants.COPYFILE_FICLONE | constants.COPYFILE_FICLONE_FORCE));
+    if (target) {
+      if (clone) {
+        target.shareData(source);
+      } else {
+        target.write(source.read());
+      }
+      target.setMode(mode);
+    } else {
+      let props = {
+        mode: mode,
+        uid: this._uid,
+        gid: this._gid
+      };
+      if (clone) {
+        props.source = source;
+      } else {
+        props.data = source.read();
+      }
+      let index = this._inodeMgr.createINode(File, props);
       navigated.dir.addEntry(navigated.name, index);
+      target = this._inodeMgr.getINode(index);
     }
+    this._copyXattrsINode(source, target);
     return;
   }
 
-  mkdirSync(pathS) {
+  /**
+   * Creates a directory
+   * With the recursive option, missing parents are created and an existing directory is not an error
+   * @param {string} pathS
+   * @param {Object|number} [modeOrOptions] - Options or the mode
+   * @param {boolean} [modeOrOptions.recursive=false]
+   * @param {number} [modeOrOptions.mode=0o777] - Mode before the umask
+   * @returns {string|undefined} With the recursive option, the absolute path of the first directory created
+   */
+  mkdirSync(pathS, modeOrOptions) {
+    const options = (modeOrOptions && typeof modeOrOptions === 'object')
+          ? modeOrOptions
+          : { mode: modeOrOptions };
+    if (options.recursive) {
+      return this._mkdirRecursive(pathS, options.mode);
+    }
+    let mode = (typeof options.mode === 'number') ? options.mode : 0o777;
     let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'mkdirSync', arguments);
+    }
     if (!navigated.target && !navigated.name) {
       throw new FSError(errno.code.ENOENT, pathS);
     } else if (!navigated.target && navigated.remaining) {
       throw new FSError(errno.code.ENOENT, pathS);
     } else if (!navigated.target) {
+      if (!this._checkPermissions(constants.W_OK, navigated.dir.getMetadata())) {
+        throw new FSError(errno.code.EACCES, pathS);
+      }
       let index = this._inodeMgr.createINode(
         Directory,
-        { parent: navigated.dir.getEntryIndex('.') }
+        {
+          parent: navigated.dir.getEntryIndex('.'),
+          mode: mode & ~this._umask,
+          uid: this._uid,
+          gid: this._gid
+        }
       );
       navigated.dir.addEntry(navigated.name, index);
     } else if (!(navigated.target instanceof Directory)) {
@@ -248,21 +1213,81 @@ class FS {
     return;
   }
 
-  mkdirpSync (pathS) {
+  /**
+   * Creates a directory and its missing parents one path prefix at a time
+   * Each directory is created through mkdirSync, so parents may be on mounts or overlay layers
+   * @private
+   * @param {string} pathS
+   * @param {number} [mode]
+   * @returns {string|undefined} The absolute path of the first directory created
+   * @throws {FSError} Will throw EEXIST if the path is not a directory, ENOTDIR if a parent is not a directory
+   */
+  _mkdirRecursive (pathS, mode) {
+    let segments = pathS.split('/');
+    // trailing slashes are ignored
+    while (segments.length > 1 && !segments[segments.length - 1]) {
+      segments.pop();
+    }
+    let first;
+    for (let i = 1; i <= segments.length; ++i) {
+      let current = segments.slice(0, i).join('/');
+      if (!segments[i - 1] || !current) {
+        continue;
+      }
+      let stat;
+      try {
+        stat = this.statSync(current);
+      } catch (e) {
+        if (e.code !== 'ENOENT') {
+          throw e;
+        }
+      }
+      if (!stat) {
+        this.mkdirSync(current, mode);
+        first = (typeof first === 'undefined') ? current : first;
+      } else if (!stat.isDirectory()) {
+        throw new FSError(
+          (i === segments.length) ? errno.code.EEXIST : errno.code.ENOTDIR,
+          pathS
+        );
+      }
+    }
+    if (typeof first === 'undefined') {
+      return;
+    }
+    // like Node, relative paths are returned resolved against the current working directory
+    return path.posix.resolve(this.cwd(), first);
+  }
+
+  mkdirpSync (pathS, mode) {
+    mode = (typeof mode === 'number') ? mode : 0o777;
     let current = null;
     let navigated = this._navigate(pathS, true);
     while (true) {
-      if (!navigated.target && !navigated.name) {
-        throw new FSError(errno.code.ENOTDIR, pathS);
+      if (navigated.mount) {
+        return this._mountedSync(navigated, 'mkdirpSync', [pathS, mode]);
+      } else if (!navigated.target && !navigated.name) {
+        throw new FSError(
+          (navigated.dir.getMetadata().nlink) ? errno.code.ENOTDIR : errno.code.ENOENT,
+          pathS
+        );
       } else if (!navigated.target) {
+        if (!this._checkPermissions(constants.W_OK, navigated.dir.getMetadata())) {
+          throw new FSError(errno.code.EACCES, pathS);
+        }
         let index = this._inodeMgr.createINode(
           Directory,
-          { parent: navigated.dir.getEntryIndex('.') }
+          {
+            parent: navigated.dir.getEntryIndex('.'),
+            mode: mode & ~this._umask,
+            uid: this._uid,
+            gid: this._gid
+          }
         );
         navigated.dir.addEntry(navigated.name, index);
         if (navigated.remaining) {
           current = this._inodeMgr.getINode(index);
-          navigated = this._navigateFrom(current, navigated.remaining, true);
+          navigated = this._navigateFrom(current, navigated.remaining, true, 0, pathS);
         } else {
           break;
         }
@@ -275,15 +1300,93 @@ class FS {
     return;
   }
 
+  /**
+   * Creates a filesystem node
+   * Character devices read and write through the driver of their device number
+   * Only root can create character devices, block devices and sockets are not supported
+   * @param {string} pathS
+   * @param {number} [mode=S_IFREG | 0o666] - File type and permissions, the permissions are masked by the umask
+   * @param {number} [dev=0] - Device number of a character device
+   * @throws {FSError} Will throw ENOENT, EEXIST, EACCES, EPERM for character devices if not root, EINVAL for unsupported file types
+   */
+  mknodSync (pathS, mode, dev) {
+    let navigated = this._navigate(pathS, false);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'mknodSync', arguments);
+    }
+    mode = (typeof mode === 'number') ? mode : (constants.S_IFREG | 0o666);
+    let type = mode & constants.S_IFMT;
+    let iNodeConstructor;
+    let props = {
+      mode: mode & ~constants.S_IFMT & ~this._umask,
+      uid: this._uid,
+      gid: this._gid
+    };
+    switch (type) {
+    case 0:
+    case constants.S_IFREG:
+      iNodeConstructor = File;
+      props.data = Buffer.alloc(0);
+      break;
+    case constants.S_IFCHR:
+      if (this._uid !== 0) {
+        throw new FSError(errno.code.EPERM, pathS);
+      }
+      iNodeConstructor = CharacterDev;
+      props.rdev = dev || 0;
+      break;
+    case constants.S_IFIFO:
+      iNodeConstructor = FIFO;
+      break;
+    default:
+      throw new FSError(errno.code.EINVAL, pathS);
+    }
+    if (navigated.target) {
+      throw new FSError(errno.code.EEXIST, pathS);
+    }
+    if (!navigated.name || navigated.remaining) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    if (!this._checkPermissions(constants.W_OK, navigated.dir.getMetadata())) {
+      throw new FSError(errno.code.EACCES, pathS);
+    }
+    let index = this._inodeMgr.createINode(iNodeConstructor, props);
+    navigated.dir.addEntry(navigated.name, index);
+    return;
+  }
+
+  /**
+   * Creates a FIFO
+   * @param {string} pathS
+   * @param {number} [mode=0o666] - Permissions masked by the umask
+   */
+  mkfifoSync (pathS, mode) {
+    mode = (typeof mode === 'number') ? mode : 0o666;
+    return this.mknodSync(pathS, constants.S_IFIFO | (mode & ~constants.S_IFMT));
+  }
+
   symlinkSync (target, pathS) {
     if (!target)  {
       throw new FSError(errno.code.ENOENT, [target, pathS]);
     }
     let navigated = this._navigate(pathS, false);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'symlinkSync', arguments, 1);
+    }
     if (!navigated.target && !navigated.name) {
       throw new FSError(errno.code.ENOENT, [target, pathS]);
     } else if (!navigated.target) {
-      let index = this._inodeMgr.createINode(Symlink, { link: target });
+      if (!this._checkPermissions(constants.W_OK, navigated.dir.getMetadata())) {
+        throw new FSError(errno.code.EACCES, [target, pathS]);
+      }
+      let index = this._inodeMgr.createINode(
+        Symlink,
+        {
+          link: target,
+          uid: this._uid,
+          gid: this._gid
+        }
+      );
       navigated.dir.addEntry(navigated.name, index);
       return;
     } else {
@@ -291,265 +1394,2290 @@ class FS {
     }
   }
 
+  /**
+   * Reads the content of a file
+   * Flags other than 'r' and file descriptors are read through a file descriptor
+   * @param {string|number} pathS - Path or file descriptor, a file descriptor is read from its position and not closed
+   * @param {Object|string} [optionsOrEncoding] - Options or the encoding
+   * @param {string} [optionsOrEncoding.encoding] - If not specified, a Buffer is returned
+   * @param {string|number} [optionsOrEncoding.flag='r']
+   * @returns {Buffer|string}
+   */
   readFileSync (pathS, optionsOrEncoding) {
-    let target = this._navigate(pathS, true).target;
+    const options = (optionsOrEncoding && typeof optionsOrEncoding === 'object')
+          ? optionsOrEncoding
+          : { encoding: optionsOrEncoding };
+    const encoding = options.encoding;
+    const flags = this._parseFlags(options.flag || 'r');
+    if (typeof pathS === 'number' || flags !== constants.O_RDONLY) {
+      let fdIndex = (typeof pathS === 'number') ? pathS : this.openSync(pathS, flags);
+      let data;
+      try {
+        data = this._readFd(fdIndex);
+      } finally {
+        if (typeof pathS !== 'number') {
+          this.closeSync(fdIndex);
+        }
+      }
+      return encoding ? data.toString(encoding) : data;
+    }
+    let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'readFileSync', arguments);
+    }
+    let target = navigated.target;
     if (!target) {
       throw new FSError(errno.code.ENOENT, pathS);
     }
     if (target instanceof Directory) {
       throw new FSError(errno.code.EISDIR, pathS);
     }
-    const encoding =
-          typeof optionsOrEncoding === "object"
-          ? optionsOrEncoding.encoding
-          : optionsOrEncoding;
-    return encoding ? target.read().toString(encoding) : cloneBuffer(target.read());
+    if (!this._checkPermissions(constants.R_OK, target.getMetadata())) {
+      throw new FSError(errno.code.EACCES, pathS);
+    }
+    if (!(target instanceof File)) {
+      let data = target.readAll();
+      return encoding ? data.toString(encoding) : data;
+    }
+    return encoding ? target.read().toString(encoding) : target.read();
   }
 
-  readdirSync (pathS) {
+  /**
+   * Reads a file descriptor from its position until end of file
+   * Devices and FIFOs are read whole, so endless devices throw EFBIG instead of filling memory
+   * @private
+   * @param {number} fdIndex
+   * @returns {Buffer}
+   */
+  _readFd (fdIndex) {
+    let fd = this._fdMgr.getFd(fdIndex);
+    if (fd instanceof FileDescriptor &&
+        (fd.getINode() instanceof CharacterDev || fd.getINode() instanceof FIFO))
+    {
+      if ((fd.getFlags() & 3) === constants.O_WRONLY) {
+        throw new FSError(errno.code.EBADF, 'read');
+      }
+      return fd.getINode().readAll();
+    }
+    let buffers = [];
+    let bytesRead;
+    do {
+      let buffer = Buffer.alloc(READ_CHUNK_SIZE);
+      bytesRead = this.readSync(fdIndex, buffer, 0, buffer.length, null);
+      buffers.push(buffer.slice(0, bytesRead));
+    } while (bytesRead);
+    return Buffer.concat(buffers);
+  }
+
+  /**
+   * Lists the names in a directory, without '.' and '..'
+   * With the recursive option, all descendants are listed breadth first as paths relative to the directory
+   * Symlinks to directories are listed but not followed
+   * With the withFileTypes option, Dirents are listed with the file types of the entries' inodes
+   * @param {string} pathS
+   * @param {Object|string} [optionsOrEncoding] - Options or the encoding, names are always strings
+   * @param {boolean} [optionsOrEncoding.recursive=false]
+   * @param {boolean} [optionsOrEncoding.withFileTypes=false]
+   * @returns {string[]|Dirent[]}
+   */
+  readdirSync (pathS, optionsOrEncoding) {
+    const options = (optionsOrEncoding && typeof optionsOrEncoding === 'object')
+          ? optionsOrEncoding
+          : {};
+    if (options.recursive) {
+      return this._readdirRecursive(pathS, !!options.withFileTypes);
+    }
     let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      let listed = this._mountedSync(navigated, 'readdirSync', arguments);
+      // Dirents of the mounted filesystem are in the listed directory
+      listed.forEach(function (entry) {
+        if (typeof entry.parentPath === 'string') {
+          entry.parentPath = pathS;
+          entry.path = pathS;
+        }
+      });
+      return listed;
+    }
     if (!navigated.target) {
       throw new FSError(errno.code.ENOENT, pathS);
     }
-    if (navigated.target instanceof Symlink) {
+    if (!(navigated.target instanceof Directory)) {
       throw new FSError(errno.code.ENOTDIR, pathS);
     }
-    return Object.keys(navigated.target.getEntries()).filter(function (v) {
+    if (!this._checkPermissions(constants.R_OK, navigated.target.getMetadata())) {
+      throw new FSError(errno.code.EACCES, pathS);
+    }
+    let entries = navigated.target.getEntries();
+    let names = Object.keys(entries).filter(function (v) {
       return v !== '.' && v !== '..';
     });
+    if (options.withFileTypes) {
+      return names.map((name) => {
+        return new Dirent(name, this._inodeMgr.getINode(entries[name]).getMetadata().mode, pathS);
+      });
+    }
+    return names;
   }
 
-  readlinkSync (pathS) {
-    let target = this._navigate(pathS, false).target;
-    if (!target) {
-      throw new FSError(errno.code.ENOENT, pathS);
-    }
-    if (!(target instanceof Symlink)) {
-      throw new FSError(errno.code.EINVAL, pathS);
+  /**
+   * Lists all descendants of a directory breadth first
+   * Each directory is listed through readdirSync, so descendants may be on mounts or overlay layers
+   * The file types of the Dirents are used to find subdirectories, so entries are not stat'd
+   * @private
+   * @param {string} pathS
+   * @param {boolean} withFileTypes
+   * @returns {string[]|Dirent[]} Paths relative to the directory, or Dirents with the path of their directory
+   */
+  _readdirRecursive (pathS, withFileTypes) {
+    let entries = [];
+    let queue = [''];
+    while (queue.length) {
+      let dir = queue.shift();
+      let dirPath = dir ? this._joinPath(pathS, dir) : pathS;
+      this.readdirSync(dirPath, { withFileTypes: true }).forEach((dirent) => {
+        let entry = dir ? dir + '/' + dirent.name : dirent.name;
+        entries.push(withFileTypes ? dirent : entry);
+        if (dirent.isDirectory()) {
+          queue.push(entry);
+        }
+      });
     }
-    return target.getLink();
+    return entries;
   }
 
-  linkSync (target, pathS) {
-    let navigatedTarget;
-    let navigatedSource;
-    try {
-      navigatedTarget = this._navigate(target, false);
-      navigatedSource = this._navigate(pathS, false);
-    } catch (e) {
-      if (e instanceof FSError) {
-        throw new FSError(errno.code.ENOENT, [target, pathS]);
-      }
-    }
-    if (!navigatedTarget.target) {
-      throw new FSError(errno.code.ENOENT, [target, pathS]);
-    }
-    if (navigatedTarget.target instanceof Directory) {
-      throw new FSError(errno.code.EPERM, [target, pathS]);
-    }
-    if (!navigatedSource.target && !navigatedSource.name) {
-      throw new FSError(errno.code.ENOENT, [target, pathS]);
-    }
-    if (!navigatedSource.target) {
-      let index = navigatedTarget.dir.getEntryIndex(navigatedTarget.name);
-      navigatedSource.dir.addEntry(navigatedSource.name, index);
-      this._inodeMgr.linkINode(index);
-    } else {
-      throw new FSError(errno.code.EEXIST, [target, pathS]);
-    }
-    return;
+  /**
+   * Opens a directory stream
+   * The entries are listed when the directory is opened
+   * @param {string} pathS
+   * @param {Object} [options]
+   * @param {boolean} [options.recursive=false] - Descendants are listed breadth first
+   * @returns {Dir}
+   */
+  opendirSync (pathS, options) {
+    return new Dir(pathS, this.readdirSync(pathS, {
+      withFileTypes: true,
+      recursive: !!(options && options.recursive)
+    }));
   }
 
-  unlinkSync (pathS) {
-    let navigated = this._navigate(pathS, false);
-    if (!navigated.target) {
-      throw new FSError(errno.code.ENOENT, pathS);
-    }
-    if (navigated.target instanceof Directory) {
-      throw new FSError(errno.code.EISDIR, pathS);
+  /**
+   * Lists the paths matching glob patterns
+   * Directories are walked through their entries, so entries are not stat'd unless they are symlinks or on mounts
+   * Patterns starting with '!' are added to the ignored patterns
+   * Ignored patterns match dotfiles, and an ignored pattern ending with '**' stops the walk at the directories it matches
+   * Symlinks to directories are followed unless they lead back to a directory being walked
+   * @param {string|string[]} patterns
+   * @param {Object} [options]
+   * @param {string} [options.cwd='.'] - Directory relative patterns are matched from, results are relative to it
+   * @param {boolean} [options.dot=false] - If true, wildcards match names starting with '.'
+   * @param {string|string[]} [options.ignore=[]] - Patterns of paths to leave out
+   * @param {boolean} [options.onlyFiles=false] - If true, directories are left out
+   * @param {boolean} [options.onlyDirectories=false] - If true, everything but directories is left out
+   * @param {boolean} [options.followSymbolicLinks=true] - If false, symlinks are matched but not walked
+   * @returns {string[]} Matching paths in the order they are walked, absolute patterns give absolute paths
+   * @throws {FSError|TypeError} Will throw ENOENT or ENOTDIR if cwd is not a directory, TypeError if a pattern is not a string
+   */
+  globSync (patterns, options) {
+    options = options || {};
+    patterns = (typeof patterns === 'string') ? [patterns] : patterns;
+    if (!Array.isArray(patterns)) {
+      throw new TypeError('Patterns must be a string or an array of strings');
     }
-    navigated.dir.deleteEntry(navigated.name);
-    return;
+    let state = {
+      dot: !!options.dot,
+      follow: options.followSymbolicLinks !== false,
+      onlyFiles: !!options.onlyFiles,
+      onlyDirectories: !!options.onlyDirectories,
+      ignores: [],
+      seen: Object.create(null),
+      results: []
+    };
+    let ignore = (typeof options.ignore === 'string') ? [options.ignore] : (options.ignore || []);
+    let matched = [];
+    patterns.concat(ignore.map(function (pattern) {
+      return '!' + pattern;
+    })).forEach(function (pattern) {
+      if (typeof pattern === 'string' && pattern[0] === '!') {
+        state.ignores = state.ignores.concat(GlobPattern.parse(pattern.slice(1), { dot: true }));
+      } else {
+        matched = matched.concat(GlobPattern.parse(pattern, { dot: state.dot }));
+      }
+    });
+    let cwd = this._globNode((typeof options.cwd !== 'undefined') ? options.cwd : '.', '');
+    matched.forEach((pattern) => {
+      let start = (pattern.absolute) ? this._globNode('/', '/') : cwd;
+      this._globWalk(state, pattern, 0, start, [start.key]);
+    });
+    return state.results;
   }
 
-  renameSync(oldPathS, newPathS) {
-
-    let navigatedSource = this._navigate(oldPathS, false);
-    let navigatedTarget = this._navigate(newPathS, false);
-
-    // neither oldPathS nor newPathS can point to root
-    if (navigatedSource.target === this._root ||
-        navigatedTarget.target === this._root)
-    {
-      throw new FSError(errno.code.EBUSY, [oldPathS, newPathS]);
+  /**
+   * Walks the directories matching a glob pattern from a segment
+   * @private
+   * @param {Object} state - Options and results of globSync
+   * @param {GlobPattern} pattern
+   * @param {number} index - Segment matched against the entries of the directory
+   * @param {{path: string, rel: string, dir: Directory, key: string}} node - Directory being walked
+   * @param {string[]} ancestors - Keys of the directories being walked, to stop symlink cycles
+   */
+  _globWalk (state, pattern, index, node, ancestors) {
+    let count = pattern.segments.length;
+    if (index === count) {
+      this._globMatch(state, pattern, node.rel, true);
+      return;
     }
-
-    // source must resolve to something
-    // both source and target must resolve intermediate path segments
-    if (!navigatedSource.target || (!navigatedTarget.target && !navigatedTarget.name)) {
-      throw new FSError(errno.code.ENOENT, [oldPathS, newPathS]);
+    if (pattern.isGlobstar(index)) {
+      this._globWalk(state, pattern, index + 1, node, ancestors);
+      this._globList(state, node).forEach((entry) => {
+        if (entry.name[0] === '.' && !state.dot) {
+          return;
+        }
+        if (!entry.node) {
+          if (index === count - 1) {
+            this._globMatch(state, pattern, entry.rel, false);
+          }
+          return;
+        }
+        // a symlink back to a directory being walked is matched but not walked again
+        if (ancestors.indexOf(entry.node.key) !== -1) {
+          if (index === count - 1) {
+            this._globMatch(state, pattern, entry.rel, true);
+          }
+        } else if (!this._globPruned(state, entry.rel)) {
+          this._globWalk(state, pattern, index, entry.node, ancestors.concat([entry.node.key]));
+        }
+      });
+      return;
     }
-
-    // if source is file, target must not be a directory
-    if (navigatedSource.target instanceof File &&
-        navigatedTarget.target instanceof Directory)
-    {
-      throw new FSError(errno.code.EISDIR, [oldPathS, newPathS]);
+    let literal = pattern.getLiteral(index);
+    let entries;
+    if (literal !== null) {
+      entries = [this._globLookup(state, node, literal)].filter(Boolean);
+    } else {
+      entries = this._globList(state, node).filter(function (entry) {
+        return pattern.matchSegment(index, entry.name);
+      });
     }
+    entries.forEach((entry) => {
+      if (index === count - 1) {
+        this._globMatch(state, pattern, entry.rel, !!entry.node);
+      } else if (entry.node && !this._globPruned(state, entry.rel)) {
+        this._globWalk(state, pattern, index + 1, entry.node, ancestors.concat([entry.node.key]));
+      }
+    });
+  }
 
-    // if source is a directory, target must be a directory (if it exists)
-    if (navigatedSource.target instanceof Directory &&
-        navigatedTarget.target &&
-        !(navigatedTarget.target instanceof Directory))
-    {
-      throw new FSError(errno.code.ENOTDIR, [oldPathS, newPathS]);
+  /**
+   * Adds a matching path to the results of globSync
+   * @private
+   * @param {Object} state
+   * @param {GlobPattern} pattern
+   * @param {string} rel
+   * @param {boolean} isDirectory
+   */
+  _globMatch (state, pattern, rel, isDirectory) {
+    if (!rel || state.seen[rel]) {
+      return;
     }
-
-    // if the target directory contains elements this cannot be done
-    if (navigatedTarget.target instanceof Directory &&
-        Object.keys(navigatedTarget.target.getEntries()) - 2)
+    if (isDirectory
+        ? state.onlyFiles
+        : (state.onlyDirectories || pattern.directoriesOnly))
     {
-      throw new FSError(errno.code.ENOTEMPTY, [oldPathS, newPathS]);
-    }
-
-    // if they are in the same directory, it is simple rename
-    if (navigatedSource.dir === navigatedTarget.dir) {
-      navigatedSource.dir.renameEntry(navigatedSource.name, navigatedTarget.name);
       return;
     }
-
-    if (navigatedTarget.target) {
-      let index = navigatedSource.dir.getEntryIndex(navigatedSource.name);
-      navigatedTarget.dir.deleteEntry(navigatedTarget.name);
-      navigatedTarget.dir.addEntry(index, navigatedTarget.name);
-      navigatedSource.dir.deleteEntry(index);
-      return;
-    } else {
-      let index = navigatedSource.dir.getEntryIndex(navigatedSource.name);
-      navigatedTarget.dir.addEntry(navigatedTarget.name, index);
-      navigatedSource.dir.deleteEntry(navigatedSource.name);
+    if (state.ignores.some(function (ignored) { return ignored.matches(rel); })) {
       return;
     }
+    state.seen[rel] = true;
+    state.results.push(rel);
+  }
 
+  /**
+   * Checks if an ignored pattern ending with '**' matches a directory, so it is not walked
+   * @private
+   * @param {Object} state
+   * @param {string} rel
+   * @returns {boolean}
+   */
+  _globPruned (state, rel) {
+    return state.ignores.some(function (ignored) {
+      return ignored.isGlobstar(ignored.segments.length - 1) && ignored.matches(rel);
+    });
   }
 
-  rmdirSync (pathS) {
+  /**
+   * Gets a directory for globSync to walk
+   * Directories of this filesystem are walked through their entries, mounted directories through readdirSync
+   * @private
+   * @param {string} pathS
+   * @param {string} rel - Path of the directory in the results
+   * @returns {{path: string, rel: string, dir: Directory, key: string}}
+   * @throws {FSError} Will throw ENOENT or ENOTDIR
+   */
+  _globNode (pathS, rel) {
+    let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      return this._globPathNode(pathS, rel);
+    }
+    if (!navigated.target) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    if (!(navigated.target instanceof Directory)) {
+      throw new FSError(errno.code.ENOTDIR, pathS);
+    }
+    let metadata = navigated.target.getMetadata();
+    return {
+      path: pathS,
+      rel: rel,
+      dir: navigated.target,
+      key: metadata.dev + ':' + metadata.ino
+    };
+  }
+
+  /**
+   * Gets a directory for globSync to walk through readdirSync
+   * @private
+   * @param {string} pathS
+   * @param {string} rel
+   * @returns {{path: string, rel: string, dir: null, key: string}}
+   * @throws {FSError} Will throw ENOENT or ENOTDIR
+   */
+  _globPathNode (pathS, rel) {
+    let stat = this.statSync(pathS);
+    if (!stat.isDirectory()) {
+      throw new FSError(errno.code.ENOTDIR, pathS);
+    }
+    return {
+      path: pathS,
+      rel: rel,
+      dir: null,
+      key: stat.dev + ':' + stat.ino
+    };
+  }
+
+  /**
+   * Lists the entries of a directory for globSync
+   * Directories that cannot be read are skipped
+   * @private
+   * @param {Object} state
+   * @param {{path: string, rel: string, dir: Directory, key: string}} node
+   * @returns {{name: string, rel: string, node: Object}[]} Entries have a node if they are directories to walk
+   */
+  _globList (state, node) {
+    if (!node.dir) {
+      let dirents;
+      try {
+        dirents = this.readdirSync(node.path, { withFileTypes: true });
+      } catch (e) {
+        return [];
+      }
+      return dirents.map((dirent) => {
+        return this._globPathEntry(state, node, dirent.name, dirent);
+      });
+    }
+    if (!this._checkPermissions(constants.R_OK | constants.X_OK, node.dir.getMetadata())) {
+      return [];
+    }
+    let entries = node.dir.getEntries();
+    return Object.keys(entries).filter(function (name) {
+      return name !== '.' && name !== '..';
+    }).map((name) => {
+      return this._globEntry(state, node, name, this._inodeMgr.getINode(entries[name]));
+    });
+  }
+
+  /**
+   * Looks up an entry of a directory for globSync
+   * @private
+   * @param {Object} state
+   * @param {{path: string, rel: string, dir: Directory, key: string}} node
+   * @param {string} name
+   * @returns {{name: string, rel: string, node: Object}|null} Null if there is no such entry
+   */
+  _globLookup (state, node, name) {
+    if (!node.dir) {
+      let stat;
+      try {
+        stat = this.lstatSync(this._joinPath(node.path, name));
+      } catch (e) {
+        return null;
+      }
+      return this._globPathEntry(state, node, name, stat);
+    }
+    if (!this._checkPermissions(constants.X_OK, node.dir.getMetadata())) {
+      return null;
+    }
+    let iNode = node.dir.getEntry(name);
+    return (iNode) ? this._globEntry(state, node, name, iNode) : null;
+  }
+
+  /**
+   * Makes an entry of a directory of this filesystem for globSync
+   * @private
+   * @param {Object} state
+   * @param {{path: string, rel: string, dir: Directory, key: string}} node
+   * @param {string} name
+   * @param {File|Directory|Symlink|CharacterDev|FIFO} iNode
+   * @returns {{name: string, rel: string, node: Object}}
+   */
+  _globEntry (state, node, name, iNode) {
+    let pathS = this._joinPath(node.path, name);
+    let rel = globJoin(node.rel, name);
+    let child = null;
+    if (iNode instanceof Directory && !this._mounts[iNode.getEntryIndex('.')]) {
+      let metadata = iNode.getMetadata();
+      child = {
+        path: pathS,
+        rel: rel,
+        dir: iNode,
+        key: metadata.dev + ':' + metadata.ino
+      };
+    } else if (iNode instanceof Directory || (iNode instanceof Symlink && state.follow)) {
+      try {
+        child = this._globNode(pathS, rel);
+      } catch (e) {
+        child = null;
+      }
+    }
+    return { name: name, rel: rel, node: child };
+  }
+
+  /**
+   * Makes an entry of a directory walked through readdirSync for globSync
+   * @private
+   * @param {Object} state
+   * @param {{path: string, rel: string, dir: null, key: string}} node
+   * @param {string} name
+   * @param {Dirent|Stat} type - File type of the entry, symlinks are not followed
+   * @returns {{name: string, rel: string, node: Object}}
+   */
+  _globPathEntry (state, node, name, type) {
+    let pathS = this._joinPath(node.path, name);
+    let rel = globJoin(node.rel, name);
+    let child = null;
+    if (type.isDirectory() || (type.isSymbolicLink() && state.follow)) {
+      try {
+        child = this._globPathNode(pathS, rel);
+      } catch (e) {
+        child = null;
+      }
+    }
+    return { name: name, rel: rel, node: child };
+  }
+
+  /**
+   * Creates a require function that loads modules from this filesystem
+   * Ids are resolved like Node's require, through node_modules, package.json "main" and "exports"
+   * Modules are cached by their real path, the cache is shared by all require functions of this filesystem
+   * @param {string} pathS - File that ids are resolved relative to, a path ending with '/' is a directory
+   * @returns {function(string): *} Require function with resolve and cache like Node's
+   * @throws {TypeError} Will throw if pathS is not a non-empty string
+   */
+  createRequire (pathS) {
+    if (typeof pathS !== 'string' || !pathS) {
+      throw new TypeError('Path must be a non-empty string');
+    }
+    if (pathS[0] !== '/') {
+      pathS = this._joinPath(this.cwd(), pathS);
+    }
+    if (!this._modules) {
+      const ModuleLoader = require('./Modules').ModuleLoader;
+      this._modules = new ModuleLoader(this);
+    }
+    return this._modules.createRequire(pathS);
+  }
+
+  /**
+   * Joins a relative path to a path
+   * This is not normalized, so symlinks followed by '..' are resolved like any path
+   * @private
+   * @param {string} pathS
+   * @param {string} name
+   * @returns {string}
+   */
+  _joinPath (pathS, name) {
+    return pathS.replace(/\/+$/, '') + '/' + name;
+  }
+
+  realpathSync (pathS) {
+    let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      // the real path inside the mount is under the real path of the mountpoint
+      let mountPath = this._getPath(navigated.mount.dir, pathS);
+      let realPath = this._mountedSync(navigated, 'realpathSync', arguments);
+      return (realPath === '/') ? mountPath : mountPath + realPath;
+    }
+    if (!navigated.target) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    if (navigated.target instanceof Directory) {
+      return this._getPath(navigated.target, pathS);
+    }
+    let dirPath = this._getPath(navigated.dir, pathS);
+    if (dirPath === '/') {
+      return '/' + navigated.name;
+    }
+    return dirPath + '/' + navigated.name;
+  }
+
+  readlinkSync (pathS) {
+    let navigated = this._navigate(pathS, false);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'readlinkSync', arguments);
+    }
+    let target = navigated.target;
+    if (!target) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    if (!(target instanceof Symlink)) {
+      throw new FSError(errno.code.EINVAL, pathS);
+    }
+    return target.getLink();
+  }
+
+  linkSync (target, pathS) {
+    let navigatedTarget;
+    let navigatedSource;
+    try {
+      navigatedTarget = this._navigate(target, false);
+      navigatedSource = this._navigate(pathS, false);
+    } catch (e) {
+      if (e instanceof FSError) {
+        throw new FSError(errno.code.ENOENT, [target, pathS]);
+      }
+    }
+    if (navigatedTarget.mount || navigatedSource.mount) {
+      if (navigatedTarget.mount !== navigatedSource.mount) {
+        throw new FSError(errno.code.EXDEV, [target, pathS]);
+      }
+      return this._mountedSync(
+        navigatedSource,
+        'linkSync',
+        ['/' + navigatedTarget.remaining, pathS],
+        1
+      );
+    }
+    if (!navigatedTarget.target) {
+      throw new FSError(errno.code.ENOENT, [target, pathS]);
+    }
+    if (navigatedTarget.target instanceof Directory) {
+      throw new FSError(errno.code.EPERM, [target, pathS]);
+    }
+    if (!navigatedSource.target && !navigatedSource.name) {
+      throw new FSError(errno.code.ENOENT, [target, pathS]);
+    }
+    if (!navigatedSource.target) {
+      if (!this._checkPermissions(constants.W_OK, navigatedSource.dir.getMetadata())) {
+        throw new FSError(errno.code.EACCES, [target, pathS]);
+      }
+      let index = navigatedTarget.dir.getEntryIndex(navigatedTarget.name);
+      navigatedSource.dir.addEntry(navigatedSource.name, index);
+    } else {
+      throw new FSError(errno.code.EEXIST, [target, pathS]);
+    }
+    return;
+  }
+
+  unlinkSync (pathS) {
     let navigated = this._navigate(pathS, false);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'unlinkSync', arguments);
+    }
+    if (!navigated.target) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    if (navigated.target instanceof Directory) {
+      throw new FSError(errno.code.EISDIR, pathS);
+    }
+    if (!this._checkPermissions(constants.W_OK, navigated.dir.getMetadata())) {
+      throw new FSError(errno.code.EACCES, pathS);
+    }
+    navigated.dir.deleteEntry(navigated.name);
+    return;
+  }
+
+  renameSync(oldPathS, newPathS) {
+
+    let navigatedSource = this._navigate(oldPathS, false);
+    let navigatedTarget = this._navigate(newPathS, false);
+
+    // renames on a mount are passed to it, but cannot cross its boundary
+    if (navigatedSource.mount || navigatedTarget.mount) {
+      if (navigatedSource.mount !== navigatedTarget.mount) {
+        throw new FSError(errno.code.EXDEV, [oldPathS, newPathS]);
+      }
+      return this._mountedSync(
+        navigatedTarget,
+        'renameSync',
+        ['/' + navigatedSource.remaining, newPathS],
+        1
+      );
+    }
+
+    // neither oldPathS nor newPathS can point to root
+    if (navigatedSource.target === this._root ||
+        navigatedTarget.target === this._root)
+    {
+      throw new FSError(errno.code.EBUSY, [oldPathS, newPathS]);
+    }
+
+    // neither oldPathS nor newPathS can end in '.' or '..'
+    if (navigatedSource.name === '.' || navigatedSource.name === '..' ||
+        navigatedTarget.name === '.' || navigatedTarget.name === '..')
+    {
+      throw new FSError(errno.code.EBUSY, [oldPathS, newPathS]);
+    }
+
+    // source must resolve to something
+    // both source and target must resolve intermediate path segments
+    if (!navigatedSource.target || (!navigatedTarget.target && !navigatedTarget.name)) {
+      throw new FSError(errno.code.ENOENT, [oldPathS, newPathS]);
+    }
+
+    // renaming to the same inode does nothing
+    if (navigatedSource.target === navigatedTarget.target) {
+      return;
+    }
+
+    // if source is not a directory, target must not be a directory
+    if (!(navigatedSource.target instanceof Directory) &&
+        navigatedTarget.target instanceof Directory)
+    {
+      throw new FSError(errno.code.EISDIR, [oldPathS, newPathS]);
+    }
+
+    // if source is a directory, target must be a directory (if it exists)
+    if (navigatedSource.target instanceof Directory &&
+        navigatedTarget.target &&
+        !(navigatedTarget.target instanceof Directory))
+    {
+      throw new FSError(errno.code.ENOTDIR, [oldPathS, newPathS]);
+    }
+
+    // if the target directory contains elements this cannot be done
+    if (navigatedTarget.target instanceof Directory &&
+        Object.keys(navigatedTarget.target.getEntries()).length - 2)
+    {
+      throw new FSError(errno.code.ENOTEMPTY, [oldPathS, newPathS]);
+    }
+
+    // both directories are modified, and a moved directory has its '..' modified
+    if (!this._checkPermissions(constants.W_OK, navigatedSource.dir.getMetadata()) ||
+        !this._checkPermissions(constants.W_OK, navigatedTarget.dir.getMetadata()) ||
+        (navigatedSource.target instanceof Directory &&
+         navigatedSource.dir !== navigatedTarget.dir &&
+         !this._checkPermissions(constants.W_OK, navigatedSource.target.getMetadata())))
+    {
+      throw new FSError(errno.code.EACCES, [oldPathS, newPathS]);
+    }
+
+    // a directory cannot be moved into itself or its own subdirectories
+    if (navigatedSource.target instanceof Directory) {
+      let current = navigatedTarget.dir;
+      while (true) {
+        if (current === navigatedSource.target) {
+          throw new FSError(errno.code.EINVAL, [oldPathS, newPathS]);
+        }
+        if (current === this._root) {
+          break;
+        }
+        current = current.getEntry('..');
+      }
+    }
+
+    if (navigatedTarget.target) {
+      let targetIndex = navigatedTarget.dir.getEntryIndex(navigatedTarget.name);
+      navigatedTarget.dir.deleteEntry(navigatedTarget.name);
+      // a replaced directory is no longer reachable so it also loses its '.' link
+      if (navigatedTarget.target instanceof Directory) {
+        this._inodeMgr.unlinkINode(targetIndex);
+      }
+    }
+
+    // if they are in the same directory, it is simple rename
+    if (navigatedSource.dir === navigatedTarget.dir) {
+      navigatedSource.dir.renameEntry(navigatedSource.name, navigatedTarget.name);
+      return;
+    }
+
+    let index = navigatedSource.dir.getEntryIndex(navigatedSource.name);
+    navigatedTarget.dir.addEntry(navigatedTarget.name, index);
+    navigatedSource.dir.deleteEntry(navigatedSource.name);
+    if (navigatedSource.target instanceof Directory) {
+      navigatedSource.target.setParent(navigatedTarget.dir.getEntryIndex('.'));
+    }
+    return;
+
+  }
+
+  rmdirSync (pathS) {
+    let navigated = this._navigate(pathS, false);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'rmdirSync', arguments);
+    }
     if (!navigated.target) {
       throw new FSError(errno.code.ENOENT, pathS);
     }
     if (!(navigated.target instanceof Directory)) {
       throw new FSError(errno.code.ENOTDIR, pathS);
     }
-    // this is for if the path resolved to root
-    if (!navigated.name) {
-      throw new FSError(errno.code.EBUSY, pathS);
+    // this is for if the path resolved to root
+    if (!navigated.name) {
+      throw new FSError(errno.code.EBUSY, pathS);
+    }
+    // the '.' and '..' entries cannot be removed from their directory
+    if (navigated.name === '.') {
+      throw new FSError(errno.code.EINVAL, pathS);
+    }
+    if (navigated.name === '..') {
+      throw new FSError(errno.code.ENOTEMPTY, pathS);
+    }
+    if (!this._checkPermissions(constants.W_OK, navigated.dir.getMetadata())) {
+      throw new FSError(errno.code.EACCES, pathS);
+    }
+    // if this directory has subdirectory or files, then we cannot delete
+    if (Object.keys(navigated.target.getEntries()).length - 2) {
+      throw new FSError(errno.code.ENOTEMPTY, pathS);
+    }
+    let index = navigated.dir.getEntryIndex(navigated.name);
+    navigated.dir.deleteEntry(navigated.name);
+    // the removed directory is no longer reachable so it also loses its '.' link
+    this._inodeMgr.unlinkINode(index);
+    return;
+  }
+
+  /**
+   * Removes a file or directory
+   * Directories are only removed with the recursive option, their contents are removed first
+   * Symlinks are removed, not followed
+   * @param {string} pathS
+   * @param {Object} [options]
+   * @param {boolean} [options.recursive=false]
+   * @param {boolean} [options.force=false] - Missing paths are ignored
+   * @throws {FSError} Will throw ENOENT without force, or EISDIR for directories without the recursive option
+   */
+  rmSync (pathS, options) {
+    options = options || {};
+    let stat;
+    try {
+      stat = this.lstatSync(pathS);
+    } catch (e) {
+      if (e.code === 'ENOENT' && options.force) {
+        return;
+      }
+      throw e;
+    }
+    if (!stat.isDirectory()) {
+      this.unlinkSync(pathS);
+      return;
+    }
+    if (!options.recursive) {
+      throw new FSError(errno.code.EISDIR, pathS);
+    }
+    this.readdirSync(pathS).forEach((name) => {
+      this.rmSync(this._joinPath(pathS, name), options);
+    });
+    this.rmdirSync(pathS);
+    return;
+  }
+
+  /**
+   * Copies a file or directory
+   * Directories are only copied with the recursive option, created directories get the permissions of the source
+   * Symlinks are copied with the same link unless they are dereferenced
+   * FIFOs and character devices are recreated, so only root can copy character devices
+   * @param {string} srcPathS
+   * @param {string} dstPathS
+   * @param {Object} [options]
+   * @param {boolean} [options.recursive=false]
+   * @param {boolean} [options.dereference=false] - Symlinks in the source are followed
+   * @param {boolean} [options.force=true] - Existing files are replaced, otherwise they are left as they are
+   * @param {boolean} [options.errorOnExist=false] - Without force, existing files throw EEXIST
+   * @param {function(string, string): boolean} [options.filter] - Sources returning false are skipped with their contents
+   * @param {boolean} [options.preserveTimestamps=false] - The atime and mtime of the source are kept
+   * @param {number} [options.mode=0] - Flags of copyFileSync, COPYFILE_FICLONE clones files
+   * @throws {FSError} Will throw ENOENT, EISDIR for directories without the recursive option,
+   * EINVAL if a directory is copied into itself, EEXIST, ENOTDIR or EISDIR if a file and directory collide
+   */
+  cpSync (srcPathS, dstPathS, options) {
+    options = Object.assign({ force: true }, options);
+    let srcStat = options.dereference ? this.statSync(srcPathS) : this.lstatSync(srcPathS);
+    if (srcStat.isDirectory()) {
+      if (!options.recursive) {
+        throw new FSError(errno.code.EISDIR, [srcPathS, dstPathS]);
+      }
+      let srcReal = this.realpathSync(srcPathS);
+      let dstReal;
+      try {
+        dstReal = this.realpathSync(dstPathS);
+      } catch (e) {
+        dstReal = this._joinPath(
+          this.realpathSync(path.posix.dirname(dstPathS)),
+          path.posix.basename(dstPathS)
+        );
+      }
+      if (srcReal === '/' || dstReal === srcReal || dstReal.indexOf(srcReal + '/') === 0) {
+        throw new FSError(errno.code.EINVAL, [srcPathS, dstPathS]);
+      }
+    }
+    this._cpEntry(srcPathS, dstPathS, options);
+    return;
+  }
+
+  /**
+   * Copies a file or directory for cpSync
+   * Each entry is copied through the public operations, so it may cross mounts and overlay layers
+   * @private
+   * @param {string} srcPathS
+   * @param {string} dstPathS
+   * @param {Object} options - Options of cpSync
+   */
+  _cpEntry (srcPathS, dstPathS, options) {
+    if (options.filter && !options.filter(srcPathS, dstPathS)) {
+      return;
+    }
+    let srcStat = options.dereference ? this.statSync(srcPathS) : this.lstatSync(srcPathS);
+    let dstStat;
+    try {
+      dstStat = this.lstatSync(dstPathS);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+    let mode = srcStat.mode & ~constants.S_IFMT;
+    if (srcStat.isDirectory()) {
+      if (dstStat && !dstStat.isDirectory()) {
+        throw new FSError(errno.code.ENOTDIR, [srcPathS, dstPathS]);
+      }
+      if (!dstStat) {
+        this.mkdirSync(dstPathS);
+        this._copyXattrs(srcPathS, dstPathS, options.dereference);
+      }
+      this.readdirSync(srcPathS).forEach((name) => {
+        this._cpEntry(this._joinPath(srcPathS, name), this._joinPath(dstPathS, name), options);
+      });
+      // permissions are set last, so read only directories can be filled
+      if (!dstStat) {
+        this.chmodSync(dstPathS, mode);
+      }
+    } else {
+      if (dstStat) {
+        if (dstStat.isDirectory()) {
+          throw new FSError(errno.code.EISDIR, [srcPathS, dstPathS]);
+        }
+        if (!options.force) {
+          if (options.errorOnExist) {
+            throw new FSError(errno.code.EEXIST, [srcPathS, dstPathS]);
+          }
+          return;
+        }
+        if (!srcStat.isFile() || !dstStat.isFile()) {
+          this.unlinkSync(dstPathS);
+        }
+      }
+      if (srcStat.isSymbolicLink()) {
+        this.symlinkSync(this.readlinkSync(srcPathS), dstPathS);
+        this._copyXattrs(srcPathS, dstPathS, false);
+      } else if (srcStat.isFIFO()) {
+        this.mkfifoSync(dstPathS, mode);
+        this._copyXattrs(srcPathS, dstPathS, options.dereference);
+      } else if (srcStat.isCharacterDevice()) {
+        this.mknodSync(dstPathS, srcStat.mode, srcStat.rdev);
+        this._copyXattrs(srcPathS, dstPathS, options.dereference);
+      } else {
+        this.copyFileSync(srcPathS, dstPathS, options.mode);
+      }
+    }
+    if (options.preserveTimestamps) {
+      this.lutimesSync(dstPathS, srcStat.atime, srcStat.mtime);
+    }
+    return;
+  }
+
+  accessSync (pathS, mode) {
+    mode = (typeof mode === 'number') ? mode : constants.F_OK;
+    let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'accessSync', arguments);
+    }
+    let target = navigated.target;
+    if (!target) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    if (mode !== constants.F_OK &&
+        !this._checkPermissions(mode, target.getMetadata()))
+    {
+      throw new FSError(errno.code.EACCES, pathS);
+    }
+    return;
+  }
+
+  chmodSync (pathS, mode) {
+    let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'chmodSync', arguments);
+    }
+    let target = navigated.target;
+    if (!target) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    this._chmodINode(target, mode, pathS);
+    return;
+  }
+
+  lchmodSync (pathS, mode) {
+    let navigated = this._navigate(pathS, false);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'lchmodSync', arguments);
+    }
+    let target = navigated.target;
+    if (!target) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    this._chmodINode(target, mode, pathS);
+    return;
+  }
+
+  fchmodSync (fdIndex, mode) {
+    let fd = this._fdMgr.getFd(fdIndex);
+    if (!fd) {
+      throw new FSError(errno.code.EBADF, 'fchmod');
+    }
+    if (fd instanceof MountedFileDescriptor) {
+      return this._mountedFdSync(fd, 'fchmodSync', arguments);
+    }
+    this._chmodINode(fd.getINode(), mode, 'fchmod');
+    return;
+  }
+
+  /**
+   * Changes the permissions of an inode
+   * Only the owner or root may change permissions
+   * @private
+   * @param {File|Directory|Symlink} iNode
+   * @param {number} mode
+   * @param {string} pathS - Path used for errors
+   * @throws {FSError} Will throw EPERM if the caller does not own the inode
+   */
+  _chmodINode (iNode, mode, pathS) {
+    if (this._uid !== 0 && this._uid !== iNode.getMetadata().uid) {
+      throw new FSError(errno.code.EPERM, pathS);
+    }
+    iNode.setMode(mode);
+    return;
+  }
+
+  chownSync (pathS, uid, gid) {
+    let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'chownSync', arguments);
+    }
+    let target = navigated.target;
+    if (!target) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    this._chownINode(target, uid, gid, pathS);
+    return;
+  }
+
+  lchownSync (pathS, uid, gid) {
+    let navigated = this._navigate(pathS, false);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'lchownSync', arguments);
+    }
+    let target = navigated.target;
+    if (!target) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    this._chownINode(target, uid, gid, pathS);
+    return;
+  }
+
+  fchownSync (fdIndex, uid, gid) {
+    let fd = this._fdMgr.getFd(fdIndex);
+    if (!fd) {
+      throw new FSError(errno.code.EBADF, 'fchown');
+    }
+    if (fd instanceof MountedFileDescriptor) {
+      return this._mountedFdSync(fd, 'fchownSync', arguments);
+    }
+    this._chownINode(fd.getINode(), uid, gid, 'fchown');
+    return;
+  }
+
+  /**
+   * Changes the ownership of an inode
+   * Only root may change the owner
+   * The owner may only change the group to its own group
+   * @private
+   * @param {File|Directory|Symlink} iNode
+   * @param {number} uid - A uid of -1 leaves the owner unchanged
+   * @param {number} gid - A gid of -1 leaves the group unchanged
+   * @param {string} pathS - Path used for errors
+   * @throws {FSError} Will throw EPERM if the ownership change is not allowed
+   */
+  _chownINode (iNode, uid, gid, pathS) {
+    let stat = iNode.getMetadata();
+    if (this._uid !== 0) {
+      if (this._uid !== stat.uid) {
+        throw new FSError(errno.code.EPERM, pathS);
+      }
+      if (uid !== -1 && uid !== stat.uid) {
+        throw new FSError(errno.code.EPERM, pathS);
+      }
+      if (gid !== -1 && gid !== stat.gid && gid !== this._gid) {
+        throw new FSError(errno.code.EPERM, pathS);
+      }
+    }
+    iNode.setOwner(uid, gid);
+    return;
+  }
+
+  utimesSync (pathS, atime, mtime) {
+    let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'utimesSync', arguments);
+    }
+    let target = navigated.target;
+    if (!target) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    this._utimesINode(target, atime, mtime, pathS);
+    return;
+  }
+
+  lutimesSync (pathS, atime, mtime) {
+    let navigated = this._navigate(pathS, false);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'lutimesSync', arguments);
+    }
+    let target = navigated.target;
+    if (!target) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    this._utimesINode(target, atime, mtime, pathS);
+    return;
+  }
+
+  futimesSync (fdIndex, atime, mtime) {
+    let fd = this._fdMgr.getFd(fdIndex);
+    if (!fd) {
+      throw new FSError(errno.code.EBADF, 'futimes');
+    }
+    if (fd instanceof MountedFileDescriptor) {
+      return this._mountedFdSync(fd, 'futimesSync', arguments);
+    }
+    this._utimesINode(fd.getINode(), atime, mtime, 'futimes');
+    return;
+  }
+
+  /**
+   * Changes the access and modification times of an inode
+   * Only the owner or root may set the times, ctime is updated to the current time
+   * @private
+   * @param {File|Directory|Symlink} iNode
+   * @param {Date|number|string} atime - Dates, or seconds since the epoch as a number or numeric string
+   * @param {Date|number|string} mtime - Dates, or seconds since the epoch as a number or numeric string
+   * @param {string} pathS - Path used for errors
+   * @throws {TypeError} Will throw if a time is not a Date, number or numeric string
+   * @throws {FSError} Will throw EPERM if the caller does not own the inode
+   */
+  _utimesINode (iNode, atime, mtime, pathS) {
+    atime = this._parseTime(atime);
+    mtime = this._parseTime(mtime);
+    if (this._uid !== 0 && this._uid !== iNode.getMetadata().uid) {
+      throw new FSError(errno.code.EPERM, pathS);
+    }
+    iNode.setTimes(atime, mtime);
+    return;
+  }
+
+  getxattrSync (pathS, name) {
+    let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'getxattrSync', arguments);
+    }
+    return this._getxattrINode(this._navigatedTarget(navigated, pathS), name, pathS);
+  }
+
+  lgetxattrSync (pathS, name) {
+    let navigated = this._navigate(pathS, false);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'lgetxattrSync', arguments);
+    }
+    return this._getxattrINode(this._navigatedTarget(navigated, pathS), name, pathS);
+  }
+
+  /**
+   * Sets an extended attribute
+   * @param {string} pathS
+   * @param {string} name - Name with the user., trusted. or security. namespace prefix
+   * @param {Buffer|string} value
+   * @param {number} [flags=0] - XATTR_CREATE or XATTR_REPLACE
+   * @throws {FSError} Will throw EEXIST with XATTR_CREATE, ENODATA with XATTR_REPLACE, E2BIG if the value is too large,
+   * and the errors of the namespace checks
+   */
+  setxattrSync (pathS, name, value, flags) {
+    let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'setxattrSync', arguments);
+    }
+    this._setxattrINode(this._navigatedTarget(navigated, pathS), name, value, flags, pathS);
+    return;
+  }
+
+  lsetxattrSync (pathS, name, value, flags) {
+    let navigated = this._navigate(pathS, false);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'lsetxattrSync', arguments);
+    }
+    this._setxattrINode(this._navigatedTarget(navigated, pathS), name, value, flags, pathS);
+    return;
+  }
+
+  listxattrSync (pathS) {
+    let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'listxattrSync', arguments);
+    }
+    return this._listxattrINode(this._navigatedTarget(navigated, pathS));
+  }
+
+  llistxattrSync (pathS) {
+    let navigated = this._navigate(pathS, false);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'llistxattrSync', arguments);
+    }
+    return this._listxattrINode(this._navigatedTarget(navigated, pathS));
+  }
+
+  removexattrSync (pathS, name) {
+    let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'removexattrSync', arguments);
+    }
+    this._removexattrINode(this._navigatedTarget(navigated, pathS), name, pathS);
+    return;
+  }
+
+  lremovexattrSync (pathS, name) {
+    let navigated = this._navigate(pathS, false);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'lremovexattrSync', arguments);
+    }
+    this._removexattrINode(this._navigatedTarget(navigated, pathS), name, pathS);
+    return;
+  }
+
+  /**
+   * Gets the inode a path navigated to
+   * @private
+   * @param {{target: File|Directory|Symlink|CharacterDev|FIFO|null}} navigated - Navigation result of the path
+   * @param {string} pathS - Path used for errors
+   * @returns {File|Directory|Symlink|CharacterDev|FIFO}
+   * @throws {FSError} Will throw ENOENT if the path does not exist
+   */
+  _navigatedTarget (navigated, pathS) {
+    let target = navigated.target;
+    if (!target) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    return target;
+  }
+
+  /**
+   * Gets an extended attribute of an inode
+   * @private
+   * @param {File|Directory|Symlink|CharacterDev|FIFO} iNode
+   * @param {string} name
+   * @param {string} pathS - Path used for errors
+   * @returns {Buffer}
+   * @throws {FSError} Will throw ENODATA if the attribute does not exist or is hidden from the caller
+   */
+  _getxattrINode (iNode, name, pathS) {
+    this._checkXattr(iNode, name, false, pathS);
+    let value = iNode.getXattr(name);
+    if (!value) {
+      throw new FSError(errno.code.ENODATA, pathS);
+    }
+    return Buffer.from(value);
+  }
+
+  /**
+   * Sets an extended attribute of an inode
+   * @private
+   * @param {File|Directory|Symlink|CharacterDev|FIFO} iNode
+   * @param {string} name
+   * @param {Buffer|string} value
+   * @param {number} [flags]
+   * @param {string} pathS - Path used for errors
+   */
+  _setxattrINode (iNode, name, value, flags, pathS) {
+    flags = flags || 0;
+    this._checkXattr(iNode, name, true, pathS);
+    value = Buffer.from(value);
+    if (value.length > XATTR_SIZE_MAX) {
+      throw new FSError(errno.code.E2BIG, pathS);
+    }
+    let exists = !!iNode.getXattr(name);
+    if ((flags & constants.XATTR_CREATE) && exists) {
+      throw new FSError(errno.code.EEXIST, pathS);
+    }
+    if ((flags & constants.XATTR_REPLACE) && !exists) {
+      throw new FSError(errno.code.ENODATA, pathS);
+    }
+    iNode.setXattr(name, value);
+    return;
+  }
+
+  /**
+   * Lists the extended attributes of an inode that are visible to the caller
+   * @private
+   * @param {File|Directory|Symlink|CharacterDev|FIFO} iNode
+   * @returns {string[]}
+   */
+  _listxattrINode (iNode) {
+    return iNode.getXattrNames().filter((name) => {
+      return this._uid === 0 || name.indexOf('trusted.') !== 0;
+    });
+  }
+
+  /**
+   * Removes an extended attribute of an inode
+   * @private
+   * @param {File|Directory|Symlink|CharacterDev|FIFO} iNode
+   * @param {string} name
+   * @param {string} pathS - Path used for errors
+   * @throws {FSError} Will throw ENODATA if the attribute does not exist
+   */
+  _removexattrINode (iNode, name, pathS) {
+    this._checkXattr(iNode, name, true, pathS);
+    if (!iNode.getXattr(name)) {
+      throw new FSError(errno.code.ENODATA, pathS);
+    }
+    iNode.removeXattr(name);
+    return;
+  }
+
+  /**
+   * Checks if the caller may access an extended attribute
+   * The namespace prefix of the name decides who may access it, this follows Linux
+   * user attributes follow the file permissions and are only on regular files and directories
+   * trusted attributes are only visible to root
+   * security attributes can be read by anyone and changed by the owner or root
+   * @private
+   * @param {File|Directory|Symlink|CharacterDev|FIFO} iNode
+   * @param {string} name
+   * @param {boolean} write - If the attribute is changed
+   * @param {string} pathS - Path used for errors
+   * @throws {FSError} Will throw ENOTSUP for unknown namespaces, EINVAL for empty names, ERANGE for long names,
+   * EACCES or EPERM if a change is not allowed, ENODATA if a read is not allowed
+   */
+  _checkXattr (iNode, name, write, pathS) {
+    let namespace = name.slice(0, name.indexOf('.') + 1);
+    if (XATTR_NAMESPACES.indexOf(namespace) === -1) {
+      throw new FSError(errno.code.ENOTSUP, pathS);
+    }
+    if (name.length === namespace.length) {
+      throw new FSError(errno.code.EINVAL, pathS);
+    }
+    if (Buffer.byteLength(name) > XATTR_NAME_MAX) {
+      throw new FSError(errno.code.ERANGE, pathS);
+    }
+    let stat = iNode.getMetadata();
+    switch (namespace) {
+    case 'user.':
+      if (!(iNode instanceof File) && !(iNode instanceof Directory)) {
+        throw new FSError(write ? errno.code.EPERM : errno.code.ENODATA, pathS);
+      }
+      if (!this._checkPermissions(write ? constants.W_OK : constants.R_OK, stat)) {
+        throw new FSError(errno.code.EACCES, pathS);
+      }
+      break;
+    case 'trusted.':
+      if (this._uid !== 0) {
+        throw new FSError(write ? errno.code.EPERM : errno.code.ENODATA, pathS);
+      }
+      break;
+    case 'security.':
+      if (write && this._uid !== 0 && this._uid !== stat.uid) {
+        throw new FSError(errno.code.EPERM, pathS);
+      }
+      break;
+    }
+    return;
+  }
+
+  /**
+   * Copies the extended attributes of a path to another path through the public operations
+   * Filesystems without extended attributes are skipped, like cp --preserve=xattr
+   * @private
+   * @param {string} srcPathS
+   * @param {string} dstPathS
+   * @param {boolean} resolveLastLink - If the last symlinks of the paths are followed
+   */
+  _copyXattrs (srcPathS, dstPathS, resolveLastLink) {
+    try {
+      if (resolveLastLink) {
+        this.listxattrSync(srcPathS).forEach((name) => {
+          this.setxattrSync(dstPathS, name, this.getxattrSync(srcPathS, name));
+        });
+      } else {
+        this.llistxattrSync(srcPathS).forEach((name) => {
+          this.lsetxattrSync(dstPathS, name, this.lgetxattrSync(srcPathS, name));
+        });
+      }
+    } catch (e) {
+      if (e.code !== 'ENOTSUP') {
+        throw e;
+      }
+    }
+    return;
+  }
+
+  /**
+   * Copies the extended attributes of an inode that are visible to the caller to another inode
+   * @private
+   * @param {File|Directory|Symlink|CharacterDev|FIFO} source
+   * @param {File|Directory|Symlink|CharacterDev|FIFO} target
+   */
+  _copyXattrsINode (source, target) {
+    this._listxattrINode(source).forEach((name) => {
+      target.setXattr(name, source.getXattr(name));
+    });
+    return;
+  }
+
+  openSync (pathS, flags, mode) {
+    mode = (typeof mode === 'number') ? mode : 0o666;
+    flags = this._parseFlags(
+      (typeof flags !== 'undefined') ? flags : 'r'
+    );
+    // O_CREAT and O_EXCL together mean the last symlink is never followed
+    let resolveLastLink = !(
+      (flags & constants.O_NOFOLLOW) ||
+      ((flags & constants.O_CREAT) && (flags & constants.O_EXCL))
+    );
+    let navigated = this._navigate(pathS, resolveLastLink);
+    if (navigated.mount) {
+      return this._fdMgr.createMountedFd(
+        navigated.mount,
+        this._mountedSync(navigated, 'openSync', arguments)
+      );
+    }
+    let target = navigated.target;
+    if (!target) {
+      if (!navigated.name || navigated.remaining) {
+        throw new FSError(errno.code.ENOENT, pathS);
+      }
+      if (!(flags & constants.O_CREAT)) {
+        throw new FSError(errno.code.ENOENT, pathS);
+      }
+      if (flags & constants.O_DIRECTORY) {
+        throw new FSError(errno.code.ENOTDIR, pathS);
+      }
+      if (!this._checkPermissions(constants.W_OK, navigated.dir.getMetadata())) {
+        throw new FSError(errno.code.EACCES, pathS);
+      }
+      let index = this._inodeMgr.createINode(
+        File,
+        {
+          data: Buffer.alloc(0),
+          mode: mode & ~this._umask,
+          uid: this._uid,
+          gid: this._gid
+        }
+      );
+      navigated.dir.addEntry(navigated.name, index);
+      target = this._inodeMgr.getINode(index);
+    } else {
+      if ((flags & constants.O_CREAT) && (flags & constants.O_EXCL)) {
+        throw new FSError(errno.code.EEXIST, pathS);
+      }
+      if (target instanceof Symlink) {
+        throw new FSError(errno.code.ELOOP, pathS);
+      }
+      if ((flags & constants.O_DIRECTORY) && !(target instanceof Directory)) {
+        throw new FSError(errno.code.ENOTDIR, pathS);
+      }
+      if (target instanceof Directory &&
+          (flags & (constants.O_WRONLY | constants.O_RDWR)))
+      {
+        throw new FSError(errno.code.EISDIR, pathS);
+      }
+      let access;
+      switch (flags & 3) {
+      case constants.O_WRONLY:
+        access = constants.W_OK;
+        break;
+      case constants.O_RDWR:
+        access = constants.R_OK | constants.W_OK;
+        break;
+      default:
+        access = constants.R_OK;
+      }
+      if (!this._checkPermissions(access, target.getMetadata())) {
+        throw new FSError(errno.code.EACCES, pathS);
+      }
+      if (target instanceof CharacterDev && !target.getDriver()) {
+        throw new FSError(errno.code.ENXIO, pathS);
+      }
+      if (target instanceof File &&
+          (flags & constants.O_TRUNC) &&
+          (flags & (constants.O_WRONLY | constants.O_RDWR)))
+      {
+        target.write(Buffer.alloc(0));
+      }
+    }
+    return this._fdMgr.createFd(target, flags);
+  }
+
+  readSync (fdIndex, buffer, offset, length, position) {
+    let fd = this._fdMgr.getFd(fdIndex);
+    if (!fd) {
+      throw new FSError(errno.code.EBADF, 'read');
+    }
+    if (fd instanceof MountedFileDescriptor) {
+      return this._mountedFdSync(fd, 'readSync', arguments);
+    }
+    if ((fd.getFlags() & 3) === constants.O_WRONLY) {
+      throw new FSError(errno.code.EBADF, 'read');
+    }
+    if (fd.getINode() instanceof Directory) {
+      throw new FSError(errno.code.EISDIR, 'read');
+    }
+    offset = offset || 0;
+    length = (typeof length === 'number') ? length : buffer.length - offset;
+    if (offset < 0 || offset > buffer.length || length < 0 || offset + length > buffer.length) {
+      throw new RangeError('Offset and length are out of the buffer bounds');
+    }
+    if (typeof position === 'number' && position < 0) {
+      throw new FSError(errno.code.EINVAL, 'read');
+    }
+    return fd.read(buffer.slice(offset, offset + length), position);
+  }
+
+  writeSync (fdIndex, data, offsetOrPos, lengthOrEncoding, position) {
+    let fd = this._fdMgr.getFd(fdIndex);
+    if (!fd) {
+      throw new FSError(errno.code.EBADF, 'write');
+    }
+    if (fd instanceof MountedFileDescriptor) {
+      return this._mountedFdSync(fd, 'writeSync', arguments);
+    }
+    if ((fd.getFlags() & 3) === constants.O_RDONLY) {
+      throw new FSError(errno.code.EBADF, 'write');
+    }
+    let buffer;
+    if (typeof data === 'string') {
+      // writeSync(fd, string, [position], [encoding])
+      position = offsetOrPos;
+      buffer = Buffer.from(data, lengthOrEncoding || 'utf8');
+    } else {
+      // writeSync(fd, buffer, [offset], [length], [position])
+      let offset = offsetOrPos || 0;
+      let length = (typeof lengthOrEncoding === 'number')
+          ? lengthOrEncoding
+          : data.length - offset;
+      if (offset < 0 || offset > data.length || length < 0 || offset + length > data.length) {
+        throw new RangeError('Offset and length are out of the buffer bounds');
+      }
+      buffer = data.slice(offset, offset + length);
+    }
+    if (typeof position === 'number' && position < 0) {
+      throw new FSError(errno.code.EINVAL, 'write');
+    }
+    return fd.write(buffer, position);
+  }
+
+  /**
+   * Truncates or extends a file to a length, extended space is a hole
+   * @param {string|number} pathS - Path or file descriptor
+   * @param {number} [len=0]
+   * @throws {FSError} Will throw ENOENT, EISDIR, EACCES or EINVAL if the length is negative or the file is not a regular file
+   */
+  truncateSync (pathS, len) {
+    if (typeof pathS === 'number') {
+      this.ftruncateSync(pathS, len);
+      return;
+    }
+    len = len || 0;
+    let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      return this._mountedSync(navigated, 'truncateSync', arguments);
+    }
+    let target = navigated.target;
+    if (!target) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    if (target instanceof Directory) {
+      throw new FSError(errno.code.EISDIR, pathS);
+    }
+    if (!this._checkPermissions(constants.W_OK, target.getMetadata())) {
+      throw new FSError(errno.code.EACCES, pathS);
+    }
+    if (!(target instanceof File) || len < 0) {
+      throw new FSError(errno.code.EINVAL, pathS);
+    }
+    target.truncate(len);
+    return;
+  }
+
+  ftruncateSync (fdIndex, len) {
+    len = len || 0;
+    let fd = this._fdMgr.getFd(fdIndex);
+    if (!fd) {
+      throw new FSError(errno.code.EBADF, 'ftruncate');
+    }
+    if (fd instanceof MountedFileDescriptor) {
+      return this._mountedFdSync(fd, 'ftruncateSync', arguments);
+    }
+    if (!(fd.getINode() instanceof File) ||
+        (fd.getFlags() & 3) === constants.O_RDONLY)
+    {
+      throw new FSError(errno.code.EINVAL, 'ftruncate');
+    }
+    if (len < 0) {
+      throw new FSError(errno.code.EINVAL, 'ftruncate');
+    }
+    fd.truncate(len);
+    return;
+  }
+
+  fstatSync (fdIndex) {
+    let fd = this._fdMgr.getFd(fdIndex);
+    if (!fd) {
+      throw new FSError(errno.code.EBADF, 'fstat');
+    }
+    if (fd instanceof MountedFileDescriptor) {
+      return this._mountedFdSync(fd, 'fstatSync', arguments);
+    }
+    return new Stat(clone(fd.getINode().getMetadata()));
+  }
+
+  closeSync (fdIndex) {
+    let fd = this._fdMgr.getFd(fdIndex);
+    if (!fd) {
+      throw new FSError(errno.code.EBADF, 'close');
+    }
+    if (fd instanceof MountedFileDescriptor) {
+      this._mountedFdSync(fd, 'closeSync', arguments);
+    }
+    this._fdMgr.deleteFd(fdIndex);
+    return;
+  }
+
+  /**
+   * Applies or removes an advisory flock lock on an open file
+   * Each file descriptor owns its lock, so several file descriptors of one FS can simulate competing processes
+   * The lock is released when the file descriptor is closed
+   * The synchronous form cannot wait for a conflicting lock, so it throws EWOULDBLOCK with or without LOCK_NB
+   * The callback and promise forms wait without LOCK_NB, those waits are not checked for deadlocks like Linux flock
+   * @param {number} fdIndex
+   * @param {number} operation - LOCK_SH, LOCK_EX or LOCK_UN, optionally with LOCK_NB
+   * @throws {FSError} Will throw EBADF, EINVAL for invalid operations, or EWOULDBLOCK on conflicts
+   */
+  flockSync (fdIndex, operation) {
+    let fd = this._fdMgr.getFd(fdIndex);
+    if (!fd) {
+      throw new FSError(errno.code.EBADF, 'flock');
+    }
+    if (fd instanceof MountedFileDescriptor) {
+      return this._mountedFdSync(fd, 'flockSync', arguments);
+    }
+    let type;
+    switch (operation & ~constants.LOCK_NB) {
+    case constants.LOCK_SH:
+      type = constants.F_RDLCK;
+      break;
+    case constants.LOCK_EX:
+      type = constants.F_WRLCK;
+      break;
+    case constants.LOCK_UN:
+      type = constants.F_UNLCK;
+      break;
+    default:
+      throw new FSError(errno.code.EINVAL, 'flock');
+    }
+    if (!this._inodeMgr.lockFile(fd.getINode().getMetadata().ino, fd, type)) {
+      throw new FSError(errno.code.EWOULDBLOCK, 'flock');
+    }
+    return;
+  }
+
+  /**
+   * Tests, applies or removes advisory byte-range locks on an open file like fcntl
+   * Each file descriptor owns its locks like Linux open file description locks, so several file descriptors of one FS can simulate competing processes
+   * Locks of the same file descriptor never conflict, they are replaced or split instead
+   * The locks are released when the file descriptor is closed
+   * The synchronous form cannot wait for a conflicting lock, so F_SETLKW throws EAGAIN like F_SETLK
+   * The callback and promise forms wait with F_SETLKW, and fail with EDEADLK if the wait would never end
+   * because an owner of a conflicting lock is waiting, directly or through other waiters, for a lock of this file descriptor
+   * @param {number} fdIndex
+   * @param {number} cmd - F_GETLK, F_SETLK or F_SETLKW
+   * @param {Object} lock
+   * @param {number} lock.type - F_RDLCK, F_WRLCK or F_UNLCK
+   * @param {number} [lock.whence=SEEK_SET] - SEEK_SET, SEEK_CUR or SEEK_END
+   * @param {number} [lock.start=0] - Offset of the range from whence
+   * @param {number} [lock.len=0] - Length of the range, 0 locks to the end of the file however it grows, negative lengths lock the bytes before start
+   * @returns {Object|undefined} For F_GETLK, the first conflicting lock from SEEK_SET with a pid of -1, or the lock with the type F_UNLCK if nothing conflicts
+   * @throws {FSError} Will throw EBADF if the file descriptor is not open for reading with F_RDLCK or writing with F_WRLCK, EINVAL for invalid commands, types or ranges,
+   * and EAGAIN on conflicts
+   */
+  fcntlSync (fdIndex, cmd, lock) {
+    let fd = this._fdMgr.getFd(fdIndex);
+    if (!fd) {
+      throw new FSError(errno.code.EBADF, 'fcntl');
+    }
+    if (fd instanceof MountedFileDescriptor) {
+      return this._mountedFdSync(fd, 'fcntlSync', arguments);
+    }
+    if ([constants.F_GETLK, constants.F_SETLK, constants.F_SETLKW].indexOf(cmd) === -1 ||
+        !lock ||
+        [constants.F_RDLCK, constants.F_WRLCK, constants.F_UNLCK].indexOf(lock.type) === -1)
+    {
+      throw new FSError(errno.code.EINVAL, 'fcntl');
+    }
+    let range = this._lockRange(fd, lock);
+    let index = fd.getINode().getMetadata().ino;
+    if (cmd === constants.F_GETLK) {
+      if (lock.type === constants.F_UNLCK) {
+        throw new FSError(errno.code.EINVAL, 'fcntl');
+      }
+      let conflict = this._inodeMgr.getRangeLockConflict(index, fd, lock.type, range.start, range.end);
+      if (!conflict) {
+        return Object.assign({}, lock, { type: constants.F_UNLCK });
+      }
+      return {
+        type: conflict.type,
+        whence: constants.SEEK_SET,
+        start: conflict.start,
+        len: (conflict.end === Infinity) ? 0 : conflict.end - conflict.start + 1,
+        pid: -1
+      };
+    }
+    let accessMode = fd.getFlags() & 3;
+    if ((lock.type === constants.F_RDLCK && accessMode === constants.O_WRONLY) ||
+        (lock.type === constants.F_WRLCK && accessMode === constants.O_RDONLY))
+    {
+      throw new FSError(errno.code.EBADF, 'fcntl');
     }
-    // if this directory has subdirectory or files, then we cannot delete
-    if (Object.keys(navigated.target.getEntries()).length - 2) {
-      throw new FSError(errno.code.ENOTEMPTY, pathS);
+    if (!this._inodeMgr.lockRange(index, fd, lock.type, range.start, range.end)) {
+      throw new FSError(errno.code.EAGAIN, 'fcntl');
     }
-    navigated.dir.deleteEntry(navigated.name);
     return;
   }
 
-  // needs file descriptor support
-  // needs file table to track file descriptor status
-  // process table of 1 cause only 1 process
-  // the global process tracks all file descriptors
-  // these file descriptors are then assocated with some state like seek position
-  // the read and write handlers need to then write into the buffers
-  // the existence of open file descriptors means that files or inodes are not fully deleted when they are acquired
-  // that is they represent a separate reference count, remeber that means you don't fully delete everything until both references are empty, but all hardlinks can reach 0
-  // then when a file is closed as in the case of closeSync, then the file descriptors are also closed and removed
-  // we must assign the next available fildes number
-  // note resource leaks can occur here!!
-  openSync () {
-
+  /**
+   * Gets the absolute byte range of an fcntl lock
+   * @private
+   * @param {FileDescriptor} fd
+   * @param {Object} lock
+   * @returns {{start: number, end: number}} The end is inclusive, or Infinity up to the end of the file
+   * @throws {FSError} Will throw EINVAL if the range starts before the file
+   */
+  _lockRange (fd, lock) {
+    let base;
+    switch (lock.whence || constants.SEEK_SET) {
+    case constants.SEEK_SET:
+      base = 0;
+      break;
+    case constants.SEEK_CUR:
+      base = fd.getPos();
+      break;
+    case constants.SEEK_END:
+      base = fd.getINode().getMetadata().size;
+      break;
+    default:
+      throw new FSError(errno.code.EINVAL, 'fcntl');
+    }
+    let start = base + (lock.start || 0);
+    let len = lock.len || 0;
+    let range;
+    if (len > 0) {
+      range = { start: start, end: start + len - 1 };
+    } else if (len < 0) {
+      range = { start: start + len, end: start - 1 };
+    } else {
+      range = { start: start, end: Infinity };
+    }
+    if (range.start < 0) {
+      throw new FSError(errno.code.EINVAL, 'fcntl');
+    }
+    return range;
   }
 
-  readSync () {
-
+  /**
+   * Creates a readable stream of a file
+   * @param {string} pathS
+   * @param {Object|string} [options] - Options of ReadStream or the encoding
+   * @returns {ReadStream}
+   */
+  createReadStream (pathS, options) {
+    return new ReadStream(this, pathS, options);
   }
 
-  writeSync () {
+  /**
+   * Creates a writable stream of a file
+   * @param {string} pathS
+   * @param {Object|string} [options] - Options of WriteStream or the encoding
+   * @returns {WriteStream}
+   */
+  createWriteStream (pathS, options) {
+    return new WriteStream(this, pathS, options);
+  }
 
+  watch (pathS, options, listener) {
+    if (typeof options === 'function') {
+      listener = options;
+      options = undefined;
+    }
+    options = (typeof options === 'object' && options) ? options : {};
+    let navigated = this._navigate(pathS, true);
+    if (navigated.mount) {
+      return navigated.mount.fs.watch('/' + navigated.remaining, options, listener);
+    }
+    let target = navigated.target;
+    if (!target) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    let watcher = new FSWatcher(
+      this._inodeMgr,
+      target,
+      pathS.replace(/\/+$/, '').split('/').pop(),
+      !!options.recursive
+    );
+    if (listener) {
+      watcher.on('change', listener);
+    }
+    return watcher;
   }
 
-  closeSync () {
+  watchFile (pathS, options, listener) {
+    if (typeof options === 'function') {
+      listener = options;
+      options = undefined;
+    }
+    options = options || {};
+    let watcher = this._statWatchers[pathS];
+    if (!watcher) {
+      watcher = new StatWatcher(
+        this,
+        pathS,
+        options.interval || 5007,
+        (typeof options.persistent !== 'undefined') ? options.persistent : true
+      );
+      this._statWatchers[pathS] = watcher;
+    }
+    watcher.on('change', listener);
+    return watcher;
+  }
 
+  unwatchFile (pathS, listener) {
+    let watcher = this._statWatchers[pathS];
+    if (!watcher) {
+      return;
+    }
+    if (listener) {
+      watcher.removeListener('change', listener);
+    } else {
+      watcher.removeAllListeners('change');
+    }
+    if (!watcher.listenerCount('change')) {
+      watcher.stop();
+      delete this._statWatchers[pathS];
+    }
+    return;
   }
 
-  createReadStream(pathS, options) {
-    let stream = new ReadableStream();
-    let done = false;
-    let data;
-    try {
-      data = this.readFileSync(pathS);
-    } catch (e) {
-      stream._read = function() {
-        if (done) {
+  /**
+   * Imports a host file, directory or symlink into this filesystem
+   * Directories are imported recursively and merged into existing directories
+   * Existing files are overwritten, any other existing inode throws EEXIST
+   * Modes, atimes and mtimes are kept, ownership is the caller's
+   * Hardlinks within the imported tree are kept as hardlinks
+   * Other host file types are skipped
+   * Permission checks are not applied to the created inodes
+   * @param {string} hostPath
+   * @param {string} pathS
+   * @param {Object} [options]
+   * @param {function(string, fs.Stats): boolean} [options.filter] - Host paths returning false are skipped with their contents
+   * @param {boolean} [options.dryRun=false] - If true, nothing is imported
+   * @returns {string[]} The paths imported or that would be imported
+   * @throws {FSError|Error} Errors from the host filesystem are rethrown
+   */
+  importFromDisk (hostPath, pathS, options) {
+    // the host filesystem is required lazily, as nothing else needs it in browsers
+    const hostFS = require('fs');
+    options = options || {};
+    let filter = options.filter || function () { return true; };
+    let dryRun = !!options.dryRun;
+    let imported = [];
+    // host device and inode to the inode index in this filesystem
+    let hardlinks = {};
+    let setTimes = function (iNode, stat) {
+      let metadata = iNode.getMetadata();
+      metadata.atime = new Date(stat.atime.getTime());
+      metadata.mtime = new Date(stat.mtime.getTime());
+      return;
+    };
+    // dir and existing are only null in dry runs when the parent was not created
+    let importEntry = (hostP, pathP, dir, name, existing) => {
+      let stat = hostFS.lstatSync(hostP);
+      if (!filter(hostP, stat)) {
+        return;
+      }
+      if (stat.isDirectory()) {
+        if (existing && !(existing instanceof Directory)) {
+          throw new FSError(errno.code.EEXIST, pathP);
+        }
+        imported.push(pathP);
+        let target = existing;
+        if (!target && !dryRun) {
+          let index = this._inodeMgr.createINode(
+            Directory,
+            {
+              parent: dir.getEntryIndex('.'),
+              mode: stat.mode,
+              uid: this._uid,
+              gid: this._gid
+            }
+          );
+          dir.addEntry(name, index);
+          target = this._inodeMgr.getINode(index);
+        }
+        hostFS.readdirSync(hostP).forEach(function (entryName) {
+          importEntry(
+            path.join(hostP, entryName),
+            (pathP === '/') ? '/' + entryName : pathP + '/' + entryName,
+            target,
+            entryName,
+            (target) ? target.getEntry(entryName) : null
+          );
+        });
+        // the directory times are set after its entries have been added
+        if (target && !dryRun) {
+          if (existing) {
+            target.setMode(stat.mode);
+          }
+          setTimes(target, stat);
+        }
+      } else if (stat.isSymbolicLink()) {
+        if (existing) {
+          throw new FSError(errno.code.EEXIST, pathP);
+        }
+        imported.push(pathP);
+        if (!dryRun) {
+          let index = this._inodeMgr.createINode(
+            Symlink,
+            {
+              link: hostFS.readlinkSync(hostP),
+              uid: this._uid,
+              gid: this._gid
+            }
+          );
+          dir.addEntry(name, index);
+          setTimes(this._inodeMgr.getINode(index), stat);
+        }
+      } else if (stat.isFile()) {
+        if (existing && !(existing instanceof File)) {
+          throw new FSError(errno.code.EEXIST, pathP);
+        }
+        imported.push(pathP);
+        if (dryRun) {
           return;
         }
-        done = true;
-        this.emit('error', e);
-        this.push(null);
-      };
-      return stream;
-    }
-    options = options || { };
-    options.start = options.start || 0;
-    options.end = options.end || data.length;
-    stream._read = function() {
-      if (done) return;
-      done = true;
-      this.push(data.slice(options.start, options.end));
-      this.push(null);
+        let key = stat.dev + ':' + stat.ino;
+        if (stat.nlink > 1 && hardlinks.hasOwnProperty(key)) {
+          if (existing) {
+            dir.deleteEntry(name);
+          }
+          dir.addEntry(name, hardlinks[key]);
+          return;
+        }
+        let data = hostFS.readFileSync(hostP);
+        let iNode;
+        if (existing) {
+          iNode = existing;
+          iNode.write(data);
+          iNode.setMode(stat.mode);
+        } else {
+          let index = this._inodeMgr.createINode(
+            File,
+            {
+              data: data,
+              mode: stat.mode,
+              uid: this._uid,
+              gid: this._gid
+            }
+          );
+          dir.addEntry(name, index);
+          iNode = this._inodeMgr.getINode(index);
+        }
+        setTimes(iNode, stat);
+        hardlinks[key] = iNode.getMetadata().ino;
+      }
+      return;
     };
-    return stream;
+    let navigated = this._navigate(pathS, false);
+    if (!navigated.target && (!navigated.name || navigated.remaining)) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    let pathP = pathS;
+    if (navigated.target === this._root) {
+      pathP = '/';
+    } else if (pathP.length > 1) {
+      pathP = pathP.replace(/\/+$/, '');
+    }
+    importEntry(hostPath, pathP, navigated.dir, navigated.name, navigated.target);
+    return imported;
   }
 
-  createWriteStream (pathS) {
-    let stream = new WritableStream();
-    try {
-      // Zero the file and make sure it is writable
-      this.writeFileSync(pathS, new Buffer(0));
-    } catch(e) {
-      // This or setImmediate?
-      stream.once('prefinish', function() {
-        stream.emit('error', e);
-      });
-      return stream;
-    }
-    let bl = [], len = 0;
-    stream._write = (chunk, encoding, callback) => {
-      bl.push(chunk);
-      len += chunk.length;
-      this.writeFile(pathS, Buffer.concat(bl, len), callback);
+  /**
+   * Exports a file, directory or symlink of this filesystem to the host filesystem
+   * Directories are exported recursively and merged into existing host directories
+   * Modes, atimes and mtimes are kept where the host allows
+   * Hardlinks within the exported tree are kept as hardlinks
+   * Character devices and FIFOs are skipped, as Node cannot create them on the host
+   * @param {string} pathS
+   * @param {string} hostPath
+   * @param {Object} [options]
+   * @param {function(string, Stat): boolean} [options.filter] - Paths returning false are skipped with their contents
+   * @param {boolean} [options.dryRun=false] - If true, nothing is exported
+   * @returns {string[]} The host paths exported or that would be exported
+   * @throws {FSError|Error} Errors from the host filesystem are rethrown
+   */
+  exportToDisk (pathS, hostPath, options) {
+    // the host filesystem is required lazily, as nothing else needs it in browsers
+    const hostFS = require('fs');
+    options = options || {};
+    let filter = options.filter || function () { return true; };
+    let dryRun = !!options.dryRun;
+    let exported = [];
+    // inode index to the first host path it was exported to
+    let hardlinks = {};
+    let exportEntry = (iNode, pathP, hostP) => {
+      if (iNode instanceof CharacterDev || iNode instanceof FIFO) {
+        return;
+      }
+      let stat = iNode.getMetadata();
+      if (!filter(pathP, new Stat(clone(stat)))) {
+        return;
+      }
+      exported.push(hostP);
+      if (iNode instanceof Directory) {
+        if (!dryRun) {
+          try {
+            hostFS.mkdirSync(hostP);
+          } catch (e) {
+            if (e.code !== 'EEXIST' || !hostFS.statSync(hostP).isDirectory()) {
+              throw e;
+            }
+          }
+        }
+        Object.keys(iNode.getEntryMap()).forEach(function (name) {
+          if (name !== '.' && name !== '..') {
+            exportEntry(
+              iNode.getEntry(name),
+              (pathP === '/') ? '/' + name : pathP + '/' + name,
+              path.join(hostP, name)
+            );
+          }
+        });
+        // the directory mode and times are set after its entries have been written
+        if (!dryRun) {
+          hostFS.chmodSync(hostP, stat.mode & 0o7777);
+          hostFS.utimesSync(hostP, stat.atime, stat.mtime);
+        }
+      } else if (dryRun) {
+        return;
+      } else if (iNode instanceof Symlink) {
+        hostFS.symlinkSync(iNode.getLink(), hostP);
+        if (hostFS.lutimesSync) {
+          hostFS.lutimesSync(hostP, stat.atime, stat.mtime);
+        }
+      } else if (iNode instanceof File) {
+        if (stat.nlink > 1 && hardlinks.hasOwnProperty(stat.ino)) {
+          hostFS.linkSync(hardlinks[stat.ino], hostP);
+          return;
+        }
+        hostFS.writeFileSync(hostP, iNode.getData());
+        hostFS.chmodSync(hostP, stat.mode & 0o7777);
+        hostFS.utimesSync(hostP, stat.atime, stat.mtime);
+        hardlinks[stat.ino] = hostP;
+      }
+      return;
     };
-    return stream;
+    let target = this._navigate(pathS, false).target;
+    if (!target) {
+      throw new FSError(errno.code.ENOENT, pathS);
+    }
+    let pathP = pathS;
+    if (target === this._root) {
+      pathP = '/';
+    } else if (pathP.length > 1) {
+      pathP = pathP.replace(/\/+$/, '');
+    }
+    exportEntry(target, pathP, hostPath);
+    return exported;
   }
 
   exists(pathS, callback) {
     return callback(this.existsSync(pathS));
   }
 
-  writeFile (pathS, content, encoding, callback) {
+  writeFile (pathS, content, optionsOrEncoding, callback) {
+    if(!callback) {
+      callback = optionsOrEncoding;
+      optionsOrEncoding = undefined;
+    }
+    try {
+      this.writeFileSync(pathS, content, optionsOrEncoding);
+    } catch(e) {
+      return callback(e);
+    }
+    return callback();
+  }
+
+  appendFile (pathS, content, optionsOrEncoding, callback) {
     if(!callback) {
-      callback = encoding;
-      encoding = undefined;
+      callback = optionsOrEncoding;
+      optionsOrEncoding = undefined;
     }
     try {
-      this.writeFileSync(pathS, content, encoding);
+      this.appendFileSync(pathS, content, optionsOrEncoding);
     } catch(e) {
       return callback(e);
     }
     return callback();
   }
 
+  open (pathS, flags, mode, callback) {
+    if (!callback) {
+      callback = mode;
+      mode = undefined;
+    }
+    if (!callback) {
+      callback = flags;
+      flags = undefined;
+    }
+    let fdIndex;
+    try {
+      fdIndex = this.openSync(pathS, flags, mode);
+    } catch (e) {
+      setImmediate(function () {
+        callback(e);
+      });
+      return;
+    }
+    setImmediate(function () {
+      callback(null, fdIndex);
+    });
+  }
+
+  read (fdIndex, buffer, offset, length, position, callback) {
+    // reading an empty FIFO waits for a writer
+    let fd = this._fdMgr.getFd(fdIndex);
+    if (fd instanceof FileDescriptor &&
+        fd.getINode() instanceof FIFO &&
+        fd.getINode().wouldBlock())
+    {
+      fd.getINode().waitReadable(() => {
+        this.read(fdIndex, buffer, offset, length, position, callback);
+      });
+      return;
+    }
+    let bytesRead;
+    try {
+      bytesRead = this.readSync(fdIndex, buffer, offset, length, position);
+    } catch (e) {
+      setImmediate(function () {
+        callback(e);
+      });
+      return;
+    }
+    setImmediate(function () {
+      callback(null, bytesRead, buffer);
+    });
+  }
+
+  readFile (pathS, optionsOrEncoding, callback) {
+    if (typeof optionsOrEncoding === 'function') {
+      callback = optionsOrEncoding;
+      optionsOrEncoding = undefined;
+    }
+    // reading a FIFO waits until the last writer closes
+    let target;
+    try {
+      target = this._navigate(pathS, true).target;
+    } catch (e) {
+      target = null;
+    }
+    if (target instanceof FIFO && !target.isEOF()) {
+      target.waitEOF(() => {
+        this.readFile(pathS, optionsOrEncoding, callback);
+      });
+      return;
+    }
+    let data;
+    try {
+      data = this.readFileSync(pathS, optionsOrEncoding);
+    } catch (e) {
+      setImmediate(function () {
+        callback(e);
+      });
+      return;
+    }
+    setImmediate(function () {
+      callback(null, data);
+    });
+  }
+
+  cp (srcPathS, dstPathS, options, callback) {
+    if (!callback) {
+      callback = options;
+      options = undefined;
+    }
+    try {
+      this.cpSync(srcPathS, dstPathS, options);
+    } catch (e) {
+      setImmediate(function () {
+        callback(e);
+      });
+      return;
+    }
+    setImmediate(function () {
+      callback(null);
+    });
+  }
+
+  copyFile (srcPathS, dstPathS, flags, callback) {
+    if (!callback) {
+      callback = flags;
+      flags = undefined;
+    }
+    try {
+      this.copyFileSync(srcPathS, dstPathS, flags);
+    } catch (e) {
+      setImmediate(function () {
+        callback(e);
+      });
+      return;
+    }
+    setImmediate(function () {
+      callback(null);
+    });
+  }
+
+  write (fdIndex, data, offsetOrPos, lengthOrEncoding, position, callback) {
+    // the callback is always the last argument
+    let args = Array.prototype.slice.call(arguments);
+    callback = args.pop();
+    let bytesWritten;
+    try {
+      bytesWritten = this.writeSync.apply(this, args);
+    } catch (e) {
+      setImmediate(function () {
+        callback(e);
+      });
+      return;
+    }
+    setImmediate(function () {
+      callback(null, bytesWritten, data);
+    });
+  }
+
+  flock (fdIndex, operation, callback) {
+    let fd = this._fdMgr.getFd(fdIndex);
+    try {
+      this.flockSync(fdIndex, operation | constants.LOCK_NB);
+    } catch (e) {
+      // blocking locks wait until a conflicting lock is released, then try again
+      if (e.code === 'EWOULDBLOCK' &&
+          !(operation & constants.LOCK_NB) &&
+          fd instanceof FileDescriptor)
+      {
+        this._waitLocks(fdIndex, fd, 'flock', () => {
+          this.flock(fdIndex, operation, callback);
+        }, callback);
+        return;
+      }
+      setImmediate(function () {
+        callback(e);
+      });
+      return;
+    }
+    setImmediate(function () {
+      callback(null);
+    });
+  }
+
+  fcntl (fdIndex, cmd, lock, callback) {
+    let fd = this._fdMgr.getFd(fdIndex);
+    let result;
+    try {
+      result = this.fcntlSync(fdIndex, (cmd === constants.F_SETLKW) ? constants.F_SETLK : cmd, lock);
+    } catch (e) {
+      // F_SETLKW waits until a conflicting lock is released, then tries again
+      if (e.code === 'EAGAIN' &&
+          cmd === constants.F_SETLKW &&
+          fd instanceof FileDescriptor)
+      {
+        let range = this._lockRange(fd, lock);
+        let waiting = this._inodeMgr.waitRangeLock(
+          fd.getINode().getMetadata().ino,
+          fd,
+          lock.type,
+          range.start,
+          range.end,
+          () => {
+            if (this._fdMgr.getFd(fdIndex) !== fd) {
+              callback(new FSError(errno.code.EBADF, 'fcntl'));
+              return;
+            }
+            this.fcntl(fdIndex, cmd, lock, callback);
+          }
+        );
+        if (waiting) {
+          return;
+        }
+        e = new FSError(errno.code.EDEADLK, 'fcntl');
+      }
+      setImmediate(function () {
+        callback(e);
+      });
+      return;
+    }
+    setImmediate(function () {
+      callback(null, result);
+    });
+  }
+
+  /**
+   * Waits for the locks of a file descriptor's inode to change
+   * @private
+   * @param {number} fdIndex
+   * @param {FileDescriptor} fd
+   * @param {string} syscall - Used in the error
+   * @param {function()} retry - Called to try locking again
+   * @param {function(Error)} callback - Called with EBADF if the file descriptor is closed while waiting
+   */
+  _waitLocks (fdIndex, fd, syscall, retry, callback) {
+    this._inodeMgr.waitLocks(fd.getINode().getMetadata().ino, () => {
+      if (this._fdMgr.getFd(fdIndex) !== fd) {
+        callback(new FSError(errno.code.EBADF, syscall));
+        return;
+      }
+      retry();
+    });
+    return;
+  }
+
 }
 
-["stat", "lstat", "readdir", "mkdirp", "rmdir", "unlink", "readlink"].forEach(function(fn) {
+["stat", "lstat", "fstat", "mkdirp", "rmdir", "unlink", "readlink", "realpath", "close", "chdir", "listxattr", "llistxattr"].forEach(function(fn) {
   FS.prototype[fn] = function(pathS, callback) {
     let result;
     try {
@@ -566,7 +3694,7 @@ class FS {
   };
 });
 
-["mkdir", "readFile", "symlink", "link", "rename"].forEach(function(fn) {
+["mkdir", "readdir", "opendir", "glob", "rm", "mkfifo", "symlink", "link", "rename", "access", "chmod", "lchmod", "fchmod", "truncate", "ftruncate", "getxattr", "lgetxattr", "removexattr", "lremovexattr"].forEach(function(fn) {
   FS.prototype[fn] = function(pathS, optArg, callback) {
     if(!callback) {
       callback = optArg;
@@ -587,5 +3715,118 @@ class FS {
   };
 });
 
+["chown", "lchown", "fchown"].forEach(function(fn) {
+  FS.prototype[fn] = function(pathS, uid, gid, callback) {
+    try {
+      this[fn + "Sync"](pathS, uid, gid);
+    } catch(e) {
+      setImmediate(function() {
+        callback(e);
+      });
+      return;
+    }
+    setImmediate(function() {
+      callback(null);
+    });
+  };
+});
+
+FS.prototype.mknod = function(pathS, mode, dev, callback) {
+  // the mode and dev are optional, the callback is always last
+  if (typeof dev === 'function') {
+    callback = dev;
+    dev = undefined;
+  } else if (typeof mode === 'function') {
+    callback = mode;
+    mode = undefined;
+  }
+  try {
+    this.mknodSync(pathS, mode, dev);
+  } catch(e) {
+    setImmediate(function() {
+      callback(e);
+    });
+    return;
+  }
+  setImmediate(function() {
+    callback(null);
+  });
+};
+
+["utimes", "lutimes", "futimes"].forEach(function(fn) {
+  FS.prototype[fn] = function(pathS, atime, mtime, callback) {
+    try {
+      this[fn + "Sync"](pathS, atime, mtime);
+    } catch(e) {
+      setImmediate(function() {
+        callback(e);
+      });
+      return;
+    }
+    setImmediate(function() {
+      callback(null);
+    });
+  };
+});
+
+["setxattr", "lsetxattr"].forEach(function(fn) {
+  FS.prototype[fn] = function(pathS, name, value, flags, callback) {
+    if(!callback) {
+      callback = flags;
+      flags = undefined;
+    }
+    try {
+      this[fn + "Sync"](pathS, name, value, flags);
+    } catch(e) {
+      setImmediate(function() {
+        callback(e);
+      });
+      return;
+    }
+    setImmediate(function() {
+      callback(null);
+    });
+  };
+});
+
+/**
+ * Joins a name to a path in the results of globSync
+ * @private
+ * @param {string} rel
+ * @param {string} name
+ * @returns {string}
+ */
+function globJoin (rel, name) {
+  if (!rel) {
+    return name;
+  }
+  return (rel[rel.length - 1] === '/') ? rel + name : rel + '/' + name;
+}
+
+/**
+ * Finds where a path inside a mount leaves the root of the mount through '..'
+ * @private
+ * @param {string} remaining - Path relative to the root of the mount
+ * @returns {string|null} The path left after the '..' leaving the mount, or null if the path stays inside
+ */
+function mountEscape (remaining) {
+  let segments = remaining.split('/');
+  let depth = 0;
+  for (let i = 0; i < segments.length; ++i) {
+    if (segments[i] === '..') {
+      if (!depth) {
+        return segments.slice(i + 1).join('/').replace(/^\/+/, '');
+      }
+      --depth;
+    } else if (segments[i] && segments[i] !== '.') {
+      ++depth;
+    }
+  }
+  return null;
+}
+
 exports.FSError = FSError;
 exports.FS = FS;
+// required last, OverlayFS and Snapshot extend FS
+exports.OverlayFS = require('./OverlayFS');
+exports.Snapshot = require('./Snapshot');
@@ -0,0 +1,215 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const Stat = require('./Stat');
+const inodes = require('./INodes');
+
+const Directory = inodes.Directory;
+
+/**
+ * Class representing a watcher of an inode
+ * This simulates Node's FSWatcher, it emits 'change' events with (eventType, filename) and a 'close' event
+ * The events are driven by the INodeManager 'mutation' events
+ * @extends EventEmitter
+ */
+class FSWatcher extends EventEmitter {
+
+  /**
+   * Creates a FSWatcher
+   * @param {INodeManager} iNodeMgr
+   * @param {File|Directory|Symlink} iNode - The watched inode
+   * @param {string} filename - Name reported for events on the watched inode itself
+   * @param {boolean} recursive - If true, changes in subdirectories are also reported
+   */
+  constructor (iNodeMgr, iNode, filename, recursive) {
+    super();
+    this._iNodeMgr = iNodeMgr;
+    this._iNode = iNode;
+    this._filename = filename;
+    this._recursive = recursive;
+    this._closed = false;
+    this._onMutation = this._handleMutation.bind(this);
+    this._iNodeMgr.on('mutation', this._onMutation);
+  }
+
+  /**
+   * Maps an inode mutation to the watcher's change event
+   * Paths are found by walking up '..' entries to the watched directory, so each event costs the depth of the change
+   * @private
+   * @param {number} index
+   * @param {string} eventType
+   * @param {string|null} name
+   * @param {number[]} [parents] - Directories linking to a changed file
+   */
+  _handleMutation (index, eventType, name, parents) {
+    let filename;
+    let ino = this._iNode.getMetadata().ino;
+    if (!(this._iNode instanceof Directory) || index === ino) {
+      if (index !== ino) {
+        return;
+      }
+      filename = (name !== null) ? name : this._filename;
+    } else if (name !== null) {
+      // directory entry changes within the watched tree
+      if (!this._recursive) {
+        return;
+      }
+      let dirPath = this._findPath(index);
+      if (typeof dirPath === 'undefined') {
+        return;
+      }
+      filename = dirPath + '/' + name;
+    } else if (eventType === 'change' && parents) {
+      // content changes of files within the watched tree, reported for the first linking directory within it
+      // 'rename' events with no name are already reported by the parent directory
+      for (let i = 0; i < parents.length && typeof filename === 'undefined'; ++i) {
+        if (!this._recursive && parents[i] !== ino) {
+          continue;
+        }
+        let dirPath = this._findPath(parents[i]);
+        if (typeof dirPath !== 'undefined') {
+          let entryName = this._iNodeMgr.getINode(parents[i]).getEntryName(index);
+          filename = (dirPath) ? dirPath + '/' + entryName : entryName;
+        }
+      }
+      if (typeof filename === 'undefined') {
+        return;
+      }
+    } else {
+      return;
+    }
+    setImmediate(() => {
+      if (!this._closed) {
+        this.emit('change', eventType, filename);
+      }
+    });
+  }
+
+  /**
+   * Finds the relative path of a directory underneath the watched directory
+   * The '..' entries are walked up, so symlinks are never followed
+   * @private
+   * @param {number} index - Directory inode index
+   * @returns {string|undefined} The empty string for the watched directory, undefined if the directory is not underneath it
+   */
+  _findPath (index) {
+    let ino = this._iNode.getMetadata().ino;
+    let names = [];
+    while (index !== ino) {
+      let dir = this._iNodeMgr.getINode(index);
+      if (!(dir instanceof Directory)) {
+        return;
+      }
+      let parentIndex = dir.getEntryIndex('..');
+      let parent = this._iNodeMgr.getINode(parentIndex);
+      // root is its own parent, and removed directories are not entries of their parent
+      let name = (parentIndex !== index && parent) ? parent.getEntryName(index) : undefined;
+      if (typeof name === 'undefined') {
+        return;
+      }
+      names.unshift(name);
+      index = parentIndex;
+    }
+    return names.join('/');
+  }
+
+  /**
+   * Stops watching and emits 'close'
+   */
+  close () {
+    if (this._closed) {
+      return;
+    }
+    this._closed = true;
+    this._iNodeMgr.removeListener('mutation', this._onMutation);
+    setImmediate(() => {
+      this.emit('close');
+    });
+    return;
+  }
+
+}
+
+/**
+ * Class representing a stat polling watcher of a path
+ * This simulates Node's StatWatcher, it emits 'change' events with (current, previous) stats
+ * @extends EventEmitter
+ */
+class StatWatcher extends EventEmitter {
+
+  /**
+   * Creates a StatWatcher
+   * @param {FS} fs
+   * @param {string} pathS
+   * @param {number} interval - Polling interval in milliseconds
+   * @param {boolean} persistent - If false, the polling will not keep the process running
+   */
+  constructor (fs, pathS, interval, persistent) {
+    super();
+    this._fs = fs;
+    this._path = pathS;
+    this._stat = this._poll();
+    this._timer = setInterval(this._check.bind(this), interval);
+    if (!persistent && this._timer.unref) {
+      this._timer.unref();
+    }
+  }
+
+  /**
+   * Stats the path, a missing path results in a zeroed stat
+   * @private
+   * @returns {Stat}
+   */
+  _poll () {
+    try {
+      return this._fs.statSync(this._path);
+    } catch (e) {
+      let epoch = new Date(0);
+      return new Stat({
+        ino: 0,
+        mode: 0,
+        nlink: 0,
+        size: 0,
+        atime: epoch,
+        mtime: epoch,
+        ctime: epoch,
+        birthtime: epoch
+      });
+    }
+  }
+
+  /**
+   * Polls and emits 'change' if the stat has changed
+   * @private
+   */
+  _check () {
+    let prev = this._stat;
+    let curr = this._poll();
+    if (curr.ino !== prev.ino ||
+        curr.mode !== prev.mode ||
+        curr.nlink !== prev.nlink ||
+        curr.uid !== prev.uid ||
+        curr.gid !== prev.gid ||
+        curr.size !== prev.size ||
+        curr.mtime.getTime() !== prev.mtime.getTime() ||
+        curr.ctime.getTime() !== prev.ctime.getTime() ||
+        curr.birthtime.getTime() !== prev.birthtime.getTime())
+    {
+      this._stat = curr;
+      this.emit('change', curr, prev);
+    }
+    return;
+  }
+
+  /**
+   * Stops polling
+   */
+  stop () {
+    clearInterval(this._timer);
+    return;
+  }
+
+}
+
+exports.FSWatcher = FSWatcher;
+exports.StatWatcher = StatWatcher;
@@ -36,5 +36,23 @@ module.exports = {
   F_OK: 0,
   R_OK: 4,
   W_OK: 2,
-  X_OK: 1
+  X_OK: 1,
+  COPYFILE_EXCL: 1,
+  COPYFILE_FICLONE: 2,
+  COPYFILE_FICLONE_FORCE: 4,
+  XATTR_CREATE: 1,
+  XATTR_REPLACE: 2,
+  SEEK_SET: 0,
+  SEEK_CUR: 1,
+  SEEK_END: 2,
+  LOCK_SH: 1,
+  LOCK_EX: 2,
+  LOCK_NB: 4,
+  LOCK_UN: 8,
+  F_GETLK: 5,
+  F_SETLK: 6,
+  F_SETLKW: 7,
+  F_RDLCK: 0,
+  F_WRLCK: 1,
+  F_UNLCK: 2
 };
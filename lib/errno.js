@@ -0,0 +1,60 @@
+'use strict';
+
+const errno = require('errno');
+
+/**
+ * Errors of the errno package extended with the errors it does not define
+ * The extra errno numbers continue after the ones defined by the errno package
+ */
+const extra = [
+  {
+    errno: 60,
+    code: 'EDQUOT',
+    description: 'disk quota exceeded'
+  },
+  {
+    errno: 61,
+    code: 'EFBIG',
+    description: 'file too large'
+  },
+  {
+    errno: 62,
+    code: 'ENXIO',
+    description: 'no such device or address'
+  },
+  {
+    errno: 63,
+    code: 'ENODATA',
+    description: 'no data available'
+  },
+  {
+    errno: 64,
+    code: 'E2BIG',
+    description: 'argument list too long'
+  },
+  {
+    errno: 65,
+    code: 'ERANGE',
+    description: 'result too large'
+  },
+  {
+    errno: 66,
+    code: 'EWOULDBLOCK',
+    description: 'operation would block'
+  },
+  {
+    errno: 67,
+    code: 'EDEADLK',
+    description: 'resource deadlock avoided'
+  }
+];
+
+const code = {};
+Object.keys(errno.code).forEach(function (key) {
+  code[key] = errno.code[key];
+});
+extra.forEach(function (error) {
+  code[error.code] = error;
+});
+
+exports.code = code;
@@ -5,6 +5,7 @@ var File = require('../lib/INodes').File;
 var Directory = require('../lib/INodes').Directory;
 var Symlink = require('../lib/INodes').Symlink;
 var VirtualFS = require('../lib/VirtualFS').FS;
+var constants = require('../lib/constants');
 
 describe("directory", function() {
 
@@ -144,6 +145,17 @@ describe("symlinks", function() {
     fs.readFileSync('/test/linktoa', 'utf-8').should.be.eql('Hello World');
 	});
 
+  it("should report symlink types from lstat", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/a", "Hello");
+    fs.symlinkSync("/a", "/link");
+    var stat = fs.lstatSync("/link");
+    stat.isSymbolicLink().should.be.eql(true);
+    stat.isFile().should.be.eql(false);
+    fs.statSync("/link").isSymbolicLink().should.be.eql(false);
+    fs.statSync("/link").isFile().should.be.eql(true);
+  });
+
   it ("it should delete only the symlink", function () {
 		var fs = new VirtualFS();
 		fs.mkdirSync("/test");
@@ -350,6 +362,59 @@ describe("streams", function() {
 			});
 			stream.end();
 		});
+		it("should open with flags and start", function(done) {
+			var fs = new VirtualFS();
+			fs.writeFileSync("/file", "Hello");
+			fs.createWriteStream("/file", { flags: "wx" }).once('error', function(err) {
+				err.code.should.be.eql("EEXIST");
+				var stream = fs.createWriteStream("/file", { flags: "a" });
+				stream.end(" World", function() {
+					fs.readFileSync("/file", "utf8").should.be.eql("Hello World");
+					fs.createWriteStream("/file", { flags: "r+", start: 6 }).end("Earth", function() {
+						fs.readFileSync("/file", "utf8").should.be.eql("Hello Earth");
+						done();
+					});
+				});
+			});
+		});
+		it("should emit open, ready and close and count bytes", function(done) {
+			var fs = new VirtualFS();
+			var events = [];
+			var stream = fs.createWriteStream("/file");
+			stream.pending.should.be.true;
+			stream.on('open', function(fd) {
+				fd.should.be.eql(stream.fd);
+				events.push('open');
+			}).on('ready', function() {
+				events.push('ready');
+			}).on('finish', function() {
+				events.push('finish');
+			}).on('close', function() {
+				events.should.be.eql(['open', 'ready', 'finish']);
+				stream.bytesWritten.should.be.eql(10);
+				should.not.exist(stream.fd);
+				(function() { fs.fstatSync(0); }).should.throw(/EBADF/);
+				done();
+			});
+			stream.write("Hello");
+			setImmediate(function() {
+				stream.end("World");
+			});
+		});
+		it("should write to a file descriptor", function(done) {
+			var fs = new VirtualFS();
+			var fd = fs.openSync("/file", "w");
+			var stream = fs.createWriteStream(null, { fd: fd, autoClose: false });
+			stream.on('open', function() {
+				done(new Error("open must not be emitted"));
+			});
+			stream.end("Hello", function() {
+				fs.writeSync(fd, " World");
+				fs.closeSync(fd);
+				fs.readFileSync("/file", "utf8").should.be.eql("Hello World");
+				done();
+			});
+		});
 	});
 	describe("readable streams", function() {
 		it("should read files", function(done) {
@@ -367,7 +432,7 @@ describe("streams", function() {
 				start: 1,
 				end: 3
 			}).pipe(bl(function(err, data) {
-				data.toString('utf8').should.be.eql("el");
+				data.toString('utf8').should.be.eql("ell");
 				done();
 			}));
 		});
@@ -386,5 +451,2694 @@ describe("streams", function() {
 			});
 			stream.read(0);
 		});
+		it("should read in chunks of highWaterMark", function(done) {
+			var fs = new VirtualFS();
+			fs.writeFileSync("/file", "HelloWorld");
+			var chunks = [];
+			var stream = fs.createReadStream("/file", { highWaterMark: 4, encoding: "utf8" });
+			stream.on('data', function(chunk) {
+				chunks.push(chunk);
+			}).on('close', function() {
+				chunks.should.be.eql(["Hell", "oWor", "ld"]);
+				stream.bytesRead.should.be.eql(10);
+				done();
+			});
+		});
+		it("should read a single byte with start 0 and end 0", function(done) {
+			var fs = new VirtualFS();
+			fs.writeFileSync("/file", "Hello");
+			fs.createReadStream("/file", { start: 0, end: 0 }).pipe(bl(function(err, data) {
+				data.toString('utf8').should.be.eql("H");
+				done();
+			}));
+		});
+		it("should reject start beyond end", function() {
+			var fs = new VirtualFS();
+			fs.writeFileSync("/file", "Hello");
+			(function() { fs.createReadStream("/file", { start: 2, end: 1 }); }).should.throw(RangeError);
+		});
+		it("should read from a file descriptor", function(done) {
+			var fs = new VirtualFS();
+			fs.writeFileSync("/file", "Hello World");
+			var fd = fs.openSync("/file", "r");
+			fs.readSync(fd, Buffer.alloc(6), 0, 6);
+			var stream = fs.createReadStream(null, { fd: fd, autoClose: false });
+			stream.pipe(bl(function(err, data) {
+				data.toString('utf8').should.be.eql("World");
+				fs.fstatSync(fd).size.should.be.eql(11);
+				fs.closeSync(fd);
+				done();
+			}));
+		});
+		it("should emit open, ready and close", function(done) {
+			var fs = new VirtualFS();
+			fs.writeFileSync("/file", "Hello");
+			var events = [];
+			var stream = fs.createReadStream("/file");
+			stream.on('open', function() {
+				events.push('open');
+			}).on('ready', function() {
+				events.push('ready');
+			}).on('end', function() {
+				events.push('end');
+			}).on('close', function() {
+				events.should.be.eql(['open', 'ready', 'end']);
+				done();
+			}).resume();
+		});
 	});
 });
+describe("file descriptors", function() {
+  it("should assign the lowest free file descriptor", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/a", "Hello");
+    var fd0 = fs.openSync("/a", "r");
+    var fd1 = fs.openSync("/a", "r");
+    fd0.should.be.eql(0);
+    fd1.should.be.eql(1);
+    fs.closeSync(fd0);
+    fs.openSync("/a", "r").should.be.eql(0);
+    (function() {
+      fs.closeSync(3);
+    }).should.throw(/EBADF/);
+  });
+  it("should read and write with positions", function() {
+    var fs = new VirtualFS();
+    var fd = fs.openSync("/a", "w+");
+    fs.writeSync(fd, new Buffer("Hello World")).should.be.eql(11);
+    fs.writeSync(fd, "!", 11).should.be.eql(1);
+    var buf = new Buffer(5);
+    fs.readSync(fd, buf, 0, 5, 6).should.be.eql(5);
+    buf.toString().should.be.eql("World");
+    // positioned writes do not move the position from the end of "Hello World"
+    fs.readSync(fd, buf, 0, 5, null).should.be.eql(1);
+    fs.readSync(fd, buf, 0, 5, null).should.be.eql(0);
+    fs.writeSync(fd, new Buffer("!?"), 1, 1, 20);
+    fs.readFileSync("/a").length.should.be.eql(21);
+    fs.closeSync(fd);
+  });
+  it("should respect open flags", function() {
+    var fs = new VirtualFS();
+    fs.mkdirSync("/dir");
+    fs.writeFileSync("/a", "Hello");
+    (function() {
+      fs.openSync("/b", "r");
+    }).should.throw(/ENOENT/);
+    (function() {
+      fs.openSync("/a", "wx");
+    }).should.throw(/EEXIST/);
+    (function() {
+      fs.openSync("/dir", "w");
+    }).should.throw(/EISDIR/);
+    (function() {
+      fs.openSync("/a", constants.O_RDONLY | constants.O_DIRECTORY);
+    }).should.throw(/ENOTDIR/);
+    fs.symlinkSync("/a", "/link");
+    (function() {
+      fs.openSync("/link", constants.O_RDONLY | constants.O_NOFOLLOW);
+    }).should.throw(/ELOOP/);
+    var fd = fs.openSync("/a", "r");
+    (function() {
+      fs.writeSync(fd, "World");
+    }).should.throw(/EBADF/);
+    fs.closeSync(fd);
+    fd = fs.openSync("/a", "a");
+    fs.writeSync(fd, " World", 0);
+    fs.closeSync(fd);
+    fs.readFileSync("/a", "utf8").should.be.eql("Hello World");
+    fs.closeSync(fs.openSync("/a", "w"));
+    fs.readFileSync("/a", "utf8").should.be.eql("");
+  });
+  it("should keep unlinked files alive while open", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/a", "Hello");
+    var fd = fs.openSync("/a", "r+");
+    var ino = fs.fstatSync(fd).ino;
+    fs.unlinkSync("/a");
+    fs.existsSync("/a").should.be.eql(false);
+    fs.fstatSync(fd).nlink.should.be.eql(0);
+    fs.writeSync(fd, "J");
+    var buf = new Buffer(5);
+    fs.readSync(fd, buf, 0, 5, 0);
+    buf.toString().should.be.eql("Jello");
+    fs.closeSync(fd);
+    should(fs._inodeMgr.getINode(ino)).be.eql(undefined);
+  });
+  it("should keep hardlinked files alive until the last link and fd are gone", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/a", "Hello");
+    fs.linkSync("/a", "/b");
+    fs.statSync("/a").nlink.should.be.eql(2);
+    var fd = fs.openSync("/a", "r");
+    var ino = fs.fstatSync(fd).ino;
+    fs.unlinkSync("/a");
+    fs.unlinkSync("/b");
+    should.exist(fs._inodeMgr.getINode(ino));
+    fs.closeSync(fd);
+    should(fs._inodeMgr.getINode(ino)).be.eql(undefined);
+  });
+  it("should use the async versions", function(done) {
+    var fs = new VirtualFS();
+    fs.open("/a", "w+", function(err, fd) {
+      if (err) throw err;
+      fs.write(fd, new Buffer("Hello"), 0, 5, null, function(err, bytesWritten) {
+        if (err) throw err;
+        bytesWritten.should.be.eql(5);
+        var buf = new Buffer(5);
+        fs.read(fd, buf, 0, 5, 0, function(err, bytesRead, buffer) {
+          if (err) throw err;
+          bytesRead.should.be.eql(5);
+          buffer.toString().should.be.eql("Hello");
+          fs.close(fd, done);
+        });
+      });
+    });
+  });
+});
+describe("permissions", function() {
+  it("should create inodes with the caller's ownership and umask", function() {
+    var fs = new VirtualFS({uid: 1000, gid: 1000});
+    fs.writeFileSync("/a", "Hello");
+    fs.mkdirSync("/dir");
+    var stat = fs.statSync("/a");
+    stat.uid.should.be.eql(1000);
+    stat.gid.should.be.eql(1000);
+    (stat.mode & 0o777).should.be.eql(0o644);
+    (fs.statSync("/dir").mode & 0o777).should.be.eql(0o755);
+    fs.mkdirSync("/private", 0o700);
+    (fs.statSync("/private").mode & 0o777).should.be.eql(0o700);
+  });
+  it("should change modes and check access", function() {
+    var fs = new VirtualFS({uid: 1000, gid: 1000});
+    fs.writeFileSync("/a", "Hello");
+    fs.accessSync("/a");
+    fs.accessSync("/a", constants.R_OK | constants.W_OK);
+    (function() {
+      fs.accessSync("/a", constants.X_OK);
+    }).should.throw(/EACCES/);
+    (function() {
+      fs.accessSync("/b");
+    }).should.throw(/ENOENT/);
+    fs.chmodSync("/a", 0o400);
+    (fs.statSync("/a").mode & constants.S_IFMT).should.be.eql(constants.S_IFREG);
+    (function() {
+      fs.writeFileSync("/a", "World");
+    }).should.throw(/EACCES/);
+    (function() {
+      fs.openSync("/a", "r+");
+    }).should.throw(/EACCES/);
+    fs.readFileSync("/a", "utf8").should.be.eql("Hello");
+    fs.chmodSync("/a", 0o000);
+    (function() {
+      fs.readFileSync("/a");
+    }).should.throw(/EACCES/);
+  });
+  it("should enforce directory permissions", function() {
+    var fs = new VirtualFS({uid: 1000, gid: 1000});
+    fs.mkdirpSync("/dir/sub");
+    fs.writeFileSync("/dir/sub/a", "Hello");
+    fs.chmodSync("/dir", 0o500);
+    (function() {
+      fs.writeFileSync("/dir/b", "Hello");
+    }).should.throw(/EACCES/);
+    (function() {
+      fs.rmdirSync("/dir/sub");
+    }).should.throw(/EACCES/);
+    fs.readFileSync("/dir/sub/a", "utf8").should.be.eql("Hello");
+    fs.chmodSync("/dir", 0o600);
+    fs.readdirSync("/dir").should.be.eql(["sub"]);
+    (function() {
+      fs.readFileSync("/dir/sub/a");
+    }).should.throw(/EACCES/);
+    fs.existsSync("/dir/sub/a").should.be.eql(false);
+    fs.chmodSync("/dir", 0o300);
+    (function() {
+      fs.readdirSync("/dir");
+    }).should.throw(/EACCES/);
+  });
+  it("should report the caller's path when a directory cannot be searched", function() {
+    var fs = new VirtualFS({uid: 1000, gid: 1000});
+    fs.mkdirpSync("/dir/sub");
+    fs.writeFileSync("/dir/sub/a", "Hello");
+    fs.symlinkSync("/dir/sub", "/link");
+    fs.chmodSync("/dir/sub", 0o600);
+    (function() {
+      fs.readFileSync("/dir/sub/a");
+    }).should.throw("EACCES: permission denied, '/dir/sub/a'");
+    (function() {
+      fs.statSync("/link/a");
+    }).should.throw("EACCES: permission denied, '/link/a'");
+    fs.chdirSync("/dir");
+    (function() {
+      fs.mkdirpSync("sub/new");
+    }).should.throw("EACCES: permission denied, 'sub/new'");
+    (function() {
+      fs.mkdirpSync("/dir/private/new", 0o600);
+    }).should.throw("EACCES: permission denied, '/dir/private/new'");
+  });
+  it("should let only root bypass permissions and change owners", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/a", "Hello");
+    fs.chmodSync("/a", 0o000);
+    fs.readFileSync("/a", "utf8").should.be.eql("Hello");
+    fs.chownSync("/a", 1000, 1000);
+    fs.statSync("/a").uid.should.be.eql(1000);
+    fs.setUid(1000);
+    fs.setGid(1000);
+    (function() {
+      fs.readFileSync("/a");
+    }).should.throw(/EACCES/);
+    (function() {
+      fs.chownSync("/a", 0, -1);
+    }).should.throw(/EPERM/);
+    fs.setUid(1001);
+    (function() {
+      fs.chmodSync("/a", 0o777);
+    }).should.throw(/EPERM/);
+  });
+});
+describe("current working directory", function() {
+  it("should resolve relative paths against the current working directory", function() {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/project/src");
+    fs.writeFileSync("/a", "root");
+    fs.writeFileSync("/project/a", "project");
+    fs.cwd().should.be.eql("/");
+    fs.chdirSync("/project/src");
+    fs.cwd().should.be.eql("/project/src");
+    fs.readFileSync("../a", "utf8").should.be.eql("project");
+    fs.readFileSync("../../a", "utf8").should.be.eql("root");
+    fs.readFileSync("/a", "utf8").should.be.eql("root");
+    fs.writeFileSync("./b", "Hello");
+    fs.readFileSync("/project/src/b", "utf8").should.be.eql("Hello");
+    fs.chdirSync("..");
+    fs.cwd().should.be.eql("/project");
+    fs.readdirSync(".").should.be.eql(["src", "a"]);
+    fs.chdirSync("/../..");
+    fs.cwd().should.be.eql("/");
+  });
+  it("should walk '..' after following symlinks", function() {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/x/y");
+    fs.writeFileSync("/x/a", "Hello");
+    fs.symlinkSync("/x/y", "/link");
+    // '..' of the link target is /x, not /
+    fs.readFileSync("/link/../a", "utf8").should.be.eql("Hello");
+  });
+  it("should follow renames of the current working directory", function() {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/a/b");
+    fs.chdirSync("/a/b");
+    fs.renameSync("/a", "/c");
+    fs.cwd().should.be.eql("/c/b");
+    fs.rmdirSync("/c/b");
+    (function() {
+      fs.cwd();
+    }).should.throw(/ENOENT/);
+  });
+  it("should not create entries in a removed current working directory", function() {
+    var fs = new VirtualFS();
+    fs.mkdirSync("/dir");
+    fs.chdirSync("/dir");
+    fs.rmdirSync("/dir");
+    (function() {
+      fs.writeFileSync("file", "");
+    }).should.throw(/ENOENT/);
+    (function() {
+      fs.mkdirSync("sub");
+    }).should.throw(/ENOENT/);
+    (function() {
+      fs.mkdirpSync("sub/deep");
+    }).should.throw(/ENOENT/);
+    fs.readdirSync(".").should.be.eql([]);
+    fs.chdirSync("/");
+    fs._inodeMgr.getUsage().inodes.should.be.eql(1);
+  });
+  it("should not chdir into non-directories or remove '.' and '..'", function() {
+    var fs = new VirtualFS();
+    fs.mkdirSync("/dir");
+    fs.writeFileSync("/file", "Hello");
+    (function() {
+      fs.chdirSync("/file");
+    }).should.throw(/ENOTDIR/);
+    (function() {
+      fs.chdirSync("/none");
+    }).should.throw(/ENOENT/);
+    (function() {
+      fs.rmdirSync("/dir/.");
+    }).should.throw(/EINVAL/);
+    (function() {
+      fs.rmdirSync("/dir/..");
+    }).should.throw(/ENOTEMPTY/);
+    (function() {
+      fs.renameSync("/dir/.", "/other");
+    }).should.throw(/EBUSY/);
+  });
+});
+describe("rename", function() {
+  it("should move directories and update '..'", function() {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/a/b");
+    fs.mkdirSync("/c");
+    fs.writeFileSync("/c/file", "Hello");
+    fs.renameSync("/a/b", "/c/d");
+    fs.statSync("/a").nlink.should.be.eql(2);
+    fs.statSync("/c").nlink.should.be.eql(3);
+    fs.readFileSync("/c/d/../file", "utf8").should.be.eql("Hello");
+    (function() {
+      fs.renameSync("/c", "/c/d/e");
+    }).should.throw(/EINVAL/);
+  });
+  it("should replace existing targets", function() {
+    var fs = new VirtualFS();
+    fs.mkdirSync("/dir");
+    fs.writeFileSync("/a", "a");
+    fs.writeFileSync("/dir/b", "b");
+    var ino = fs.statSync("/dir/b").ino;
+    fs.renameSync("/a", "/dir/b");
+    fs.readFileSync("/dir/b", "utf8").should.be.eql("a");
+    should(fs._inodeMgr.getINode(ino)).be.eql(undefined);
+    fs.mkdirSync("/x");
+    fs.mkdirSync("/y");
+    fs.writeFileSync("/y/file", "Hello");
+    (function() {
+      fs.renameSync("/x", "/y");
+    }).should.throw(/ENOTEMPTY/);
+    fs.unlinkSync("/y/file");
+    fs.renameSync("/x", "/y");
+    fs.readdirSync("/").should.be.eql(["dir", "y"]);
+    fs.statSync("/").nlink.should.be.eql(4);
+  });
+});
+describe("symlink resolution", function() {
+  it("should throw ELOOP on symlink cycles", function() {
+    var fs = new VirtualFS();
+    fs.symlinkSync("/b", "/a");
+    fs.symlinkSync("/a", "/b");
+    fs.symlinkSync("self/x", "/self");
+    (function() {
+      fs.readFileSync("/a");
+    }).should.throw(/ELOOP/);
+    (function() {
+      fs.statSync("/self");
+    }).should.throw("ELOOP: too many symbolic links encountered, '/self'");
+    (function() {
+      fs.readFileSync("/a/x");
+    }).should.throw("ELOOP: too many symbolic links encountered, '/a/x'");
+    fs.existsSync("/a").should.be.eql(false);
+    fs.lstatSync("/a").isSymbolicLink().should.be.eql(true);
+  });
+  it("should follow up to 40 symlinks", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/0", "Hello");
+    for (var i = 1; i <= 41; ++i) {
+      fs.symlinkSync(String(i - 1), "/" + i);
+    }
+    fs.readFileSync("/40", "utf8").should.be.eql("Hello");
+    (function() {
+      fs.readFileSync("/41");
+    }).should.throw(/ELOOP/);
+  });
+  it("should resolve real paths", function(done) {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/a/b/c");
+    fs.writeFileSync("/a/b/c/file", "Hello");
+    fs.symlinkSync("../../b", "/a/b/c/up");
+    fs.symlinkSync("/a/b/c", "/link");
+    fs.realpathSync("/").should.be.eql("/");
+    fs.realpathSync("/link").should.be.eql("/a/b/c");
+    fs.realpathSync("/link/up/./c/../c/file").should.be.eql("/a/b/c/file");
+    fs.chdirSync("/a/b");
+    fs.realpathSync("c/up").should.be.eql("/a/b");
+    fs.realpathSync("../..").should.be.eql("/");
+    (function() {
+      fs.realpathSync("/link/none");
+    }).should.throw(/ENOENT/);
+    fs.realpath("/link/file", function(err, resolved) {
+      if (err) throw err;
+      resolved.should.be.eql("/a/b/c/file");
+      done();
+    });
+  });
+});
+describe("promises", function() {
+  it("should mirror the sync operations", function() {
+    var fs = new VirtualFS();
+    return fs.promises.mkdir("/dir").then(function() {
+      return fs.promises.writeFile("/dir/a", "Hello");
+    }).then(function() {
+      return fs.promises.readFile("/dir/a", "utf8");
+    }).then(function(content) {
+      content.should.be.eql("Hello");
+      return fs.promises.stat("/dir/a");
+    }).then(function(stat) {
+      stat.isFile().should.be.eql(true);
+      return fs.promises.readdir("/dir");
+    }).then(function(files) {
+      files.should.be.eql(["a"]);
+      return fs.promises.unlink("/dir/none");
+    }).then(function() {
+      throw new Error("should have rejected");
+    }, function(err) {
+      err.code.should.be.eql("ENOENT");
+    });
+  });
+  it("should read and write through file handles", function() {
+    var fs = new VirtualFS();
+    var handle;
+    return fs.promises.open("/a", "w+").then(function(fileHandle) {
+      handle = fileHandle;
+      return handle.write(new Buffer("Hello World"));
+    }).then(function(result) {
+      result.bytesWritten.should.be.eql(11);
+      return handle.read(new Buffer(5), 0, 5, 6);
+    }).then(function(result) {
+      result.bytesRead.should.be.eql(5);
+      result.buffer.toString().should.be.eql("World");
+      return handle.truncate(5);
+    }).then(function() {
+      return handle.stat();
+    }).then(function(stat) {
+      stat.size.should.be.eql(5);
+      return handle.close();
+    }).then(function() {
+      handle.fd.should.be.eql(-1);
+      fs.readFileSync("/a", "utf8").should.be.eql("Hello");
+    });
+  });
+  it("should iterate over directories asynchronously", function() {
+    var fs = new VirtualFS();
+    fs.mkdirSync("/dir");
+    fs.writeFileSync("/dir/a", "a");
+    fs.writeFileSync("/dir/b", "b");
+    var names = [];
+    return fs.promises.opendir("/dir").then(function(dir) {
+      var iterator = dir[Symbol.asyncIterator]();
+      var next = function() {
+        return iterator.next().then(function(result) {
+          if (result.done) {
+            return;
+          }
+          names.push(result.value.name);
+          return next();
+        });
+      };
+      return next();
+    }).then(function() {
+      names.should.be.eql(["a", "b"]);
+    });
+  });
+});
+describe("watchers", function() {
+  it("should report entry and content changes of a directory", function(done) {
+    var fs = new VirtualFS();
+    fs.mkdirSync("/dir");
+    fs.writeFileSync("/dir/a", "Hello");
+    var events = [];
+    var watcher = fs.watch("/dir", function(eventType, filename) {
+      events.push([eventType, filename]);
+    });
+    fs.writeFileSync("/dir/a", "World");
+    fs.writeFileSync("/dir/b", "World");
+    fs.renameSync("/dir/b", "/dir/c");
+    fs.unlinkSync("/dir/c");
+    fs.writeFileSync("/other", "Hello");
+    setImmediate(function() {
+      events.should.be.eql([
+        ["change", "a"],
+        ["rename", "b"],
+        ["rename", "b"],
+        ["rename", "c"],
+        ["rename", "c"]
+      ]);
+      watcher.on("close", done);
+      watcher.close();
+    });
+  });
+  it("should report changes in subdirectories when recursive", function(done) {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/dir/sub");
+    var events = [];
+    var shallow = [];
+    var watcher = fs.watch("/dir", {recursive: true}, function(eventType, filename) {
+      events.push([eventType, filename]);
+    });
+    var shallowWatcher = fs.watch("/dir", function(eventType, filename) {
+      shallow.push([eventType, filename]);
+    });
+    fs.writeFileSync("/dir/sub/a", "Hello");
+    fs.writeFileSync("/dir/sub/a", "World");
+    setImmediate(function() {
+      events.should.be.eql([
+        ["rename", "sub/a"],
+        ["change", "sub/a"]
+      ]);
+      shallow.should.be.eql([]);
+      watcher.close();
+      shallowWatcher.close();
+      done();
+    });
+  });
+  it("should find changed files through their directories after links, moves and serialization", function(done) {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/dir/sub");
+    fs.mkdirSync("/outside");
+    fs.writeFileSync("/outside/linked", "");
+    fs.linkSync("/outside/linked", "/dir/sub/link");
+    fs.writeFileSync("/dir/moved", "");
+    fs.renameSync("/dir/moved", "/outside/moved");
+    fs.writeFileSync("/outside/other", "");
+    fs = VirtualFS.fromJSON(fs.toJSON());
+    var events = [];
+    var watcher = fs.watch("/dir", {recursive: true}, function(eventType, filename) {
+      events.push([eventType, filename]);
+    });
+    fs.writeFileSync("/outside/linked", "Hello");
+    fs.writeFileSync("/outside/moved", "Hello");
+    fs.writeFileSync("/outside/other", "Hello");
+    fs.unlinkSync("/dir/sub/link");
+    fs.writeFileSync("/outside/linked", "World");
+    setImmediate(function() {
+      events.should.be.eql([
+        ["change", "sub/link"],
+        ["rename", "sub/link"]
+      ]);
+      watcher.close();
+      done();
+    });
+  });
+  it("should watch files", function(done) {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/a", "Hello");
+    var events = [];
+    var watcher = fs.watch("/a", function(eventType, filename) {
+      events.push([eventType, filename]);
+    });
+    var fd = fs.openSync("/a", "a");
+    fs.writeSync(fd, " World");
+    fs.closeSync(fd);
+    fs.unlinkSync("/a");
+    setImmediate(function() {
+      events.should.be.eql([
+        ["change", "a"],
+        ["rename", "a"]
+      ]);
+      watcher.close();
+      (function() {
+        fs.watch("/a");
+      }).should.throw(/ENOENT/);
+      done();
+    });
+  });
+  it("should poll stats with watchFile", function(done) {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/a", "Hello");
+    var listener = function(curr, prev) {
+      prev.size.should.be.eql(5);
+      curr.size.should.be.eql(0);
+      curr.nlink.should.be.eql(0);
+      fs.unwatchFile("/a", listener);
+      fs._statWatchers.should.be.eql({});
+      done();
+    };
+    fs.watchFile("/a", {interval: 5}, listener);
+    fs.unlinkSync("/a");
+  });
+});
+describe("serialization", function() {
+  var buildFS = function() {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/dir/sub");
+    fs.writeFileSync("/dir/a", "Hello");
+    fs.linkSync("/dir/a", "/dir/sub/b");
+    fs.symlinkSync("../a", "/dir/sub/link");
+    fs.writeFileSync("/empty", "");
+    fs.chmodSync("/dir/a", 0o600);
+    fs.chownSync("/dir/sub", 1000, 100);
+    fs.writeFileSync("/removed", "Hello");
+    fs.unlinkSync("/removed");
+    return fs;
+  };
+  var checkFS = function(fs, original) {
+    ["/", "/dir", "/dir/sub", "/dir/a", "/empty"].forEach(function(p) {
+      fs.statSync(p).should.be.eql(original.statSync(p));
+    });
+    fs.lstatSync("/dir/sub/link").should.be.eql(original.lstatSync("/dir/sub/link"));
+    fs.readFileSync("/dir/sub/link", "utf8").should.be.eql("Hello");
+    fs.readlinkSync("/dir/sub/link").should.be.eql("../a");
+    fs.statSync("/dir/a").ino.should.be.eql(fs.statSync("/dir/sub/b").ino);
+    fs.writeFileSync("/dir/a", "World");
+    fs.readFileSync("/dir/sub/b", "utf8").should.be.eql("World");
+    fs.readFileSync("/empty").length.should.be.eql(0);
+    // the inode counter carries on from the original
+    fs.writeFileSync("/new", "");
+    original.writeFileSync("/new", "");
+    fs.statSync("/new").ino.should.be.eql(original.statSync("/new").ino);
+  };
+  it("should round trip through JSON", function() {
+    var fs = buildFS();
+    var json = JSON.stringify(fs);
+    var restored = VirtualFS.fromJSON(json);
+    JSON.stringify(restored).should.be.eql(json);
+    // the unlinked file is not serialized
+    Object.keys(JSON.parse(json).inodes).length.should.be.eql(6);
+    checkFS(restored, fs);
+  });
+  it("should round trip through the binary form", function() {
+    var fs = buildFS();
+    var buffer = fs.serialize();
+    var restored = VirtualFS.deserialize(buffer);
+    restored.serialize().should.be.eql(buffer);
+    JSON.stringify(restored).should.be.eql(JSON.stringify(fs));
+    checkFS(restored, fs);
+    (function() {
+      VirtualFS.deserialize(new Buffer("garbage"));
+    }).should.throw(TypeError);
+  });
+});
+describe("host filesystem", function() {
+  var nodeFS = require("fs");
+  var nodePath = require("path");
+  var os = require("os");
+  var tmpDir;
+  var removeHost = function(p) {
+    if (nodeFS.lstatSync(p).isDirectory()) {
+      nodeFS.chmodSync(p, 0o700);
+      nodeFS.readdirSync(p).forEach(function(name) {
+        removeHost(nodePath.join(p, name));
+      });
+      nodeFS.rmdirSync(p);
+    } else {
+      nodeFS.unlinkSync(p);
+    }
+  };
+  beforeEach(function() {
+    tmpDir = nodeFS.mkdtempSync(nodePath.join(os.tmpdir(), "virtualfs-"));
+  });
+  afterEach(function() {
+    removeHost(tmpDir);
+  });
+  it("should import from the host filesystem", function() {
+    var src = nodePath.join(tmpDir, "src");
+    nodeFS.mkdirSync(src);
+    nodeFS.mkdirSync(nodePath.join(src, "sub"));
+    nodeFS.writeFileSync(nodePath.join(src, "a"), "Hello");
+    nodeFS.chmodSync(nodePath.join(src, "a"), 0o640);
+    nodeFS.utimesSync(nodePath.join(src, "a"), 1000, 2000);
+    nodeFS.linkSync(nodePath.join(src, "a"), nodePath.join(src, "sub", "b"));
+    nodeFS.symlinkSync("../a", nodePath.join(src, "sub", "link"));
+    nodeFS.writeFileSync(nodePath.join(src, "skipped"), "Hello");
+    var fs = new VirtualFS();
+    fs.mkdirSync("/dest");
+    var filter = function(hostPath) {
+      return nodePath.basename(hostPath) !== "skipped";
+    };
+    var planned = fs.importFromDisk(src, "/dest/src", {filter: filter, dryRun: true});
+    fs.existsSync("/dest/src").should.be.eql(false);
+    var imported = fs.importFromDisk(src, "/dest/src", {filter: filter});
+    imported.should.be.eql(planned);
+    imported.sort().should.be.eql([
+      "/dest/src",
+      "/dest/src/a",
+      "/dest/src/sub",
+      "/dest/src/sub/b",
+      "/dest/src/sub/link"
+    ]);
+    fs.readFileSync("/dest/src/sub/link", "utf8").should.be.eql("Hello");
+    var stat = fs.statSync("/dest/src/a");
+    (stat.mode & 0o777).should.be.eql(0o640);
+    stat.mtime.getTime().should.be.eql(2000000);
+    stat.ino.should.be.eql(fs.statSync("/dest/src/sub/b").ino);
+    stat.nlink.should.be.eql(2);
+    fs.readlinkSync("/dest/src/sub/link").should.be.eql("../a");
+  });
+  it("should export to the host filesystem", function() {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/src/sub");
+    fs.writeFileSync("/src/a", "Hello");
+    fs.chmodSync("/src/a", 0o600);
+    fs.linkSync("/src/a", "/src/sub/b");
+    fs.symlinkSync("../a", "/src/sub/link");
+    fs.mkfifoSync("/src/fifo");
+    fs.mknodSync("/src/null", constants.S_IFCHR | 0o666, 0);
+    fs.chmodSync("/src/sub", 0o500);
+    var dest = nodePath.join(tmpDir, "dest");
+    fs.exportToDisk("/src", dest, {dryRun: true}).length.should.be.eql(5);
+    nodeFS.existsSync(dest).should.be.eql(false);
+    var exported = fs.exportToDisk("/src", dest, {
+      filter: function(pathS, stat) {
+        return !stat.isSymbolicLink();
+      }
+    });
+    exported.sort().should.be.eql([
+      dest,
+      nodePath.join(dest, "a"),
+      nodePath.join(dest, "sub"),
+      nodePath.join(dest, "sub", "b")
+    ]);
+    nodeFS.readFileSync(nodePath.join(dest, "sub", "b"), "utf8").should.be.eql("Hello");
+    var stat = nodeFS.statSync(nodePath.join(dest, "a"));
+    (stat.mode & 0o777).should.be.eql(0o600);
+    stat.nlink.should.be.eql(2);
+    (nodeFS.statSync(nodePath.join(dest, "sub")).mode & 0o777).should.be.eql(0o500);
+    nodeFS.existsSync(nodePath.join(dest, "fifo")).should.be.false;
+    nodeFS.existsSync(nodePath.join(dest, "null")).should.be.false;
+  });
+});
+describe("overlay", function() {
+  var OverlayFS = require('../lib/VirtualFS').OverlayFS;
+  var lower;
+  beforeEach(function() {
+    lower = new VirtualFS();
+    lower.mkdirpSync("/dir/sub");
+    lower.writeFileSync("/dir/a", "lower a");
+    lower.writeFileSync("/dir/sub/b", "lower b");
+    lower.symlinkSync("dir/a", "/link");
+  });
+  it("should read through to the lower layer", function() {
+    var fs = new OverlayFS(lower);
+    fs.readdirSync("/").sort().should.be.eql(["dir", "link"]);
+    fs.readFileSync("/dir/a", "utf8").should.be.eql("lower a");
+    fs.readFileSync("/link", "utf8").should.be.eql("lower a");
+    fs.statSync("/dir/sub").isDirectory().should.be.true;
+    fs.lstatSync("/link").isSymbolicLink().should.be.true;
+    fs.realpathSync("/link").should.be.eql("/dir/a");
+    fs.existsSync("/dir/sub/b").should.be.true;
+  });
+  it("should map the root to a lower path", function() {
+    var fs = new OverlayFS(lower, { lowerRoot: "/dir" });
+    fs.readdirSync("/").sort().should.be.eql(["a", "sub"]);
+    fs.readFileSync("/sub/b", "utf8").should.be.eql("lower b");
+  });
+  it("should copy up on write and leave the lower layer untouched", function() {
+    var fs = new OverlayFS(lower);
+    fs.writeFileSync("/dir/sub/b", "upper b");
+    fs.writeFileSync("/dir/c", "upper c");
+    fs.readFileSync("/dir/sub/b", "utf8").should.be.eql("upper b");
+    fs.readdirSync("/dir").sort().should.be.eql(["a", "c", "sub"]);
+    lower.readFileSync("/dir/sub/b", "utf8").should.be.eql("lower b");
+    lower.existsSync("/dir/c").should.be.false;
+    var fd = fs.openSync("/dir/a", "a");
+    fs.writeSync(fd, " appended");
+    fs.closeSync(fd);
+    fs.readFileSync("/link", "utf8").should.be.eql("lower a appended");
+    lower.readFileSync("/dir/a", "utf8").should.be.eql("lower a");
+  });
+  it("should keep metadata on copy up", function() {
+    lower.chmodSync("/dir/a", 0o640);
+    var fs = new OverlayFS(lower);
+    fs.chmodSync("/dir", 0o750);
+    fs.statSync("/dir").mode.should.be.eql(constants.S_IFDIR | 0o750);
+    fs.statSync("/dir/a").mode.should.be.eql(constants.S_IFREG | 0o640);
+    lower.statSync("/dir").mode.should.be.eql(constants.S_IFDIR | 0o755);
+  });
+  it("should read lower files through file descriptors without copying up", function() {
+    var fs = new OverlayFS(lower);
+    var fd = fs.openSync("/dir/a", "r");
+    var buffer = Buffer.alloc(7);
+    fs.readSync(fd, buffer, 0, 7, 0);
+    buffer.toString().should.be.eql("lower a");
+    fs.closeSync(fd);
+    fs._navigate("/dir", false).should.have.property("target", null);
+  });
+  it("should hide deleted lower entries with whiteouts", function() {
+    var fs = new OverlayFS(lower);
+    fs.unlinkSync("/dir/a");
+    fs.existsSync("/dir/a").should.be.false;
+    fs.existsSync("/link").should.be.false;
+    fs.readdirSync("/dir").should.be.eql(["sub"]);
+    (function() { fs.rmdirSync("/dir/sub"); }).should.throw(/ENOTEMPTY/);
+    fs.unlinkSync("/dir/sub/b");
+    fs.rmdirSync("/dir/sub");
+    fs.readdirSync("/dir").should.be.eql([]);
+    fs.mkdirSync("/dir/sub");
+    fs.readdirSync("/dir/sub").should.be.eql([]);
+    fs.writeFileSync("/dir/a", "new a");
+    fs.readFileSync("/dir/a", "utf8").should.be.eql("new a");
+    lower.readFileSync("/dir/sub/b", "utf8").should.be.eql("lower b");
+  });
+  it("should rename lower directories as whole trees", function() {
+    var fs = new OverlayFS(lower);
+    fs.renameSync("/dir", "/moved");
+    fs.existsSync("/dir").should.be.false;
+    fs.readFileSync("/moved/sub/b", "utf8").should.be.eql("lower b");
+    fs.existsSync("/link").should.be.false;
+    fs.renameSync("/moved", "/dir");
+    fs.readFileSync("/link", "utf8").should.be.eql("lower a");
+    fs.mkdirSync("/empty");
+    (function() { fs.renameSync("/empty", "/dir"); }).should.throw(/ENOTEMPTY/);
+    lower.readdirSync("/").sort().should.be.eql(["dir", "link"]);
+  });
+  it("should report merged errors", function() {
+    var fs = new OverlayFS(lower);
+    (function() { fs.mkdirSync("/dir"); }).should.throw(/EEXIST/);
+    (function() { fs.readdirSync("/dir/a"); }).should.throw(/ENOTDIR/);
+    (function() { fs.readFileSync("/dir/none"); }).should.throw(/ENOENT/);
+    (function() { fs.readFileSync("/dir/a/none"); }).should.throw(/ENOTDIR/);
+    (function() { fs.unlinkSync("/dir"); }).should.throw(/EISDIR/);
+    (function() { fs.readlinkSync("/dir/a"); }).should.throw(/EINVAL/);
+  });
+  it("should create nodes and FIFOs in lower directories", function() {
+    var fs = new OverlayFS(lower);
+    fs.mkfifoSync("/dir/sub/fifo");
+    fs.mknodSync("/dir/file");
+    fs.statSync("/dir/sub/fifo").isFIFO().should.be.true;
+    fs.statSync("/dir/file").isFile().should.be.true;
+    fs.readFileSync("/dir/sub/b", "utf8").should.be.eql("lower b");
+    (function() { fs.mknodSync("/dir/a"); }).should.throw(/EEXIST/);
+    (function() { fs.mkfifoSync("/link"); }).should.throw(/EEXIST/);
+    lower.readdirSync("/dir/sub").should.be.eql(["b"]);
+  });
+  it("should copy up FIFOs and character devices as the same types", function() {
+    var nullDev = require("../lib/Devices").makedev(1, 3);
+    lower.mkfifoSync("/fifo");
+    lower.mknodSync("/null", constants.S_IFCHR | 0o666, nullDev);
+    var fs = new OverlayFS(lower);
+    fs.chmodSync("/fifo", 0o600);
+    fs.chmodSync("/null", 0o600);
+    fs.statSync("/fifo").isFIFO().should.be.true;
+    fs.statSync("/fifo").mode.should.be.eql(constants.S_IFIFO | 0o600);
+    fs.statSync("/null").mode.should.be.eql(constants.S_IFCHR | 0o600);
+    fs.statSync("/null").rdev.should.be.eql(nullDev);
+    fs.writeFileSync("/null", "discarded");
+    fs.readFileSync("/null", "utf8").should.be.eql("");
+    lower.statSync("/fifo").mode.should.be.eql(constants.S_IFIFO | 0o644);
+  });
+  it("should check search permissions on lower directories", function() {
+    lower.chmodSync("/dir", 0o600);
+    var fs = new OverlayFS(lower, { uid: 1000, gid: 1000 });
+    (function() { fs.readFileSync("/dir/a"); }).should.throw(/EACCES/);
+    (function() { fs.statSync("dir/sub/b"); }).should.throw("EACCES: permission denied, 'dir/sub/b'");
+    fs.existsSync("/dir/a").should.be.false;
+    fs.statSync("/dir").isDirectory().should.be.true;
+  });
+  it("should use the host filesystem as a lower layer", function() {
+    var nodeFS = require("fs");
+    var fs = new OverlayFS(nodeFS, { lowerRoot: __dirname });
+    fs.existsSync("/VirtualFS.js").should.be.true;
+    fs.writeFileSync("/VirtualFS.js", "overwritten");
+    fs.readFileSync("/VirtualFS.js", "utf8").should.be.eql("overwritten");
+    nodeFS.readFileSync(__filename, "utf8").should.not.be.eql("overwritten");
+  });
+});
+describe("mounts", function() {
+  it("should navigate across mountpoints", function() {
+    var fs = new VirtualFS();
+    var other = new VirtualFS();
+    other.mkdirSync("/sub");
+    other.writeFileSync("/sub/a", "mounted");
+    fs.mkdirSync("/mnt");
+    fs.writeFileSync("/mnt/hidden", "hidden");
+    fs.mountSync(other, "/mnt");
+    fs.symlinkSync("/mnt/sub/a", "/link");
+    fs.readdirSync("/mnt").should.be.eql(["sub"]);
+    fs.readFileSync("/link", "utf8").should.be.eql("mounted");
+    fs.writeFileSync("/mnt/sub/b", "written");
+    other.readFileSync("/sub/b", "utf8").should.be.eql("written");
+    fs.chdirSync("/mnt");
+    fs.readFileSync("sub/a", "utf8").should.be.eql("mounted");
+    (function() { fs.umountSync("/mnt"); }).should.throw(/EBUSY/);
+    fs.chdirSync("/");
+    fs.umountSync("/mnt");
+    fs.readdirSync("/mnt").should.be.eql(["hidden"]);
+    (function() { fs.umountSync("/mnt"); }).should.throw(/EINVAL/);
+  });
+  it("should change the current working directory inside a mount", function() {
+    var fs = new VirtualFS();
+    var other = new VirtualFS();
+    other.mkdirSync("/sub/deep", { recursive: true });
+    other.writeFileSync("/sub/a", "mounted");
+    other.symlinkSync("/sub/deep", "/link");
+    fs.mkdirSync("/mnt");
+    fs.writeFileSync("/outside", "outside");
+    fs.mountSync(other, "/mnt");
+    fs.chdirSync("/mnt/link");
+    fs.cwd().should.be.eql("/mnt/sub/deep");
+    fs.realpathSync(".").should.be.eql("/mnt/sub/deep");
+    fs.readFileSync("../a", "utf8").should.be.eql("mounted");
+    fs.writeFileSync("b", "written");
+    other.readFileSync("/sub/deep/b", "utf8").should.be.eql("written");
+    fs.readFileSync("../../../outside", "utf8").should.be.eql("outside");
+    (function() { fs.chdirSync("../a"); }).should.throw(/ENOTDIR/);
+    (function() { fs.chdirSync("missing"); }).should.throw(/ENOENT/);
+    (function() { fs.umountSync("/mnt"); }).should.throw(/EBUSY/);
+    fs.chdirSync("..");
+    fs.cwd().should.be.eql("/mnt/sub");
+    fs.chdirSync("../..");
+    fs.cwd().should.be.eql("/");
+    fs.umountSync("/mnt");
+  });
+  it("should restore the current working directory inside a mount when a transaction is rolled back", function() {
+    var fs = new VirtualFS();
+    var other = new VirtualFS();
+    other.mkdirSync("/sub");
+    fs.mkdirSync("/mnt");
+    fs.mountSync(other, "/mnt");
+    fs.chdirSync("/mnt/sub");
+    (function() {
+      fs.transaction(function(fs) {
+        fs.chdirSync("/");
+        throw new Error("abort");
+      });
+    }).should.throw("abort");
+    fs.cwd().should.be.eql("/mnt/sub");
+  });
+  it("should pass file descriptors to the mounted filesystem", function() {
+    var fs = new VirtualFS();
+    var other = new VirtualFS();
+    fs.mkdirSync("/mnt");
+    fs.mountSync(other, "/mnt");
+    var localFd = fs.openSync("/local", "w");
+    var fd = fs.openSync("/mnt/file", "w+");
+    fd.should.be.eql(localFd + 1);
+    fs.writeSync(fd, "Hello");
+    var buffer = Buffer.alloc(5);
+    fs.readSync(fd, buffer, 0, 5, 0);
+    buffer.toString().should.be.eql("Hello");
+    fs.fstatSync(fd).size.should.be.eql(5);
+    (function() { fs.umountSync("/mnt"); }).should.throw(/EBUSY/);
+    fs.closeSync(fd);
+    fs.closeSync(localFd);
+    other.readFileSync("/file", "utf8").should.be.eql("Hello");
+    fs.umountSync("/mnt");
+  });
+  it("should report a device per mount", function() {
+    var fs = new VirtualFS();
+    fs.mkdirSync("/a");
+    fs.mkdirSync("/b");
+    fs.mountSync(new VirtualFS(), "/a");
+    fs.mountSync(new VirtualFS(), "/b");
+    fs.statSync("/").dev.should.be.eql(0);
+    fs.statSync("/a").dev.should.not.be.eql(0);
+    fs.statSync("/a").dev.should.not.be.eql(fs.statSync("/b").dev);
+    fs.writeFileSync("/a/file", "Hello");
+    fs.statSync("/a/file").dev.should.be.eql(fs.statSync("/a").dev);
+  });
+  it("should not rename or link across mounts", function() {
+    var fs = new VirtualFS();
+    fs.mkdirSync("/mnt");
+    fs.writeFileSync("/file", "Hello");
+    fs.mountSync(new VirtualFS(), "/mnt");
+    fs.writeFileSync("/mnt/inner", "Hello");
+    (function() { fs.renameSync("/file", "/mnt/file"); }).should.throw(/EXDEV/);
+    (function() { fs.linkSync("/mnt/inner", "/inner"); }).should.throw(/EXDEV/);
+    fs.renameSync("/mnt/inner", "/mnt/renamed");
+    fs.linkSync("/mnt/renamed", "/mnt/linked");
+    fs.statSync("/mnt/linked").nlink.should.be.eql(2);
+  });
+  it("should check mountpoints", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", "Hello");
+    fs.mkdirSync("/mnt");
+    (function() { fs.mountSync(new VirtualFS(), "/"); }).should.throw(/EBUSY/);
+    (function() { fs.mountSync(new VirtualFS(), "/file"); }).should.throw(/ENOTDIR/);
+    (function() { fs.mountSync(new VirtualFS(), "/none"); }).should.throw(/ENOENT/);
+    var user = new VirtualFS({ uid: 1000 });
+    user.mkdirSync("/mnt");
+    (function() { user.mountSync(new VirtualFS(), "/mnt"); }).should.throw(/EPERM/);
+    fs.mountSync(new VirtualFS(), "/mnt");
+    (function() { fs.mountSync(new VirtualFS(), "/mnt"); }).should.throw(/EBUSY/);
+  });
+  it("should leave the mount through '..' at its root", function() {
+    var fs = new VirtualFS();
+    var other = new VirtualFS();
+    other.mkdirSync("/sub");
+    fs.mkdirSync("/mnt");
+    fs.writeFileSync("/outer", "outer");
+    fs.mountSync(other, "/mnt");
+    fs.readdirSync("/mnt/..").sort().should.be.eql(["mnt", "outer"]);
+    fs.readFileSync("/mnt/sub/../../outer", "utf8").should.be.eql("outer");
+    fs.readdirSync("/mnt/sub/..").should.be.eql(["sub"]);
+    fs.writeFileSync("/mnt/../created", "created");
+    fs.existsSync("/created").should.be.true;
+    fs.chdirSync("/mnt");
+    fs.readdirSync("..").sort().should.be.eql(["created", "mnt", "outer"]);
+    fs.readFileSync("../outer", "utf8").should.be.eql("outer");
+    fs.chdirSync("..");
+    fs.cwd().should.be.eql("/");
+  });
+  it("should map real paths, copies and module loading on mounts", function() {
+    var fs = new VirtualFS();
+    var other = new VirtualFS();
+    other.mkdirpSync("/a/b");
+    other.writeFileSync("/a/lib.js", "module.exports = __filename;");
+    other.symlinkSync("/a/b", "/link");
+    fs.mkdirpSync("/dir/mnt");
+    fs.mountSync(other, "/dir/mnt");
+    fs.symlinkSync("/dir/mnt", "/alias");
+    fs.realpathSync("/dir/mnt").should.be.eql("/dir/mnt");
+    fs.realpathSync("/alias/a").should.be.eql("/dir/mnt/a");
+    fs.realpathSync("/dir/mnt/link").should.be.eql("/dir/mnt/a/b");
+    fs.mkdirSync("/a");
+    fs.cpSync("/dir/mnt/a", "/a/copy", { recursive: true });
+    fs.readFileSync("/a/copy/lib.js", "utf8").should.be.eql("module.exports = __filename;");
+    fs.statSync("/a/copy/b").isDirectory().should.be.true;
+    fs.createRequire("/alias/a/")("./lib").should.be.eql("/dir/mnt/a/lib.js");
+  });
+});
+describe("limits", function() {
+  it("should fail writes beyond the total bytes without applying them", function() {
+    var fs = new VirtualFS({ limits: { bytes: 10 } });
+    fs.writeFileSync("/a", "12345678");
+    (function() { fs.writeFileSync("/b", "123"); }).should.throw(/ENOSPC/);
+    fs.existsSync("/b").should.be.false;
+    (function() { fs.writeFileSync("/a", "12345678901"); }).should.throw(/ENOSPC/);
+    fs.readFileSync("/a", "utf8").should.be.eql("12345678");
+    var fd = fs.openSync("/a", "a");
+    (function() { fs.writeSync(fd, "123"); }).should.throw(/ENOSPC/);
+    fs.writeSync(fd, "90");
+    fs.closeSync(fd);
+    fs.readFileSync("/a", "utf8").should.be.eql("1234567890");
+    fs.unlinkSync("/a");
+    fs.writeFileSync("/b", "1234567890");
+  });
+  it("should free space only when the last link and descriptor are gone", function() {
+    var fs = new VirtualFS({ limits: { bytes: 5 } });
+    fs.writeFileSync("/a", "12345");
+    fs.linkSync("/a", "/b");
+    var fd = fs.openSync("/a", "r");
+    fs.unlinkSync("/a");
+    fs.unlinkSync("/b");
+    (function() { fs.writeFileSync("/c", "1"); }).should.throw(/ENOSPC/);
+    fs.closeSync(fd);
+    fs.writeFileSync("/c", "12345");
+  });
+  it("should limit the number of inodes", function() {
+    // the root directory is the first inode
+    var fs = new VirtualFS({ limits: { inodes: 3 } });
+    fs.mkdirSync("/dir");
+    fs.symlinkSync("/dir", "/link");
+    (function() { fs.writeFileSync("/file", ""); }).should.throw(/ENOSPC/);
+    (function() { fs.mkdirSync("/dir/sub"); }).should.throw(/ENOSPC/);
+    fs.readdirSync("/dir").should.be.eql([]);
+    fs.statSync("/dir").nlink.should.be.eql(2);
+    fs.unlinkSync("/link");
+    fs.writeFileSync("/file", "");
+  });
+  it("should limit the size of a single file", function() {
+    var fs = new VirtualFS({ limits: { fileSize: 4 } });
+    fs.writeFileSync("/a", "1234");
+    (function() { fs.writeFileSync("/b", "12345"); }).should.throw(/EFBIG/);
+    var fd = fs.openSync("/a", "r+");
+    (function() { fs.ftruncateSync(fd, 5); }).should.throw(/EFBIG/);
+    fs.closeSync(fd);
+    fs.statSync("/a").size.should.be.eql(4);
+  });
+  it("should enforce per uid quotas", function() {
+    var fs = new VirtualFS({ limits: { quotas: { 1000: 5 } } });
+    fs.chmodSync("/", 0o777);
+    fs.setUid(1000);
+    fs.writeFileSync("/user", "12345");
+    (function() { fs.writeFileSync("/more", "1"); }).should.throw(/EDQUOT/);
+    fs.setUid(0);
+    fs.writeFileSync("/root", "1234");
+    (function() { fs.chownSync("/root", 1000, 0); }).should.throw(/EDQUOT/);
+    fs.statSync("/root").uid.should.be.eql(0);
+    fs.chownSync("/user", 0, 0);
+    fs.chownSync("/root", 1000, 0);
+    (function() { fs.chownSync("/root", 1000, 0); }).should.not.throw();
+  });
+  it("should fail streaming writes", function(done) {
+    var fs = new VirtualFS({ limits: { bytes: 4 } });
+    var stream = fs.createWriteStream("/a");
+    stream.on("error", function(err) {
+      err.code.should.be.eql("ENOSPC");
+      fs.readFileSync("/a", "utf8").should.be.eql("1234");
+      done();
+    });
+    stream.write("1234");
+    stream.write("5");
+  });
+});
+describe("devices and FIFOs", function() {
+  var makedev = require('../lib/Devices').makedev;
+  it("should create /dev when requested", function() {
+    new VirtualFS().existsSync("/dev").should.be.false;
+    var fs = new VirtualFS({ devices: true });
+    fs.readdirSync("/dev").sort().should.be.eql(["full", "null", "urandom", "zero"]);
+    var stat = fs.statSync("/dev/null");
+    stat.isCharacterDevice().should.be.true;
+    stat.rdev.should.be.eql(makedev(1, 3));
+    (stat.mode & 0o777).should.be.eql(0o666);
+  });
+  it("should read and write devices", function() {
+    var fs = new VirtualFS({ devices: true });
+    fs.writeFileSync("/dev/null", "discarded");
+    fs.readFileSync("/dev/null").length.should.be.eql(0);
+    (function() { fs.readFileSync("/dev/zero"); }).should.throw(/EFBIG/);
+    (function() { fs.writeFileSync("/dev/full", "Hello"); }).should.throw(/ENOSPC/);
+    var buffer = Buffer.alloc(4, 1);
+    var fd = fs.openSync("/dev/zero", "r");
+    fs.readSync(fd, buffer, 0, 4).should.be.eql(4);
+    buffer.should.be.eql(Buffer.alloc(4));
+    fs.closeSync(fd);
+    fd = fs.openSync("/dev/urandom", "r");
+    fs.readSync(fd, Buffer.alloc(16), 0, 16).should.be.eql(16);
+    fs.closeSync(fd);
+  });
+  it("should stream devices", function(done) {
+    var fs = new VirtualFS({ devices: true });
+    var stream = fs.createWriteStream("/dev/null");
+    stream.on("finish", function() {
+      fs.createReadStream("/dev/zero", { start: 0, end: 99 }).pipe(bl(function(err, data) {
+        data.should.be.eql(Buffer.alloc(100));
+        done();
+      }));
+    });
+    stream.end("Hello");
+  });
+  it("should create nodes with mknod", function() {
+    var fs = new VirtualFS();
+    fs.mknodSync("/null", constants.S_IFCHR | 0o600, makedev(1, 3));
+    fs.statSync("/null").mode.should.be.eql(constants.S_IFCHR | 0o600);
+    fs.writeFileSync("/null", "discarded");
+    fs.mknodSync("/unknown", constants.S_IFCHR | 0o600, makedev(99, 0));
+    (function() { fs.openSync("/unknown", "r"); }).should.throw(/ENXIO/);
+    fs.mknodSync("/file");
+    fs.statSync("/file").isFile().should.be.true;
+    (function() { fs.mknodSync("/file"); }).should.throw(/EEXIST/);
+    (function() { fs.mknodSync("/block", constants.S_IFBLK | 0o600, 0); }).should.throw(/EINVAL/);
+    var user = new VirtualFS({ uid: 1000 });
+    (function() { user.mknodSync("/null", constants.S_IFCHR | 0o666, makedev(1, 3)); }).should.throw(/EPERM/);
+  });
+  it("should create nodes with mknod asynchronously", function(done) {
+    var fs = new VirtualFS();
+    fs.mknod("/null", constants.S_IFCHR | 0o600, makedev(1, 3), function(err) {
+      should(err).be.null;
+      fs.statSync("/null").rdev.should.be.eql(makedev(1, 3));
+      fs.mknod("/fifo", constants.S_IFIFO | 0o600, function(err) {
+        should(err).be.null;
+        fs.statSync("/fifo").isFIFO().should.be.true;
+        fs.mknod("/file", function(err) {
+          should(err).be.null;
+          fs.statSync("/file").isFile().should.be.true;
+          fs.mknod("/file", function(err) {
+            err.code.should.be.eql("EEXIST");
+            done();
+          });
+        });
+      });
+    });
+  });
+  it("should pass data through FIFOs", function() {
+    var fs = new VirtualFS();
+    fs.mkfifoSync("/fifo");
+    fs.statSync("/fifo").isFIFO().should.be.true;
+    var reader = fs.openSync("/fifo", "r");
+    var writer = fs.openSync("/fifo", "w");
+    var buffer = Buffer.alloc(5);
+    (function() { fs.readSync(reader, buffer, 0, 5); }).should.throw(/EAGAIN/);
+    fs.writeSync(writer, "Hello");
+    fs.readSync(reader, buffer, 0, 3).should.be.eql(3);
+    buffer.toString("utf8", 0, 3).should.be.eql("Hel");
+    fs.closeSync(writer);
+    fs.readSync(reader, buffer, 0, 5).should.be.eql(2);
+    fs.readSync(reader, buffer, 0, 5).should.be.eql(0);
+    fs.closeSync(reader);
+  });
+  it("should block readers until a writer supplies data", function(done) {
+    var fs = new VirtualFS();
+    fs.mkfifoSync("/fifo");
+    var reader = fs.openSync("/fifo", "r");
+    var buffer = Buffer.alloc(5);
+    var written = false;
+    fs.read(reader, buffer, 0, 5, null, function(err, bytesRead) {
+      should.not.exist(err);
+      written.should.be.true;
+      buffer.toString("utf8", 0, bytesRead).should.be.eql("Hello");
+      fs.closeSync(reader);
+      done();
+    });
+    setTimeout(function() {
+      written = true;
+      fs.writeFileSync("/fifo", "Hello");
+    }, 10);
+  });
+  it("should read whole FIFOs once the last writer closes", function() {
+    var fs = new VirtualFS();
+    fs.mkfifoSync("/fifo");
+    var writer = fs.openSync("/fifo", "w");
+    var read = fs.promises.readFile("/fifo", "utf8");
+    fs.writeSync(writer, "Hello ");
+    setTimeout(function() {
+      fs.writeSync(writer, "World");
+      fs.closeSync(writer);
+    }, 10);
+    return read.then(function(data) {
+      data.should.be.eql("Hello World");
+    });
+  });
+});
+describe("block storage", function() {
+  var BLOCK_SIZE = require('../lib/INodes').BLOCK_SIZE;
+  it("should report blksize and allocated blocks", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", Buffer.alloc(BLOCK_SIZE + 1, 1));
+    var stat = fs.statSync("/file");
+    stat.blksize.should.be.eql(BLOCK_SIZE);
+    stat.blocks.should.be.eql(2 * BLOCK_SIZE / 512);
+    fs.statSync("/").blocks.should.be.eql(0);
+  });
+  it("should leave holes unallocated", function() {
+    var fs = new VirtualFS();
+    var fd = fs.openSync("/sparse", "w+");
+    fs.writeSync(fd, "start", 0);
+    fs.writeSync(fd, "end", 100 * BLOCK_SIZE);
+    var stat = fs.fstatSync(fd);
+    stat.size.should.be.eql(100 * BLOCK_SIZE + 3);
+    stat.blocks.should.be.eql(2 * BLOCK_SIZE / 512);
+    var buffer = Buffer.alloc(10, 1);
+    fs.readSync(fd, buffer, 0, 10, 50 * BLOCK_SIZE).should.be.eql(10);
+    buffer.should.be.eql(Buffer.alloc(10));
+    fs.readSync(fd, buffer, 0, 10, 100 * BLOCK_SIZE - 2).should.be.eql(5);
+    buffer.toString("utf8", 0, 5).should.be.eql("\0\0end");
+    fs.ftruncateSync(fd, 200 * BLOCK_SIZE);
+    fs.fstatSync(fd).blocks.should.be.eql(2 * BLOCK_SIZE / 512);
+    fs.closeSync(fd);
+  });
+  it("should write across block boundaries", function() {
+    var fs = new VirtualFS();
+    var fd = fs.openSync("/file", "w+");
+    var data = Buffer.alloc(3 * BLOCK_SIZE);
+    for (var i = 0; i < data.length; ++i) {
+      data[i] = i % 251;
+    }
+    fs.writeSync(fd, data, 0, data.length, 10);
+    fs.readFileSync("/file").should.be.eql(Buffer.concat([Buffer.alloc(10), data]));
+    fs.writeSync(fd, "ab", BLOCK_SIZE - 1);
+    var buffer = Buffer.alloc(2);
+    fs.readSync(fd, buffer, 0, 2, BLOCK_SIZE - 1);
+    buffer.toString().should.be.eql("ab");
+    fs.closeSync(fd);
+  });
+  it("should zero truncated bytes when extending again", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", "Hello World");
+    var fd = fs.openSync("/file", "r+");
+    fs.ftruncateSync(fd, 5);
+    fs.ftruncateSync(fd, 11);
+    fs.closeSync(fd);
+    fs.readFileSync("/file", "utf8").should.be.eql("Hello\0\0\0\0\0\0");
+  });
+  it("should not charge holes to the limits", function() {
+    // blocks before the last block are charged in full
+    var fs = new VirtualFS({ limits: { bytes: BLOCK_SIZE + 10 } });
+    var fd = fs.openSync("/sparse", "w");
+    fs.writeSync(fd, "12345", 10 * BLOCK_SIZE);
+    fs.writeSync(fd, "12345", 0);
+    (function() { fs.writeSync(fd, "1", BLOCK_SIZE); }).should.throw(/ENOSPC/);
+    fs.closeSync(fd);
+  });
+  it("should keep sparse files through serialization", function() {
+    var fs = new VirtualFS();
+    var fd = fs.openSync("/sparse", "w");
+    fs.writeSync(fd, "end", 10 * BLOCK_SIZE);
+    fs.closeSync(fd);
+    var restored = VirtualFS.deserialize(fs.serialize());
+    restored.statSync("/sparse").blocks.should.be.eql(BLOCK_SIZE / 512);
+    restored.statSync("/sparse").size.should.be.eql(10 * BLOCK_SIZE + 3);
+  });
+});
+
+describe("flags and appending", function() {
+  var OverlayFS = require("../lib/VirtualFS").OverlayFS;
+  it("should append with appendFileSync and the 'a' flag", function() {
+    var fs = new VirtualFS();
+    fs.appendFileSync("/log", "one\n");
+    fs.appendFileSync("/log", Buffer.from("two\n"));
+    fs.writeFileSync("/log", "three\n", { flag: "a" });
+    fs.readFileSync("/log", "utf8").should.be.eql("one\ntwo\nthree\n");
+    fs.statSync("/log").size.should.be.eql(14);
+  });
+  it("should create exclusively with the 'wx' and 'ax' flags", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/lock", "1", { flag: "wx" });
+    (function() {
+      fs.writeFileSync("/lock", "2", { flag: "wx" });
+    }).should.throw(/EEXIST/);
+    (function() {
+      fs.appendFileSync("/lock", "2", { flag: "ax" });
+    }).should.throw(/EEXIST/);
+    fs.readFileSync("/lock", "utf8").should.be.eql("1");
+  });
+  it("should overwrite in place with the 'r+' flag", function() {
+    var fs = new VirtualFS();
+    (function() {
+      fs.writeFileSync("/missing", "data", { flag: "r+" });
+    }).should.throw(/ENOENT/);
+    fs.existsSync("/missing").should.be.false;
+    fs.writeFileSync("/file", "abcdef");
+    fs.writeFileSync("/file", "XY", { flag: "r+" });
+    fs.readFileSync("/file", "utf8").should.be.eql("XYcdef");
+  });
+  it("should apply the mode and umask to created files", function() {
+    var fs = new VirtualFS({ umask: 0o022 });
+    fs.writeFileSync("/file", "data", { mode: 0o640 });
+    (fs.statSync("/file").mode & 0o777).should.be.eql(0o640);
+    fs.appendFileSync("/appended", "data", { mode: 0o777 });
+    (fs.statSync("/appended").mode & 0o777).should.be.eql(0o755);
+    fs.writeFileSync("/file", "more", { mode: 0o600 });
+    (fs.statSync("/file").mode & 0o777).should.be.eql(0o640);
+  });
+  it("should honour the flag of readFileSync", function() {
+    var fs = new VirtualFS();
+    fs.readFileSync("/created", { encoding: "utf8", flag: "a+" }).should.be.eql("");
+    fs.existsSync("/created").should.be.true;
+    fs.writeFileSync("/file", "data");
+    fs.readFileSync("/file", { encoding: "utf8", flag: "r+" }).should.be.eql("data");
+    fs.readFileSync("/file", { flag: "w+" }).length.should.be.eql(0);
+    (function() {
+      fs.readFileSync("/file", { flag: "w" });
+    }).should.throw(/EBADF/);
+  });
+  it("should read and write through file descriptors", function() {
+    var fs = new VirtualFS();
+    var fd = fs.openSync("/file", "w+");
+    fs.writeFileSync(fd, "hello ");
+    fs.appendFileSync(fd, "world");
+    fs.readFileSync(fd, "utf8").should.be.eql("");
+    fs.readFileSync("/file", "utf8").should.be.eql("hello world");
+    fs.closeSync(fd);
+    fd = fs.openSync("/file", "r");
+    fs.readSync(fd, Buffer.alloc(6), 0, 6);
+    fs.readFileSync(fd, "utf8").should.be.eql("world");
+    fs.closeSync(fd);
+  });
+  it("should update times when appending and truncating", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", "data");
+    var past = new Date(0);
+    var iNode = fs._navigate("/file", true).target;
+    iNode.getMetadata().mtime = past;
+    iNode.getMetadata().ctime = past;
+    fs.appendFileSync("/file", "more");
+    fs.statSync("/file").mtime.should.not.be.eql(past);
+    iNode.getMetadata().mtime = past;
+    fs.truncateSync("/file", 2);
+    fs.statSync("/file").mtime.should.not.be.eql(past);
+    fs.statSync("/file").ctime.should.not.be.eql(past);
+  });
+  it("should truncate and extend files by path", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", "abcdef");
+    fs.truncateSync("/file", 3);
+    fs.readFileSync("/file", "utf8").should.be.eql("abc");
+    fs.truncateSync("/file", 5);
+    fs.readFileSync("/file").should.be.eql(Buffer.from("abc\0\0"));
+    fs.truncateSync("/file");
+    fs.statSync("/file").size.should.be.eql(0);
+    (function() {
+      fs.truncateSync("/missing");
+    }).should.throw(/ENOENT/);
+    fs.mkdirSync("/dir");
+    (function() {
+      fs.truncateSync("/dir");
+    }).should.throw(/EISDIR/);
+    (function() {
+      fs.truncateSync("/file", -1);
+    }).should.throw(/EINVAL/);
+  });
+  it("should append and truncate asynchronously", function(done) {
+    var fs = new VirtualFS();
+    fs.appendFile("/file", "abc", function(err) {
+      if (err) return done(err);
+      fs.appendFile("/file", "def", "utf8", function(err) {
+        if (err) return done(err);
+        fs.truncate("/file", 4, function(err) {
+          if (err) return done(err);
+          fs.promises.appendFile("/file", "!").then(function() {
+            return fs.promises.readFile("/file", "utf8");
+          }).then(function(data) {
+            data.should.be.eql("abcd!");
+            return fs.promises.truncate("/file");
+          }).then(function() {
+            fs.readFileSync("/file", "utf8").should.be.eql("");
+            done();
+          }).catch(done);
+        });
+      });
+    });
+  });
+  it("should append to lower files of an overlay", function() {
+    var lower = new VirtualFS();
+    lower.writeFileSync("/log", "lower\n");
+    var fs = new OverlayFS(lower);
+    fs.appendFileSync("/log", "upper\n");
+    fs.readFileSync("/log", "utf8").should.be.eql("lower\nupper\n");
+    lower.readFileSync("/log", "utf8").should.be.eql("lower\n");
+    fs.truncateSync("/log", 5);
+    fs.readFileSync("/log", "utf8").should.be.eql("lower");
+  });
+});
+
+describe("timestamps", function() {
+  it("should stamp all times with the clock", function() {
+    var time = 1000000;
+    var fs = new VirtualFS({ clock: function() { return time; } });
+    fs.writeFileSync("/file", "data");
+    var stat = fs.statSync("/file");
+    stat.birthtime.getTime().should.be.eql(1000000);
+    stat.mtime.getTime().should.be.eql(1000000);
+    time = 2000000;
+    fs.appendFileSync("/file", "more");
+    stat = fs.statSync("/file");
+    stat.mtime.getTime().should.be.eql(2000000);
+    stat.ctime.getTime().should.be.eql(2000000);
+    stat.birthtime.getTime().should.be.eql(1000000);
+    fs.statSync("/").mtime.getTime().should.be.eql(1000000);
+    time = 3000000;
+    fs.readFileSync("/file");
+    fs.statSync("/file").atime.getTime().should.be.eql(3000000);
+  });
+  it("should accept a clock returning dates", function() {
+    var date = new Date(5000);
+    var fs = new VirtualFS({ clock: function() { return date; } });
+    fs.mkdirSync("/dir");
+    fs.statSync("/dir").ctime.getTime().should.be.eql(5000);
+    fs.statSync("/dir").ctime.should.not.be.exactly(date);
+  });
+  it("should set times with utimesSync, lutimesSync and futimesSync", function() {
+    var time = 1000000;
+    var fs = new VirtualFS({ clock: function() { return time; } });
+    fs.writeFileSync("/file", "data");
+    fs.symlinkSync("file", "/link");
+    fs.utimesSync("/link", 10, new Date(20000));
+    var stat = fs.statSync("/file");
+    stat.atime.getTime().should.be.eql(10000);
+    stat.mtime.getTime().should.be.eql(20000);
+    stat.ctime.getTime().should.be.eql(1000000);
+    fs.lutimesSync("/link", "30", 40);
+    fs.lstatSync("/link").mtime.getTime().should.be.eql(40000);
+    fs.statSync("/file").mtime.getTime().should.be.eql(20000);
+    var fd = fs.openSync("/file", "r");
+    fs.futimesSync(fd, 1.5, 2.5);
+    fs.fstatSync(fd).atime.getTime().should.be.eql(1500);
+    fs.fstatSync(fd).mtime.getTime().should.be.eql(2500);
+    fs.closeSync(fd);
+    fs.utimesSync("/file", NaN, -1);
+    fs.statSync("/file").mtime.getTime().should.be.eql(1000000);
+    (function() {
+      fs.utimesSync("/file", "yesterday", 0);
+    }).should.throw(TypeError);
+    (function() {
+      fs.utimesSync("/missing", 0, 0);
+    }).should.throw(/ENOENT/);
+    (function() {
+      fs.futimesSync(fd, 0, 0);
+    }).should.throw(/EBADF/);
+  });
+  it("should only let the owner or root set times", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", "data");
+    fs.chmodSync("/file", 0o666);
+    fs.setUid(1000);
+    (function() {
+      fs.utimesSync("/file", 0, 0);
+    }).should.throw(/EPERM/);
+  });
+  it("should set times asynchronously", function(done) {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", "data");
+    fs.utimes("/file", 1, 2, function(err) {
+      if (err) return done(err);
+      fs.statSync("/file").mtime.getTime().should.be.eql(2000);
+      fs.promises.utimes("/file", 3, 4).then(function() {
+        return fs.promises.open("/file", "r");
+      }).then(function(handle) {
+        return handle.utimes(5, 6).then(function() {
+          return handle.close();
+        });
+      }).then(function() {
+        fs.statSync("/file").mtime.getTime().should.be.eql(6000);
+        done();
+      }).catch(done);
+    });
+  });
+  it("should follow the atime policies", function() {
+    var time = 1000000;
+    var clock = function() { return time; };
+    var strict = new VirtualFS({ clock: clock });
+    var relatime = new VirtualFS({ clock: clock, atime: "relatime" });
+    var noatime = new VirtualFS({ clock: clock, atime: "noatime" });
+    [strict, relatime, noatime].forEach(function(fs) {
+      fs.writeFileSync("/file", "data");
+    });
+    var day = 24 * 60 * 60 * 1000;
+    var read = function() {
+      [strict, relatime, noatime].forEach(function(fs) {
+        fs.readFileSync("/file");
+      });
+    };
+    time += 1000;
+    read();
+    strict.statSync("/file").atime.getTime().should.be.eql(time);
+    relatime.statSync("/file").atime.getTime().should.be.eql(time);
+    noatime.statSync("/file").atime.getTime().should.be.eql(1000000);
+    time += 1000;
+    read();
+    strict.statSync("/file").atime.getTime().should.be.eql(time);
+    relatime.statSync("/file").atime.getTime().should.be.eql(time - 1000);
+    time += day;
+    read();
+    relatime.statSync("/file").atime.getTime().should.be.eql(time);
+    time += 1000;
+    relatime.writeFileSync("/file", "new");
+    time += 1000;
+    read();
+    relatime.statSync("/file").atime.getTime().should.be.eql(time);
+    (function() {
+      new VirtualFS({ atime: "sometimes" });
+    }).should.throw(TypeError);
+  });
+  it("should keep the clock and atime policy through serialization", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", "data");
+    var restored = VirtualFS.fromJSON(fs.toJSON(), {
+      clock: function() { return 7000; },
+      atime: "noatime"
+    });
+    var atime = restored.statSync("/file").atime.getTime();
+    restored.readFileSync("/file");
+    restored.statSync("/file").atime.getTime().should.be.eql(atime);
+    restored.appendFileSync("/file", "more");
+    restored.statSync("/file").mtime.getTime().should.be.eql(7000);
+  });
+  it("should set times of lower files in an overlay", function() {
+    var OverlayFS = require("../lib/VirtualFS").OverlayFS;
+    var lower = new VirtualFS();
+    lower.writeFileSync("/file", "data");
+    var fs = new OverlayFS(lower);
+    fs.utimesSync("/file", 1, 2);
+    fs.statSync("/file").mtime.getTime().should.be.eql(2000);
+    lower.statSync("/file").mtime.getTime().should.not.be.eql(2000);
+  });
+});
+
+describe("copying files", function() {
+  var BLOCK_SIZE = require('../lib/INodes').BLOCK_SIZE;
+  var blocksOf = function(fs, pathS) {
+    return fs._navigate(pathS, true).target._blocks;
+  };
+  it("should copy files and their permissions", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/src", "data");
+    fs.chmodSync("/src", 0o640);
+    fs.copyFileSync("/src", "/dst");
+    fs.readFileSync("/dst", "utf8").should.be.eql("data");
+    (fs.statSync("/dst").mode & 0o777).should.be.eql(0o640);
+    fs.statSync("/dst").ino.should.not.be.eql(fs.statSync("/src").ino);
+    blocksOf(fs, "/dst")[0].should.not.be.exactly(blocksOf(fs, "/src")[0]);
+    fs.writeFileSync("/other", "old data");
+    fs.copyFileSync("/src", "/other");
+    fs.readFileSync("/other", "utf8").should.be.eql("data");
+  });
+  it("should not replace files with COPYFILE_EXCL", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/src", "data");
+    fs.writeFileSync("/dst", "old");
+    (function() {
+      fs.copyFileSync("/src", "/dst", constants.COPYFILE_EXCL);
+    }).should.throw(/EEXIST/);
+    fs.symlinkSync("/missing", "/dangling");
+    (function() {
+      fs.copyFileSync("/src", "/dangling", constants.COPYFILE_EXCL);
+    }).should.throw(/EEXIST/);
+    fs.readFileSync("/dst", "utf8").should.be.eql("old");
+  });
+  it("should fail to copy missing files and directories", function() {
+    var fs = new VirtualFS();
+    fs.mkdirSync("/dir");
+    fs.writeFileSync("/file", "data");
+    (function() {
+      fs.copyFileSync("/missing", "/dst");
+    }).should.throw(/ENOENT/);
+    (function() {
+      fs.copyFileSync("/dir", "/dst");
+    }).should.throw(/EISDIR/);
+    (function() {
+      fs.copyFileSync("/file", "/dir");
+    }).should.throw(/EISDIR/);
+    (function() {
+      fs.copyFileSync("/file", "/missing/dst");
+    }).should.throw(/ENOENT/);
+    fs.copyFileSync("/file", "/file");
+    fs.readFileSync("/file", "utf8").should.be.eql("data");
+  });
+  it("should share blocks of clones until they are written", function() {
+    var fs = new VirtualFS();
+    var data = Buffer.alloc(3 * BLOCK_SIZE, 7);
+    fs.writeFileSync("/template", data);
+    fs.copyFileSync("/template", "/clone1", constants.COPYFILE_FICLONE);
+    fs.copyFileSync("/template", "/clone2", constants.COPYFILE_FICLONE_FORCE);
+    [0, 1, 2].forEach(function(index) {
+      blocksOf(fs, "/clone1")[index].should.be.exactly(blocksOf(fs, "/template")[index]);
+      blocksOf(fs, "/clone2")[index].should.be.exactly(blocksOf(fs, "/template")[index]);
+    });
+    var fd = fs.openSync("/clone1", "r+");
+    fs.writeSync(fd, "x", BLOCK_SIZE);
+    fs.closeSync(fd);
+    blocksOf(fs, "/clone1")[1].should.not.be.exactly(blocksOf(fs, "/template")[1]);
+    blocksOf(fs, "/clone1")[0].should.be.exactly(blocksOf(fs, "/template")[0]);
+    fs.readFileSync("/template").should.be.eql(data);
+    fs.readFileSync("/clone2").should.be.eql(data);
+    fs.readFileSync("/clone1")[BLOCK_SIZE].should.be.eql("x".charCodeAt(0));
+    fs.truncateSync("/template", BLOCK_SIZE / 2);
+    fs.readFileSync("/clone2").should.be.eql(data);
+    fs.writeFileSync("/clone2", "replaced");
+    fs.readFileSync("/clone1").length.should.be.eql(3 * BLOCK_SIZE);
+    fs.unlinkSync("/template");
+    fs.appendFileSync("/clone1", "!");
+    fs.readFileSync("/clone1", "utf8").slice(-1).should.be.eql("!");
+  });
+  it("should charge clones to the limits like copies", function() {
+    var fs = new VirtualFS({ limits: { bytes: 2 * BLOCK_SIZE } });
+    fs.writeFileSync("/template", Buffer.alloc(BLOCK_SIZE, 1));
+    fs.copyFileSync("/template", "/clone", constants.COPYFILE_FICLONE);
+    (function() {
+      fs.copyFileSync("/template", "/clone2", constants.COPYFILE_FICLONE);
+    }).should.throw(/ENOSPC/);
+    fs.existsSync("/clone2").should.be.false;
+    fs._inodeMgr.getUsage().bytes.should.be.eql(2 * BLOCK_SIZE);
+  });
+  it("should only clone regular files with COPYFILE_FICLONE_FORCE", function() {
+    var fs = new VirtualFS({ devices: true });
+    (function() {
+      fs.copyFileSync("/dev/null", "/dst", constants.COPYFILE_FICLONE_FORCE);
+    }).should.throw(/ENOTSUP/);
+    fs.copyFileSync("/dev/null", "/dst", constants.COPYFILE_FICLONE);
+    fs.readFileSync("/dst").length.should.be.eql(0);
+  });
+  it("should copy between mounts", function() {
+    var fs = new VirtualFS();
+    var mounted = new VirtualFS();
+    fs.mkdirSync("/mnt");
+    fs.mountSync(mounted, "/mnt");
+    fs.writeFileSync("/src", "data");
+    fs.copyFileSync("/src", "/mnt/dst");
+    mounted.readFileSync("/dst", "utf8").should.be.eql("data");
+    fs.copyFileSync("/mnt/dst", "/mnt/clone", constants.COPYFILE_FICLONE_FORCE);
+    mounted.readFileSync("/clone", "utf8").should.be.eql("data");
+    (function() {
+      fs.copyFileSync("/src", "/mnt/forced", constants.COPYFILE_FICLONE_FORCE);
+    }).should.throw(/EXDEV/);
+  });
+  it("should clone lower files of an overlay", function() {
+    var OverlayFS = require("../lib/VirtualFS").OverlayFS;
+    var lower = new VirtualFS();
+    lower.writeFileSync("/template", "data");
+    var fs = new OverlayFS(lower);
+    fs.copyFileSync("/template", "/clone", constants.COPYFILE_FICLONE);
+    fs.readFileSync("/clone", "utf8").should.be.eql("data");
+    lower.existsSync("/clone").should.be.false;
+  });
+  it("should copy asynchronously", function(done) {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/src", "data");
+    fs.copyFile("/src", "/dst", function(err) {
+      if (err) return done(err);
+      fs.copyFile("/src", "/dst", constants.COPYFILE_EXCL, function(err) {
+        err.code.should.be.eql("EEXIST");
+        fs.promises.copyFile("/src", "/clone", constants.COPYFILE_FICLONE).then(function() {
+          fs.readFileSync("/clone", "utf8").should.be.eql("data");
+          done();
+        }).catch(done);
+      });
+    });
+  });
+});
+
+describe("recursive operations", function() {
+  it("should create parents with the recursive option of mkdirSync", function() {
+    var fs = new VirtualFS();
+    should(fs.mkdirSync("/a/b/c", { recursive: true })).be.eql("/a");
+    fs.statSync("/a/b/c").isDirectory().should.be.true;
+    should(fs.mkdirSync("/a/b/c", { recursive: true })).be.eql(undefined);
+    fs.chdir("/a");
+    should(fs.mkdirSync("b/d/e/", { recursive: true, mode: 0o700 })).be.eql("/a/b/d");
+    should(fs.mkdirSync("p/q", { recursive: true })).be.eql("/a/p");
+    should(fs.mkdirSync("./b/../r", { recursive: true })).be.eql("/a/r");
+    (fs.statSync("/a/b/d/e").mode & 0o777).should.be.eql(0o700);
+    fs.writeFileSync("/file", "data");
+    (function() {
+      fs.mkdirSync("/file", { recursive: true });
+    }).should.throw(/EEXIST/);
+    (function() {
+      fs.mkdirSync("/file/dir", { recursive: true });
+    }).should.throw(/ENOTDIR/);
+    fs.mkdirSync("/plain", { mode: 0o750 });
+    (fs.statSync("/plain").mode & 0o777).should.be.eql(0o750);
+  });
+  it("should return the first directory created on a mount", function() {
+    var fs = new VirtualFS();
+    var mounted = new VirtualFS();
+    fs.mkdirSync("/mnt");
+    fs.mountSync(mounted, "/mnt");
+    mounted.mkdirSync("/a");
+    fs.mkdirSync("/mnt/a/b/c", { recursive: true }).should.be.eql("/mnt/a/b");
+    mounted.existsSync("/a/b/c").should.be.true;
+  });
+  it("should list directories recursively", function() {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/dir/a/b");
+    fs.mkdirSync("/dir/d");
+    fs.writeFileSync("/dir/a/b/file", "data");
+    fs.writeFileSync("/dir/f", "data");
+    fs.symlinkSync("/dir/a", "/dir/link");
+    fs.readdirSync("/dir", { recursive: true }).sort().should.be.eql(
+      ["a", "a/b", "a/b/file", "d", "f", "link"]
+    );
+    fs.readdirSync("/dir/", { recursive: true }).indexOf("a/b").should.be.above(
+      fs.readdirSync("/dir/", { recursive: true }).indexOf("f")
+    );
+  });
+  it("should remove trees with rmSync", function() {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/tree/a/b");
+    fs.writeFileSync("/tree/a/b/file", "data");
+    fs.symlinkSync("/kept", "/tree/link");
+    fs.mkdirSync("/kept");
+    fs.writeFileSync("/kept/file", "data");
+    (function() {
+      fs.rmSync("/tree");
+    }).should.throw(/EISDIR/);
+    fs.rmSync("/tree", { recursive: true });
+    fs.existsSync("/tree").should.be.false;
+    fs.existsSync("/kept/file").should.be.true;
+    (function() {
+      fs.rmSync("/tree", { recursive: true });
+    }).should.throw(/ENOENT/);
+    fs.rmSync("/tree", { recursive: true, force: true });
+    fs.rmSync("/kept/file");
+    fs.readdirSync("/kept").should.be.eql([]);
+  });
+  it("should copy trees with cpSync", function() {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/src/sub");
+    fs.writeFileSync("/src/file", "data");
+    fs.writeFileSync("/src/sub/skip.tmp", "data");
+    fs.symlinkSync("../file", "/src/sub/link");
+    fs.chmodSync("/src/sub", 0o500);
+    (function() {
+      fs.cpSync("/src", "/dst");
+    }).should.throw(/EISDIR/);
+    fs.cpSync("/src", "/dst", {
+      recursive: true,
+      filter: function(src) { return !/\.tmp$/.test(src); }
+    });
+    fs.readdirSync("/dst", { recursive: true }).sort().should.be.eql(["file", "sub", "sub/link"]);
+    fs.readlinkSync("/dst/sub/link").should.be.eql("../file");
+    (fs.statSync("/dst/sub").mode & 0o777).should.be.eql(0o500);
+    fs.cpSync("/src", "/deref", { recursive: true, dereference: true });
+    fs.lstatSync("/deref/sub/link").isFile().should.be.true;
+    (function() {
+      fs.cpSync("/src", "/src/sub/inside", { recursive: true });
+    }).should.throw(/EINVAL/);
+  });
+  it("should handle existing files in cpSync", function() {
+    var fs = new VirtualFS({ clock: function() { return 5000; } });
+    fs.writeFileSync("/src", "new");
+    fs.writeFileSync("/dst", "old");
+    fs.cpSync("/src", "/dst", { force: false });
+    fs.readFileSync("/dst", "utf8").should.be.eql("old");
+    (function() {
+      fs.cpSync("/src", "/dst", { force: false, errorOnExist: true });
+    }).should.throw(/EEXIST/);
+    fs.cpSync("/src", "/dst");
+    fs.readFileSync("/dst", "utf8").should.be.eql("new");
+    fs.utimesSync("/src", 1, 2);
+    fs.cpSync("/src", "/timed", { preserveTimestamps: true });
+    fs.statSync("/timed").mtime.getTime().should.be.eql(2000);
+    fs.cpSync("/src", "/cloned", { mode: constants.COPYFILE_FICLONE_FORCE });
+    fs.readFileSync("/cloned", "utf8").should.be.eql("new");
+    fs.mkdirSync("/dir");
+    (function() {
+      fs.cpSync("/src", "/dir");
+    }).should.throw(/EISDIR/);
+  });
+  it("should copy and remove trees across overlay layers", function() {
+    var OverlayFS = require("../lib/VirtualFS").OverlayFS;
+    var lower = new VirtualFS();
+    lower.mkdirpSync("/tree/a");
+    lower.writeFileSync("/tree/a/file", "data");
+    var fs = new OverlayFS(lower);
+    fs.writeFileSync("/tree/upper", "data");
+    fs.readdirSync("/tree", { recursive: true }).sort().should.be.eql(["a", "a/file", "upper"]);
+    fs.cpSync("/tree", "/copy", { recursive: true });
+    fs.readFileSync("/copy/a/file", "utf8").should.be.eql("data");
+    fs.rmSync("/tree", { recursive: true });
+    fs.existsSync("/tree").should.be.false;
+    lower.existsSync("/tree/a/file").should.be.true;
+    fs.mkdirSync("/tree/x/y", { recursive: true }).should.be.eql("/tree");
+  });
+  it("should have callback and promise forms", function(done) {
+    var fs = new VirtualFS();
+    fs.mkdir("/a/b", { recursive: true }, function(err, first) {
+      if (err) return done(err);
+      first.should.be.eql("/a");
+      fs.readdir("/a", { recursive: true }, function(err, names) {
+        if (err) return done(err);
+        names.should.be.eql(["b"]);
+        fs.cp("/a", "/c", { recursive: true }, function(err) {
+          if (err) return done(err);
+          fs.rm("/a", { recursive: true }, function(err) {
+            if (err) return done(err);
+            fs.promises.cp("/c", "/d", { recursive: true }).then(function() {
+              return fs.promises.rm("/c", { recursive: true });
+            }).then(function() {
+              return fs.promises.readdir("/", { recursive: true });
+            }).then(function(names) {
+              names.should.be.eql(["d", "d/b"]);
+              done();
+            }).catch(done);
+          });
+        });
+      });
+    });
+  });
+});
+
+describe("dirents and directory streams", function() {
+  it("should list dirents with the file types of the entries", function() {
+    var fs = new VirtualFS();
+    fs.mkdirSync("/dir");
+    fs.mkdirSync("/dir/sub");
+    fs.writeFileSync("/dir/file", "data");
+    fs.symlinkSync("sub", "/dir/link");
+    fs.mkfifoSync("/dir/fifo");
+    var dirents = fs.readdirSync("/dir", { withFileTypes: true });
+    dirents.map(function(dirent) { return dirent.name; }).should.be.eql(["sub", "file", "link", "fifo"]);
+    dirents[0].isDirectory().should.be.true;
+    dirents[1].isFile().should.be.true;
+    dirents[2].isSymbolicLink().should.be.true;
+    dirents[2].isDirectory().should.be.false;
+    dirents[3].isFIFO().should.be.true;
+    dirents[0].parentPath.should.be.eql("/dir");
+  });
+  it("should list dirents recursively with their parent paths", function() {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/dir/a/b");
+    fs.writeFileSync("/dir/a/b/file", "data");
+    var dirents = fs.readdirSync("/dir", { withFileTypes: true, recursive: true });
+    dirents.map(function(dirent) {
+      return dirent.parentPath + " " + dirent.name;
+    }).should.be.eql(["/dir a", "/dir/a b", "/dir/a/b file"]);
+  });
+  it("should map parent paths of dirents on mounts", function() {
+    var fs = new VirtualFS();
+    var mounted = new VirtualFS();
+    fs.mkdirSync("/mnt");
+    fs.mountSync(mounted, "/mnt");
+    mounted.mkdirSync("/sub");
+    mounted.writeFileSync("/sub/file", "data");
+    fs.readdirSync("/mnt", { withFileTypes: true, recursive: true }).map(function(dirent) {
+      return dirent.parentPath + " " + dirent.name;
+    }).should.be.eql(["/mnt sub", "/mnt/sub file"]);
+    fs.readdirSync("/", { withFileTypes: true, recursive: true }).map(function(dirent) {
+      return dirent.parentPath + " " + dirent.name;
+    }).should.be.eql(["/ mnt", "/mnt sub", "/mnt/sub file"]);
+  });
+  it("should list dirents of overlays", function() {
+    var OverlayFS = require("../lib/VirtualFS").OverlayFS;
+    var lower = new VirtualFS();
+    lower.mkdirSync("/lowerdir");
+    var fs = new OverlayFS(lower);
+    fs.writeFileSync("/upperfile", "data");
+    var dirents = fs.readdirSync("/", { withFileTypes: true });
+    dirents.map(function(dirent) {
+      return dirent.name + " " + dirent.isDirectory();
+    }).sort().should.be.eql(["lowerdir true", "upperfile false"]);
+  });
+  it("should read directory streams synchronously", function() {
+    var fs = new VirtualFS();
+    fs.mkdirSync("/dir");
+    fs.writeFileSync("/dir/a", "a");
+    fs.writeFileSync("/dir/b", "b");
+    var dir = fs.opendirSync("/dir");
+    dir.path.should.be.eql("/dir");
+    var first = dir.readSync();
+    first.name.should.be.eql("a");
+    first.isFile().should.be.true;
+    fs.unlinkSync("/dir/b");
+    fs.writeFileSync("/dir/c", "c");
+    dir.readSync().name.should.be.eql("b");
+    should(dir.readSync()).be.eql(null);
+    dir.closeSync();
+    (function() {
+      dir.readSync();
+    }).should.throw(/EBADF/);
+    (function() {
+      fs.opendirSync("/dir/a");
+    }).should.throw(/ENOTDIR/);
+  });
+  it("should read directory streams with callbacks and promises", function(done) {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/dir/sub");
+    fs.writeFileSync("/dir/sub/file", "data");
+    fs.opendir("/dir", { recursive: true }, function(err, dir) {
+      if (err) return done(err);
+      dir.read(function(err, dirent) {
+        if (err) return done(err);
+        dirent.name.should.be.eql("sub");
+        dir.read().then(function(dirent) {
+          dirent.name.should.be.eql("file");
+          return dir.read();
+        }).then(function(dirent) {
+          should(dirent).be.eql(null);
+          dir.close(function(err) {
+            if (err) return done(err);
+            dir.close().then(function() {
+              done(new Error("closed twice"));
+            }, function(err) {
+              err.code.should.be.eql("EBADF");
+              done();
+            });
+          });
+        }).catch(done);
+      });
+    });
+  });
+});
+
+describe("extended attributes", function() {
+  it("should set, get, list and remove attributes", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", "data");
+    fs.setxattrSync("/file", "user.tag", "blue");
+    fs.setxattrSync("/file", "security.label", Buffer.from([1, 2]));
+    fs.getxattrSync("/file", "user.tag").toString().should.be.eql("blue");
+    fs.listxattrSync("/file").sort().should.be.eql(["security.label", "user.tag"]);
+    fs.removexattrSync("/file", "user.tag");
+    fs.listxattrSync("/file").should.be.eql(["security.label"]);
+    (function() {
+      fs.getxattrSync("/file", "user.tag");
+    }).should.throw(/ENODATA/);
+    (function() {
+      fs.removexattrSync("/file", "user.tag");
+    }).should.throw(/ENODATA/);
+    (function() {
+      fs.getxattrSync("/missing", "user.tag");
+    }).should.throw(/ENOENT/);
+  });
+  it("should check the flags, names and sizes", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", "data");
+    (function() {
+      fs.setxattrSync("/file", "user.tag", "a", constants.XATTR_REPLACE);
+    }).should.throw(/ENODATA/);
+    fs.setxattrSync("/file", "user.tag", "a", constants.XATTR_CREATE);
+    (function() {
+      fs.setxattrSync("/file", "user.tag", "b", constants.XATTR_CREATE);
+    }).should.throw(/EEXIST/);
+    fs.setxattrSync("/file", "user.tag", "b", constants.XATTR_REPLACE);
+    fs.getxattrSync("/file", "user.tag").toString().should.be.eql("b");
+    (function() {
+      fs.setxattrSync("/file", "system.tag", "a");
+    }).should.throw(/ENOTSUP/);
+    (function() {
+      fs.setxattrSync("/file", "user.", "a");
+    }).should.throw(/EINVAL/);
+    (function() {
+      fs.setxattrSync("/file", "user." + "a".repeat(251), "a");
+    }).should.throw(/ERANGE/);
+    (function() {
+      fs.setxattrSync("/file", "user.big", Buffer.alloc(65537));
+    }).should.throw(/E2BIG/);
+  });
+  it("should apply namespace permissions", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", "data");
+    fs.symlinkSync("/file", "/link");
+    fs.setxattrSync("/file", "trusted.secret", "a");
+    fs.lsetxattrSync("/link", "security.label", "b");
+    (function() {
+      fs.lsetxattrSync("/link", "user.tag", "a");
+    }).should.throw(/EPERM/);
+    fs.llistxattrSync("/link").should.be.eql(["security.label"]);
+    fs.listxattrSync("/link").should.be.eql(["trusted.secret"]);
+    fs.chmodSync("/file", 0o644);
+    fs.setUid(1000);
+    fs.listxattrSync("/file").should.be.eql([]);
+    (function() {
+      fs.getxattrSync("/file", "trusted.secret");
+    }).should.throw(/ENODATA/);
+    (function() {
+      fs.setxattrSync("/file", "user.tag", "a");
+    }).should.throw(/EACCES/);
+    (function() {
+      fs.setxattrSync("/file", "security.label", "a");
+    }).should.throw(/EPERM/);
+    fs.lgetxattrSync("/link", "security.label").toString().should.be.eql("b");
+  });
+  it("should keep attributes through hard links, renames, copies and JSON", function() {
+    var fs = new VirtualFS();
+    fs.mkdirSync("/dir");
+    fs.writeFileSync("/dir/file", "data");
+    fs.setxattrSync("/dir", "user.dir", "d");
+    fs.setxattrSync("/dir/file", "user.file", "f");
+    fs.linkSync("/dir/file", "/hardlink");
+    fs.getxattrSync("/hardlink", "user.file").toString().should.be.eql("f");
+    fs.renameSync("/hardlink", "/renamed");
+    fs.getxattrSync("/renamed", "user.file").toString().should.be.eql("f");
+    fs.copyFileSync("/renamed", "/copy");
+    fs.copyFileSync("/renamed", "/clone", constants.COPYFILE_FICLONE);
+    fs.getxattrSync("/copy", "user.file").toString().should.be.eql("f");
+    fs.getxattrSync("/clone", "user.file").toString().should.be.eql("f");
+    fs.cpSync("/dir", "/dircopy", { recursive: true });
+    fs.getxattrSync("/dircopy", "user.dir").toString().should.be.eql("d");
+    fs.getxattrSync("/dircopy/file", "user.file").toString().should.be.eql("f");
+    var restored = VirtualFS.fromJSON(JSON.stringify(fs));
+    restored.getxattrSync("/dir/file", "user.file").toString().should.be.eql("f");
+    restored = VirtualFS.deserialize(fs.serialize());
+    restored.getxattrSync("/dir", "user.dir").toString().should.be.eql("d");
+  });
+  it("should copy up attributes in an overlay", function() {
+    var OverlayFS = require("../lib/VirtualFS").OverlayFS;
+    var lower = new VirtualFS();
+    lower.writeFileSync("/file", "data");
+    lower.setxattrSync("/file", "user.tag", "lower");
+    var fs = new OverlayFS(lower);
+    fs.getxattrSync("/file", "user.tag").toString().should.be.eql("lower");
+    fs.setxattrSync("/file", "user.other", "upper");
+    fs.listxattrSync("/file").sort().should.be.eql(["user.other", "user.tag"]);
+    lower.listxattrSync("/file").should.be.eql(["user.tag"]);
+  });
+  it("should use attributes with callbacks, promises and mounts", function(done) {
+    var fs = new VirtualFS();
+    var mounted = new VirtualFS();
+    fs.mkdirSync("/mnt");
+    fs.mountSync(mounted, "/mnt");
+    fs.writeFileSync("/mnt/file", "data");
+    fs.setxattr("/mnt/file", "user.tag", "a", function(err) {
+      if (err) return done(err);
+      mounted.getxattrSync("/file", "user.tag").toString().should.be.eql("a");
+      fs.promises.getxattr("/mnt/file", "user.tag").then(function(value) {
+        value.toString().should.be.eql("a");
+        fs.listxattr("/mnt/file", function(err, names) {
+          if (err) return done(err);
+          names.should.be.eql(["user.tag"]);
+          done();
+        });
+      }).catch(done);
+    });
+  });
+});
+
+describe("advisory locks", function() {
+  it("should apply flock locks per file descriptor", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/lock", "");
+    var worker1 = fs.openSync("/lock", "r");
+    var worker2 = fs.openSync("/lock", "r");
+    fs.flockSync(worker1, constants.LOCK_SH);
+    fs.flockSync(worker2, constants.LOCK_SH | constants.LOCK_NB);
+    (function() {
+      fs.flockSync(worker1, constants.LOCK_EX | constants.LOCK_NB);
+    }).should.throw(/EWOULDBLOCK/);
+    (function() {
+      fs.flockSync(worker1, constants.LOCK_EX);
+    }).should.throw(/EWOULDBLOCK/);
+    (function() {
+      fs.flockSync(worker1, constants.LOCK_NB);
+    }).should.throw(/EINVAL/);
+    fs.flockSync(worker2, constants.LOCK_UN);
+    fs.flockSync(worker1, constants.LOCK_EX | constants.LOCK_NB);
+    // byte-range locks do not interact with flock locks
+    fs.fcntlSync(worker2, constants.F_SETLK, { type: constants.F_RDLCK });
+    fs.closeSync(worker1);
+    fs.flockSync(worker2, constants.LOCK_EX | constants.LOCK_NB);
+    (function() {
+      fs.flockSync(worker1, constants.LOCK_UN);
+    }).should.throw(/EBADF/);
+  });
+  it("should apply byte-range locks", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", "0123456789");
+    var worker1 = fs.openSync("/file", "r+");
+    var worker2 = fs.openSync("/file", "r+");
+    var readOnly = fs.openSync("/file", "r");
+    fs.fcntlSync(worker1, constants.F_SETLK, { type: constants.F_WRLCK, start: 2, len: 4 });
+    fs.fcntlSync(worker2, constants.F_SETLK, { type: constants.F_WRLCK, start: 6 });
+    (function() {
+      fs.fcntlSync(worker2, constants.F_SETLK, { type: constants.F_RDLCK, start: 5, len: 1 });
+    }).should.throw(/EAGAIN/);
+    (function() {
+      fs.fcntlSync(worker2, constants.F_SETLKW, { type: constants.F_RDLCK, start: 5, len: 1 });
+    }).should.throw(/EAGAIN/);
+    fs.fcntlSync(worker2, constants.F_GETLK, { type: constants.F_RDLCK, start: 0, len: 3 }).should.be.eql({
+      type: constants.F_WRLCK,
+      whence: constants.SEEK_SET,
+      start: 2,
+      len: 4,
+      pid: -1
+    });
+    fs.fcntlSync(worker1, constants.F_GETLK, { type: constants.F_RDLCK, whence: constants.SEEK_END, start: 5 }).len.should.be.eql(0);
+    fs.fcntlSync(worker2, constants.F_GETLK, { type: constants.F_WRLCK, start: 0, len: 2 }).type.should.be.eql(constants.F_UNLCK);
+    // unlocking the middle of a lock splits it
+    fs.fcntlSync(worker1, constants.F_SETLK, { type: constants.F_UNLCK, start: 3, len: 2 });
+    fs.fcntlSync(worker2, constants.F_SETLK, { type: constants.F_WRLCK, start: 3, len: 2 });
+    (function() {
+      fs.fcntlSync(worker2, constants.F_SETLK, { type: constants.F_WRLCK, start: 5, len: -4 });
+    }).should.throw(/EAGAIN/);
+    (function() {
+      fs.fcntlSync(readOnly, constants.F_SETLK, { type: constants.F_WRLCK });
+    }).should.throw(/EBADF/);
+    (function() {
+      fs.fcntlSync(worker1, constants.F_SETLK, { type: constants.F_RDLCK, whence: constants.SEEK_CUR, start: -1 });
+    }).should.throw(/EINVAL/);
+    fs.closeSync(worker2);
+    fs.fcntlSync(worker1, constants.F_SETLK, { type: constants.F_WRLCK });
+  });
+  it("should wait for blocking locks with callbacks and promises", function(done) {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/lock", "");
+    var holder = fs.openSync("/lock", "r+");
+    var waiter = fs.openSync("/lock", "r+");
+    fs.flockSync(holder, constants.LOCK_EX);
+    fs.fcntlSync(holder, constants.F_SETLK, { type: constants.F_WRLCK });
+    var events = [];
+    fs.flock(waiter, constants.LOCK_EX | constants.LOCK_NB, function(err) {
+      err.code.should.be.eql("EWOULDBLOCK");
+      fs.flock(waiter, constants.LOCK_EX, function(err) {
+        if (err) return done(err);
+        events.push("flock");
+      });
+      fs.fcntl(waiter, constants.F_SETLKW, { type: constants.F_RDLCK }, function(err) {
+        if (err) return done(err);
+        events.push("fcntl");
+        events.should.be.eql(["released", "flock", "fcntl"]);
+        var handle;
+        fs.promises.open("/lock", "r+").then(function(fileHandle) {
+          handle = fileHandle;
+          var locked = handle.flock(constants.LOCK_EX);
+          fs.closeSync(waiter);
+          return locked;
+        }).then(function() {
+          return handle.fcntl(constants.F_GETLK, { type: constants.F_WRLCK });
+        }).then(function(lock) {
+          lock.type.should.be.eql(constants.F_UNLCK);
+          return handle.close();
+        }).then(function() {
+          done();
+        }).catch(done);
+      });
+      setImmediate(function() {
+        events.push("released");
+        fs.closeSync(holder);
+      });
+    });
+  });
+  it("should fail a waiting byte-range lock that would deadlock", function(done) {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", "0123456789");
+    var worker1 = fs.openSync("/file", "r+");
+    var worker2 = fs.openSync("/file", "r+");
+    fs.fcntlSync(worker1, constants.F_SETLK, { type: constants.F_WRLCK, start: 0, len: 1 });
+    fs.fcntlSync(worker2, constants.F_SETLK, { type: constants.F_WRLCK, start: 1, len: 1 });
+    fs.fcntl(worker1, constants.F_SETLKW, { type: constants.F_WRLCK, start: 1, len: 1 }, function(err) {
+      if (err) return done(err);
+      fs.fcntlSync(worker1, constants.F_GETLK, { type: constants.F_WRLCK, start: 1, len: 1 }).type.should.be.eql(constants.F_UNLCK);
+      done();
+    });
+    fs.fcntl(worker2, constants.F_SETLKW, { type: constants.F_WRLCK, start: 0, len: 1 }, function(err) {
+      err.code.should.be.eql("EDEADLK");
+      // the failed waiter gives up its lock, so the other waiter gets it
+      fs.closeSync(worker2);
+    });
+  });
+  it("should fail waiting locks when the file descriptor is closed", function(done) {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/lock", "");
+    var holder = fs.openSync("/lock", "r");
+    var waiter = fs.openSync("/lock", "r");
+    fs.flockSync(holder, constants.LOCK_EX);
+    fs.flock(waiter, constants.LOCK_SH, function(err) {
+      err.code.should.be.eql("EBADF");
+      done();
+    });
+    fs.closeSync(waiter);
+    fs.closeSync(holder);
+  });
+});
+
+describe("transactions", function() {
+  it("should commit all operations", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/old", "old");
+    var result = fs.transaction(function(tx) {
+      tx.mkdirSync("/dir");
+      tx.writeFileSync("/dir/file", "data");
+      tx.renameSync("/old", "/dir/renamed");
+      return "done";
+    });
+    result.should.be.eql("done");
+    fs.readdirSync("/dir").sort().should.be.eql(["file", "renamed"]);
+    fs.existsSync("/old").should.be.false;
+  });
+  it("should roll back inodes, entries and hardlink counts", function() {
+    var fs = new VirtualFS();
+    fs.mkdirSync("/dir");
+    fs.writeFileSync("/dir/file", "original");
+    fs.linkSync("/dir/file", "/hardlink");
+    fs.setxattrSync("/dir/file", "user.tag", "a");
+    var before = JSON.stringify(fs);
+    var usage = fs._inodeMgr.getUsage();
+    var fd = fs.openSync("/dir/file", "r+");
+    (function() {
+      fs.transaction(function() {
+        fs.writeSync(fd, "changed", 0);
+        fs.appendFileSync("/hardlink", " more");
+        fs.unlinkSync("/hardlink");
+        fs.mkdirSync("/dir/sub");
+        fs.writeFileSync("/dir/sub/new", "new");
+        fs.renameSync("/dir/file", "/moved");
+        fs.chmodSync("/moved", 0o600);
+        fs.removexattrSync("/moved", "user.tag");
+        fs.rmSync("/dir", { recursive: true });
+        throw new Error("failed");
+      });
+    }).should.throw("failed");
+    JSON.stringify(fs).should.be.eql(before);
+    fs._inodeMgr.getUsage().should.be.eql(usage);
+    fs.statSync("/hardlink").nlink.should.be.eql(2);
+    fs.statSync("/dir").nlink.should.be.eql(2);
+    var buffer = Buffer.alloc(8);
+    fs.readSync(fd, buffer, 0, 8, 0);
+    buffer.toString().should.be.eql("original");
+    // the rolled back file descriptor still refers to the restored inode
+    fs.writeSync(fd, "O", 0);
+    fs.readFileSync("/hardlink", "utf8").should.be.eql("Original");
+    fs.closeSync(fd);
+  });
+  it("should roll back nested transactions separately", function() {
+    var fs = new VirtualFS();
+    fs.transaction(function() {
+      fs.writeFileSync("/outer", "outer");
+      (function() {
+        fs.transaction(function() {
+          fs.writeFileSync("/outer", "inner");
+          fs.writeFileSync("/inner", "inner");
+          throw new Error("inner");
+        });
+      }).should.throw("inner");
+      fs.readFileSync("/outer", "utf8").should.be.eql("outer");
+      fs.transaction(function() {
+        fs.writeFileSync("/committed", "");
+      });
+    });
+    fs.readdirSync("/").sort().should.be.eql(["committed", "outer"]);
+    (function() {
+      fs.transaction(function() {
+        fs.transaction(function() {
+          fs.unlinkSync("/outer");
+        });
+        throw new Error("outer");
+      });
+    }).should.throw("outer");
+    fs.readdirSync("/").sort().should.be.eql(["committed", "outer"]);
+  });
+  it("should restore the working directory, mounts and file descriptors", function() {
+    var fs = new VirtualFS();
+    fs.mkdirSync("/mnt");
+    var fd = fs.openSync("/file", "w");
+    (function() {
+      fs.transaction(function() {
+        fs.mkdirSync("/dir");
+        fs.chdirSync("/dir");
+        fs.openSync("/dir/file", "w");
+        fs.closeSync(fd);
+        fs.mountSync(new VirtualFS(), "/mnt");
+        fs.writeFileSync("/mnt/file", "");
+        throw new Error("failed");
+      });
+    }).should.throw("failed");
+    fs.existsSync("/dir").should.be.false;
+    fs.existsSync("/mnt/file").should.be.false;
+    fs.writeFileSync("file2", "");
+    fs.existsSync("/file2").should.be.true;
+    (function() {
+      fs.fstatSync(fd);
+    }).should.throw(/EBADF/);
+    fs._inodeMgr.getUsage().inodes.should.be.eql(4);
+  });
+  it("should hold back watcher events until commit", function(done) {
+    var fs = new VirtualFS();
+    var events = [];
+    var watcher = fs.watch("/", function(eventType, filename) {
+      events.push(filename);
+    });
+    (function() {
+      fs.transaction(function() {
+        fs.writeFileSync("/rolledback", "");
+        throw new Error("failed");
+      });
+    }).should.throw("failed");
+    fs.transaction(function() {
+      fs.writeFileSync("/committed", "");
+      events.should.be.eql([]);
+    });
+    setTimeout(function() {
+      watcher.close();
+      events.should.containEql("committed");
+      events.should.not.containEql("rolledback");
+      done();
+    }, 10);
+  });
+  it("should roll back overlay whiteouts and reject asynchronous functions", function() {
+    var OverlayFS = require("../lib/VirtualFS").OverlayFS;
+    var lower = new VirtualFS();
+    lower.writeFileSync("/lower", "lower");
+    var fs = new OverlayFS(lower);
+    (function() {
+      fs.transaction(function() {
+        fs.unlinkSync("/lower");
+        throw new Error("failed");
+      });
+    }).should.throw("failed");
+    fs.readFileSync("/lower", "utf8").should.be.eql("lower");
+    (function() {
+      fs.transaction(function() {
+        fs.writeFileSync("/async", "");
+        return Promise.resolve();
+      });
+    }).should.throw(TypeError);
+    fs.existsSync("/async").should.be.false;
+  });
+  it("should not leave rejections of asynchronous functions unhandled", function(done) {
+    var fs = new VirtualFS();
+    var unhandled = [];
+    var onUnhandled = function(reason) {
+      unhandled.push(reason);
+    };
+    process.on("unhandledRejection", onUnhandled);
+    (function() {
+      fs.transaction(function() {
+        return Promise.reject(new Error("async"));
+      });
+    }).should.throw(TypeError);
+    setTimeout(function() {
+      process.removeListener("unhandledRejection", onUnhandled);
+      unhandled.should.be.eql([]);
+      done();
+    }, 10);
+  });
+});
+
+describe("snapshots", function() {
+  it("should read the state of when the snapshot was taken", function(done) {
+    var fs = new VirtualFS();
+    fs.mkdirSync("/dir");
+    fs.writeFileSync("/dir/file", "old");
+    fs.symlinkSync("/dir/file", "/link");
+    var snapshot = fs.snapshot();
+    fs.writeFileSync("/dir/file", "new");
+    fs.unlinkSync("/link");
+    fs.writeFileSync("/added", "");
+    snapshot.readFileSync("/link", "utf8").should.be.eql("old");
+    snapshot.readdirSync("/").should.be.eql(["dir", "link"]);
+    fs.readFileSync("/dir/file", "utf8").should.be.eql("new");
+    snapshot.readFile("/dir/file", "utf8", function(err, data) {
+      should(err).be.null;
+      data.should.be.eql("old");
+      done();
+    });
+  });
+  it("should reject changes to the snapshot", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", "data");
+    var snapshot = fs.snapshot();
+    (function() {
+      snapshot.writeFileSync("/file", "");
+    }).should.throw(/EROFS/);
+    (function() {
+      snapshot.openSync("/file", "r+");
+    }).should.throw(/EROFS/);
+    (function() {
+      snapshot.accessSync("/file", constants.W_OK);
+    }).should.throw(/EROFS/);
+    (function() {
+      snapshot.mkdirSync("/dir");
+    }).should.throw(/EROFS/);
+    var fd = snapshot.openSync("/file", "r");
+    var buffer = Buffer.alloc(4);
+    snapshot.readSync(fd, buffer, 0, 4, 0);
+    buffer.toString().should.be.eql("data");
+    snapshot.closeSync(fd);
+  });
+  it("should share file blocks until they are changed", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", Buffer.alloc(4096 * 2));
+    var snapshot = fs.snapshot();
+    fs.chmodSync("/file", 0o600);
+    var fd = fs.openSync("/file", "r+");
+    fs.writeSync(fd, "x", 0);
+    fs.closeSync(fd);
+    var blocks = fs._inodeMgr.getINode(fs._root.getEntryIndex("file"))._blocks;
+    var snapshotBlocks = snapshot._inodeMgr.getINode(snapshot._root.getEntryIndex("file"))._blocks;
+    blocks[0].should.not.be.exactly(snapshotBlocks[0]);
+    blocks[1].should.be.exactly(snapshotBlocks[1]);
+    snapshot.readFileSync("/file")[0].should.be.eql(0);
+    snapshot.statSync("/file").mode.should.not.be.eql(fs.statSync("/file").mode);
+  });
+  it("should take snapshots in constant time regardless of the tree size", function() {
+    function snapshotCost(entries) {
+      var fs = new VirtualFS();
+      for (var i = 0; i < entries; ++i) {
+        fs.writeFileSync("/file" + i, "");
+      }
+      var start = process.hrtime();
+      for (var j = 0; j < 100; ++j) {
+        var snapshot = fs.snapshot();
+        snapshot.existsSync("/file0").should.be.true;
+        snapshot.release();
+      }
+      var elapsed = process.hrtime(start);
+      return elapsed[0] * 1e3 + elapsed[1] / 1e6;
+    }
+    // the first run warms up, so it does not skew the comparison
+    snapshotCost(10);
+    snapshotCost(2000).should.be.below(snapshotCost(10) * 5 + 50);
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", "");
+    var snapshot = fs.snapshot();
+    var entries = snapshot._root.getEntryMap();
+    entries.should.be.exactly(fs._root.getEntryMap());
+    fs.writeFileSync("/added", "");
+    fs._root.getEntryMap().should.not.be.exactly(entries);
+    Object.keys(entries).should.be.eql([".", "..", "file"]);
+    snapshot.readdirSync("/").should.be.eql(["file"]);
+  });
+  it("should restore the filesystem to a snapshot more than once", function() {
+    var fs = new VirtualFS();
+    fs.mkdirSync("/dir");
+    fs.writeFileSync("/dir/file", "old");
+    var snapshot = fs.snapshot();
+    fs.writeFileSync("/dir/file", "new");
+    fs.mkdirSync("/dir/sub");
+    fs.chdirSync("/dir/sub");
+    var fd = fs.openSync("/dir/sub/added", "w");
+    fs.restore(snapshot);
+    fs.readdirSync("/dir").should.be.eql(["file"]);
+    fs.readFileSync("/dir/file", "utf8").should.be.eql("old");
+    fs.realpathSync(".").should.be.eql("/");
+    (function() {
+      fs.fstatSync(fd);
+    }).should.throw(/EBADF/);
+    fs.unlinkSync("/dir/file");
+    fs.restore(snapshot);
+    fs.readFileSync("/dir/file", "utf8").should.be.eql("old");
+    (function() {
+      new VirtualFS().restore(snapshot);
+    }).should.throw(TypeError);
+  });
+  it("should stop saving inodes once released", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", "data");
+    var snapshot = fs.snapshot();
+    snapshot.release();
+    fs._inodeMgr._snapshots.length.should.be.eql(0);
+    (function() {
+      snapshot.readFileSync("/file");
+    }).should.throw(/EBADF/);
+    (function() {
+      fs.restore(snapshot);
+    }).should.throw(TypeError);
+  });
+  it("should keep snapshots consistent through transactions", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/file", "old");
+    var snapshot;
+    (function() {
+      fs.transaction(function() {
+        fs.writeFileSync("/file", "new");
+        snapshot = fs.snapshot();
+        fs.writeFileSync("/file", "newer");
+        throw new Error("failed");
+      });
+    }).should.throw("failed");
+    fs.readFileSync("/file", "utf8").should.be.eql("old");
+    snapshot.readFileSync("/file", "utf8").should.be.eql("new");
+    fs.restore(snapshot);
+    fs.readFileSync("/file", "utf8").should.be.eql("new");
+    (function() {
+      new (require("../lib/VirtualFS").OverlayFS)(fs).snapshot();
+    }).should.throw(/ENOTSUP/);
+  });
+});
+
+describe("glob", function() {
+  function makeTree() {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/src/lib/deep");
+    fs.mkdirSync("/src/.git");
+    fs.writeFileSync("/src/a.js", "");
+    fs.writeFileSync("/src/b1.ts", "");
+    fs.writeFileSync("/src/b2.ts", "");
+    fs.writeFileSync("/src/.hidden.js", "");
+    fs.writeFileSync("/src/.git/config.js", "");
+    fs.writeFileSync("/src/lib/c.js", "");
+    fs.writeFileSync("/src/lib/deep/d.js", "");
+    return fs;
+  }
+  it("should match wildcards, classes and braces", function() {
+    var fs = makeTree();
+    fs.globSync("src/*.js").should.be.eql(["src/a.js"]);
+    fs.globSync("src/b?.ts").sort().should.be.eql(["src/b1.ts", "src/b2.ts"]);
+    fs.globSync("src/b[!1].ts").should.be.eql(["src/b2.ts"]);
+    fs.globSync("src/{a.js,b{1..2}.ts}").should.be.eql(["src/a.js", "src/b1.ts", "src/b2.ts"]);
+    fs.globSync("/src/lib/*").sort().should.be.eql(["/src/lib/c.js", "/src/lib/deep"]);
+    fs.globSync("src/*/").should.be.eql(["src/lib"]);
+    fs.globSync("src/missing/*").should.be.eql([]);
+  });
+  it("should match directories recursively with globstars and dotfiles", function() {
+    var fs = makeTree();
+    fs.globSync("**/*.js", { cwd: "/src" }).sort().should.be.eql([
+      "a.js", "lib/c.js", "lib/deep/d.js"
+    ]);
+    fs.globSync("**/*.js", { cwd: "/src", dot: true }).sort().should.be.eql([
+      ".git/config.js", ".hidden.js", "a.js", "lib/c.js", "lib/deep/d.js"
+    ]);
+    fs.globSync("src/.*").sort().should.be.eql(["src/.git", "src/.hidden.js"]);
+    fs.globSync("src/**", { onlyDirectories: true }).sort().should.be.eql([
+      "src", "src/lib", "src/lib/deep"
+    ]);
+    fs.globSync("src/lib/**", { onlyFiles: true }).sort().should.be.eql([
+      "src/lib/c.js", "src/lib/deep/d.js"
+    ]);
+  });
+  it("should leave out ignored and negated patterns", function() {
+    var fs = makeTree();
+    fs.globSync(["src/**/*.js", "!src/lib/deep/**"], { ignore: "**/a.js" }).should.be.eql([
+      "src/lib/c.js"
+    ]);
+    fs.globSync("**", { cwd: "/src", dot: true, ignore: [".git/**"] }).should.not.containEql(".git/config.js");
+  });
+  it("should follow symlinks without walking cycles", function() {
+    var fs = makeTree();
+    fs.symlinkSync("/src", "/src/lib/loop");
+    fs.symlinkSync("/missing", "/src/broken");
+    fs.globSync("**/*.js", { cwd: "/src" }).sort().should.be.eql([
+      "a.js", "lib/c.js", "lib/deep/d.js"
+    ]);
+    fs.globSync("src/lib/loop/lib/loop/a.js").should.be.eql(["src/lib/loop/lib/loop/a.js"]);
+    fs.globSync("src/lib/**").should.containEql("src/lib/loop");
+    fs.globSync("src/lib/*/a.js", { followSymbolicLinks: false }).should.be.eql([]);
+    fs.globSync("src/*", { onlyFiles: true }).should.containEql("src/broken");
+  });
+  it("should walk mounts and overlays and respect permissions", function(done) {
+    var OverlayFS = require("../lib/VirtualFS").OverlayFS;
+    var fs = makeTree();
+    var mounted = new VirtualFS();
+    mounted.writeFileSync("/m.js", "");
+    fs.mkdirSync("/mnt");
+    fs.mountSync(mounted, "/mnt");
+    fs.globSync("mnt/**/*.js").should.be.eql(["mnt/m.js"]);
+    var overlay = new OverlayFS(fs);
+    overlay.writeFileSync("/src/upper.js", "");
+    overlay.globSync("src/*.js").sort().should.be.eql(["src/a.js", "src/upper.js"]);
+    fs.chmodSync("/src/lib", 0o700);
+    fs.setUid(1000);
+    fs.globSync("src/**/*.js").should.be.eql(["src/a.js"]);
+    (function() {
+      fs.globSync("*", { cwd: "/src/a.js" });
+    }).should.throw(/ENOTDIR/);
+    fs.glob("src/*.ts", { onlyFiles: true }, function(err, files) {
+      should(err).be.null;
+      files.sort().should.be.eql(["src/b1.ts", "src/b2.ts"]);
+      fs.promises.glob("mnt/*").then(function(files) {
+        files.should.be.eql(["mnt/m.js"]);
+        done();
+      }).catch(done);
+    });
+  });
+});
+
+describe("modules", function() {
+  it("should require relative files, directories and json", function() {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/app/lib/util");
+    fs.writeFileSync("/app/main.js", "module.exports = require('./lib').name + require('./data').value;");
+    fs.writeFileSync("/app/lib/index.js", "exports.name = require('./util/name');");
+    fs.writeFileSync("/app/lib/util/name.js", "#!/usr/bin/env node\nmodule.exports = __filename;");
+    fs.writeFileSync("/app/data.json", '{"value": 1}');
+    var vfsRequire = fs.createRequire("/app/index.js");
+    vfsRequire("./main").should.be.eql("/app/lib/util/name.js1");
+    vfsRequire.resolve("./data").should.be.eql("/app/data.json");
+    vfsRequire("path").should.be.exactly(require("path"));
+    (function() {
+      vfsRequire("./missing");
+    }).should.throw(/Cannot find module/);
+  });
+  it("should cache modules and support circular requires", function() {
+    var fs = new VirtualFS();
+    fs.writeFileSync("/a.js", "exports.done = false; exports.b = require('./b'); exports.done = true;");
+    fs.writeFileSync("/b.js", "module.exports = require('./a').done;");
+    fs.writeFileSync("/count.js", "module.exports = {count: 0}; module.exports.count++;");
+    var vfsRequire = fs.createRequire("/");
+    vfsRequire("./a").should.be.eql({ done: true, b: false });
+    vfsRequire("./count").should.be.exactly(vfsRequire("/count.js"));
+    delete vfsRequire.cache["/count.js"];
+    fs.writeFileSync("/broken.js", "throw new Error('broken');");
+    (function() {
+      vfsRequire("./broken");
+    }).should.throw("broken");
+    ("/broken.js" in vfsRequire.cache).should.be.false;
+    should(fs.createRequire("/other.js").cache).be.exactly(vfsRequire.cache);
+  });
+  it("should resolve packages through node_modules, main and exports", function() {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/node_modules/main-pkg/lib");
+    fs.writeFileSync("/node_modules/main-pkg/package.json", '{"main": "lib/entry"}');
+    fs.writeFileSync("/node_modules/main-pkg/lib/entry.js", "module.exports = 'main';");
+    fs.mkdirpSync("/app/node_modules/@scope/exp/dist/features");
+    fs.writeFileSync("/app/node_modules/@scope/exp/package.json", JSON.stringify({
+      exports: {
+        ".": { "import": "./dist/index.mjs", "require": "./dist/index.js" },
+        "./features/*": "./dist/features/*.js"
+      }
+    }));
+    fs.writeFileSync("/app/node_modules/@scope/exp/dist/index.js", "module.exports = 'exp';");
+    fs.writeFileSync("/app/node_modules/@scope/exp/dist/features/x.js", "module.exports = 'x';");
+    fs.writeFileSync("/app/node_modules/@scope/exp/dist/internal.js", "");
+    var vfsRequire = fs.createRequire("/app/src/index.js");
+    vfsRequire("main-pkg").should.be.eql("main");
+    vfsRequire("@scope/exp").should.be.eql("exp");
+    vfsRequire("@scope/exp/features/x").should.be.eql("x");
+    try {
+      vfsRequire("@scope/exp/dist/internal.js");
+      throw new Error("should not resolve");
+    } catch (e) {
+      e.code.should.be.eql("ERR_PACKAGE_PATH_NOT_EXPORTED");
+    }
+  });
+  it("should resolve symlinked packages from their real path", function() {
+    var fs = new VirtualFS();
+    fs.mkdirpSync("/packages/linked/node_modules/dep");
+    fs.writeFileSync("/packages/linked/index.js", "module.exports = require('dep') + ':' + __dirname;");
+    fs.writeFileSync("/packages/linked/node_modules/dep/index.js", "module.exports = 'dep';");
+    fs.mkdirpSync("/app/node_modules");
+    fs.symlinkSync("/packages/linked", "/app/node_modules/linked");
+    var vfsRequire = fs.createRequire("/app/index.js");
+    vfsRequire("linked").should.be.eql("dep:/packages/linked");
+    vfsRequire.resolve("linked").should.be.eql("/packages/linked/index.js");
+  });
+});